@@ -0,0 +1,64 @@
+// app/api/admin/cache/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { cacheKey, getCacheStore } from '@/lib/cache';
+import type { TextSource, TweetContext } from '@/lib/factcheck';
+import { requestLogger } from '@/lib/logger';
+
+const isStringArray = (value: unknown) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// The shape cacheKey reads; the check endpoints validate the rest
+function isContext(value: unknown): value is TweetContext {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+  const { quoted, thread, images } = value as Record<string, unknown>;
+  return (quoted === undefined || typeof quoted === 'string') &&
+    (thread === undefined || isStringArray(thread)) &&
+    (images === undefined || isStringArray(images));
+}
+
+// Invalidate shared cache entries. Body is one of:
+//   { "text": "tweet text" }  - drop the entry for this text (normalized);
+//                               add "context" or "language" to target a check
+//                               made with them
+//   { "key": "<sha256>" }     - drop the entry with this cache key
+//   { "all": true }           - drop every entry
+// Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+export async function DELETE(req: NextRequest) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+  const { log } = requestLogger(req, '/api/admin/cache');
+
+  let body: { text?: string; context?: TweetContext; language?: string; source?: TextSource; key?: string; all?: boolean };
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return NextResponse.json({ error: 'Request body must be a JSON object' }, { status: 400 });
+  }
+  const invalid = (['text', 'key', 'language', 'source'] as const).find(field => body[field] !== undefined && typeof body[field] !== 'string');
+  if (invalid) {
+    return NextResponse.json({ error: `"${invalid}" must be a string` }, { status: 400 });
+  }
+  if (body.context !== undefined && !isContext(body.context)) {
+    return NextResponse.json({ error: '"context" must be an object with optional "quoted", "thread" and "images"' }, { status: 400 });
+  }
+
+  const store = getCacheStore();
+
+  if (body.all === true) {
+    const deleted = await store.clear();
+    log.info('Cleared cache', { deleted });
+    return NextResponse.json({ deleted });
+  }
+
+  const key = body.key || (body.text ? cacheKey(body.text, body.context, body.language, body.source) : null);
+  if (!key) {
+    return NextResponse.json({ error: 'Provide "text", "key" or "all": true' }, { status: 400 });
+  }
+
+  const deleted = await store.delete(key);
+  log.info('Invalidated cache key', { key, deleted });
+  return NextResponse.json({ key, deleted: deleted ? 1 : 0 });
+}
@@ -0,0 +1,103 @@
+// app/api/admin/checks/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { CheckFilter, getCheckStore, parseCheckFilter } from '@/lib/checks';
+import { claimReviews, csvHeader, csvRow, EXPORT_FORMATS, ExportFormat, exportRecord, publicUrl } from '@/lib/export';
+import { errorFields, requestLogger } from '@/lib/logger';
+
+// Checks read from the store per page while exporting
+const EXPORT_PAGE_SIZE = 100;
+
+const CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson',
+  claimreview: 'application/ld+json',
+};
+
+const EXTENSIONS: Record<ExportFormat, string> = {
+  csv: 'csv',
+  jsonl: 'jsonl',
+  claimreview: 'jsonld',
+};
+
+// Export stored checks, newest first, with reviewed verdicts in place of the
+// model's. Query: format=jsonl (default, one check per line), csv or
+// claimreview (a JSON array of schema.org ClaimReview, one per flagged phrase,
+// for the latest run of each check); author, since and hasIssues as for
+// /api/checks. Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+export async function GET(req: NextRequest) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+  const { log } = requestLogger(req, '/api/admin/checks');
+
+  const params = req.nextUrl.searchParams;
+  const format = (params.get('format') || 'jsonl') as ExportFormat;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return NextResponse.json({ error: `"format" must be one of ${EXPORT_FORMATS.join(', ')}` }, { status: 400 });
+  }
+  // The whole export is one response, so paging does not apply
+  const input = parseCheckFilter(new URLSearchParams(
+    Array.from(params.entries()).filter(([name]) => ['author', 'since', 'hasIssues'].includes(name))
+  ));
+  if (!input.ok) {
+    return NextResponse.json({ error: input.error }, { status: 400 });
+  }
+
+  const store = getCheckStore();
+  if (!store) {
+    return NextResponse.json({ error: 'Checks are not stored on this server' }, { status: 404 });
+  }
+
+  const baseUrl = publicUrl(req.nextUrl.origin) as string;
+  const filter: CheckFilter = { ...input.filter, limit: EXPORT_PAGE_SIZE };
+  // Re-checks of the same text share a checkId; ClaimReview publishes each claim once
+  const published = new Set<string>();
+  let cursor: string | null | undefined;
+  let exported = 0;
+  let reviews = 0;
+
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    start(controller) {
+      if (format === 'csv') controller.enqueue(encoder.encode(csvHeader()));
+      if (format === 'claimreview') controller.enqueue(encoder.encode('['));
+    },
+
+    // One page of checks at a time, so large exports don't sit in memory
+    async pull(controller) {
+      try {
+        const page = await store.list({ ...filter, ...(cursor && { cursor }) });
+        const chunk = page.checks.map(check => {
+          exported++;
+          if (format === 'csv') return csvRow(check, baseUrl);
+          if (format === 'jsonl') return JSON.stringify(exportRecord(check, baseUrl)) + '\n';
+
+          if (check.checkId && published.has(check.checkId)) return '';
+          if (check.checkId) published.add(check.checkId);
+          return claimReviews(check, baseUrl)
+            .map(review => `${reviews++ > 0 ? ',' : ''}\n${JSON.stringify(review)}`)
+            .join('');
+        }).join('');
+        if (chunk) controller.enqueue(encoder.encode(chunk));
+
+        cursor = page.nextCursor;
+        if (!cursor) {
+          if (format === 'claimreview') controller.enqueue(encoder.encode('\n]\n'));
+          log.info('Exported checks', { format, checks: exported, ...(format === 'claimreview' && { claimReviews: reviews }) });
+          controller.close();
+        }
+      } catch (error) {
+        log.error('Could not export checks', errorFields(error));
+        controller.error(error);
+      }
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="checks-${new Date().toISOString().substring(0, 10)}.${EXTENSIONS[format]}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
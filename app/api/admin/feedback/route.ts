@@ -0,0 +1,45 @@
+// app/api/admin/feedback/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { FEEDBACK_VOTES, getFeedbackStore } from '@/lib/feedback';
+import { requestLogger } from '@/lib/logger';
+
+// Export feedback with the checks it is about, for evaluating prompts.
+// Query: format=jsonl (default, one record per line) or json; since=<ISO date>;
+// vote=up|down|wrong_correction. Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+export async function GET(req: NextRequest) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+  const { log } = requestLogger(req, '/api/admin/feedback');
+
+  const params = req.nextUrl.searchParams;
+  const format = params.get('format') || 'jsonl';
+  const since = params.get('since');
+  const vote = params.get('vote');
+
+  if (format !== 'jsonl' && format !== 'json') {
+    return NextResponse.json({ error: '"format" must be jsonl or json' }, { status: 400 });
+  }
+  if (since && Number.isNaN(Date.parse(since))) {
+    return NextResponse.json({ error: '"since" must be an ISO date' }, { status: 400 });
+  }
+  if (vote && !FEEDBACK_VOTES.includes(vote as any)) {
+    return NextResponse.json({ error: `"vote" must be one of ${FEEDBACK_VOTES.join(', ')}` }, { status: 400 });
+  }
+
+  const records = (await getFeedbackStore().list()).filter(record =>
+    (!since || Date.parse(record.createdAt) >= Date.parse(since)) &&
+    (!vote || record.vote === vote)
+  );
+  log.info('Exporting feedback', { records: records.length, format });
+
+  if (format === 'json') {
+    return NextResponse.json({ feedback: records });
+  }
+  return new Response(records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : ''), {
+    headers: {
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="feedback-${new Date().toISOString().substring(0, 10)}.jsonl"`,
+    },
+  });
+}
@@ -0,0 +1,72 @@
+// app/api/admin/reviews/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { getCheckStore, parseCheckFilter } from '@/lib/checks';
+import { requestLogger } from '@/lib/logger';
+import { recordReview, REVIEW_STATUSES, ReviewError, ReviewStatus, validateReview } from '@/lib/review';
+
+// The review queue: the latest run of each check, newest first. Query:
+// status=pending (default, flagged checks without a review) or
+// confirmed|edited|rejected; limit; cursor. Returns { checks, nextCursor },
+// with each check's review. Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+export async function GET(req: NextRequest) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+  const { log } = requestLogger(req, '/api/admin/reviews');
+
+  const params = req.nextUrl.searchParams;
+  const status = params.get('status') || 'pending';
+  if (status !== 'pending' && !REVIEW_STATUSES.includes(status as ReviewStatus)) {
+    return NextResponse.json({ error: `"status" must be pending, ${REVIEW_STATUSES.join(', ')}` }, { status: 400 });
+  }
+  // Only limit and cursor apply here
+  const page = parseCheckFilter(new URLSearchParams({
+    ...(params.get('limit') && { limit: params.get('limit') as string }),
+    ...(params.get('cursor') && { cursor: params.get('cursor') as string }),
+  }));
+  if (!page.ok) {
+    return NextResponse.json({ error: page.error }, { status: 400 });
+  }
+
+  const store = getCheckStore();
+  if (!store) {
+    return NextResponse.json({ error: 'Reviews need a check store (CHECK_STORE is "none")' }, { status: 404 });
+  }
+
+  const result = await store.listForReview({ status: status as ReviewStatus | 'pending', ...page.filter });
+  log.info('Listed review queue', { status, checks: result.checks.length });
+  return NextResponse.json(result, { headers: { 'Cache-Control': 'no-store' } });
+}
+
+// Review a stored check. Body: { "recordId", "status": "confirmed" | "edited" |
+// "rejected", "claims"?: [{ "index", "correction" }], "summary"?, "note"?,
+// "reviewer"? }. "claims" (for "edited") lists the claims to keep by their
+// index in the check's result, with the correction to show. The review
+// applies to every run of the check from then on.
+export async function POST(req: NextRequest) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+  const { log } = requestLogger(req, '/api/admin/reviews');
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+  }
+
+  const input = validateReview(body);
+  if (!input.ok) {
+    log.warn('Validation failed', { reason: input.error });
+    return NextResponse.json({ error: input.error }, { status: 400 });
+  }
+
+  try {
+    const review = await recordReview(input);
+    return NextResponse.json({ review });
+  } catch (error) {
+    if (!(error instanceof ReviewError)) throw error;
+    log.warn('Review rejected', { recordId: input.recordId, reason: error.message });
+    return NextResponse.json({ error: error.message }, { status: error.status });
+  }
+}
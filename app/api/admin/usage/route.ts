@@ -0,0 +1,16 @@
+// app/api/admin/usage/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { getDailyUsage } from '@/lib/ratelimit';
+
+// Today's check counts per API key (or per IP for keyless requests).
+// Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+export async function GET(req: NextRequest) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  return NextResponse.json({
+    date: new Date().toISOString().substring(0, 10),
+    usage: getDailyUsage(),
+  });
+}
@@ -0,0 +1,42 @@
+// app/api/admin/webhooks/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { getCheckStore, parseCheckFilter } from '@/lib/checks';
+import { requestLogger } from '@/lib/logger';
+import { DELIVERY_STATUSES, DeliveryStatus, getWebhooks } from '@/lib/webhooks';
+
+// The configured webhooks (by name) and the delivery log, newest first.
+// Query: status=pending|delivered|failed; limit; cursor. Returns { webhooks,
+// signed, deliveries, nextCursor }. Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+export async function GET(req: NextRequest) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+  const { log } = requestLogger(req, '/api/admin/webhooks');
+
+  const params = req.nextUrl.searchParams;
+  const status = params.get('status');
+  if (status && !DELIVERY_STATUSES.includes(status as DeliveryStatus)) {
+    return NextResponse.json({ error: `"status" must be one of ${DELIVERY_STATUSES.join(', ')}` }, { status: 400 });
+  }
+  // Only limit and cursor apply here
+  const page = parseCheckFilter(new URLSearchParams({
+    ...(params.get('limit') && { limit: params.get('limit') as string }),
+    ...(params.get('cursor') && { cursor: params.get('cursor') as string }),
+  }));
+  if (!page.ok) {
+    return NextResponse.json({ error: page.error }, { status: 400 });
+  }
+
+  const store = getCheckStore();
+  if (!store) {
+    return NextResponse.json({ error: 'The delivery log needs a check store (CHECK_STORE is "none")' }, { status: 404 });
+  }
+
+  const result = await store.listDeliveries({ ...(status && { status: status as DeliveryStatus }), ...page.filter });
+  log.info('Listed webhook deliveries', { deliveries: result.deliveries.length });
+  return NextResponse.json({
+    webhooks: getWebhooks().map(webhook => webhook.name),
+    signed: !!process.env.WEBHOOK_SECRET,
+    ...result,
+  }, { headers: { 'Cache-Control': 'no-store' } });
+}
@@ -0,0 +1,43 @@
+// app/api/checks/[id]/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { getCheckStore } from '@/lib/checks';
+import { getCorsHeaders } from '@/lib/cors';
+import { errorFields, requestLogger } from '@/lib/logger';
+import { servedCheckResult } from '@/lib/review';
+
+// Handle CORS preflight requests
+export async function OPTIONS(req: NextRequest) {
+  return new NextResponse(null, {
+    status: 200,
+    headers: getCorsHeaders(req),
+  });
+}
+
+// One stored check, with its result as served: reviewed, or withheld while
+// it awaits review. Needs no API key, like its permalink page: the random id
+// is what makes it private.
+export async function GET(req: NextRequest, { params }: { params: { id: string } }) {
+  const { requestId, log } = requestLogger(req, '/api/checks/:id');
+  const corsHeaders = { ...getCorsHeaders(req), 'X-Request-Id': requestId };
+
+  try {
+    const check = await getCheckStore()?.get(params.id);
+    if (!check) {
+      return NextResponse.json({ error: 'Check not found' }, {
+        status: 404,
+        headers: corsHeaders,
+      });
+    }
+    const { review, ...stored } = check;
+    const result = servedCheckResult(check);
+    return NextResponse.json({ ...stored, hasIssues: result.hasIssues, result }, {
+      headers: { ...corsHeaders, 'Cache-Control': 'no-store' },
+    });
+  } catch (error: any) {
+    log.error('Could not read check', { id: params.id, ...errorFields(error) });
+    return NextResponse.json({ error: `Failed to read check: ${error.message}` }, {
+      status: 500,
+      headers: corsHeaders,
+    });
+  }
+}
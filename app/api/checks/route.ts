@@ -0,0 +1,65 @@
+// app/api/checks/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { getCheckStore, parseCheckFilter } from '@/lib/checks';
+import { getCorsHeaders } from '@/lib/cors';
+import { errorFields, requestLogger } from '@/lib/logger';
+import { servedCheckResult } from '@/lib/review';
+
+// Handle CORS preflight requests
+export async function OPTIONS(req: NextRequest) {
+  return new NextResponse(null, {
+    status: 200,
+    headers: getCorsHeaders(req),
+  });
+}
+
+// Stored checks, newest first. Query: author=<handle>; since=<ISO date>;
+// hasIssues=true|false; limit=1..100 (default 20); cursor=<nextCursor of the
+// previous page>. Returns { checks, nextCursor }, each check with its result
+// as served: reviewed, or withheld while it awaits review.
+export async function GET(req: NextRequest) {
+  const { requestId, log } = requestLogger(req, '/api/checks');
+  const corsHeaders = { ...getCorsHeaders(req), 'X-Request-Id': requestId };
+
+  const auth = authenticate(req, corsHeaders);
+  if (!auth.ok) {
+    log.warn('Rejected unauthenticated request');
+    return auth.response;
+  }
+
+  const input = parseCheckFilter(req.nextUrl.searchParams);
+  if (!input.ok) {
+    log.warn('Validation failed', { reason: input.error });
+    return NextResponse.json({ error: input.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+
+  try {
+    const store = getCheckStore();
+    if (!store) {
+      return NextResponse.json({ error: 'Checks are not stored on this server' }, {
+        status: 404,
+        headers: corsHeaders,
+      });
+    }
+
+    const page = await store.list(input.filter);
+    log.info('Listed checks', { checks: page.checks.length, more: !!page.nextCursor });
+    const checks = page.checks.map(({ review, ...check }) => {
+      const result = servedCheckResult({ ...check, review });
+      return { ...check, hasIssues: result.hasIssues, result };
+    });
+    return NextResponse.json({ checks, nextCursor: page.nextCursor }, {
+      headers: { ...corsHeaders, 'Cache-Control': 'no-store' },
+    });
+  } catch (error: any) {
+    log.error('Could not list checks', errorFields(error));
+    return NextResponse.json({ error: `Failed to list checks: ${error.message}` }, {
+      status: 500,
+      headers: corsHeaders,
+    });
+  }
+}
@@ -1,156 +1,134 @@
 // app/api/checktweet/route.ts
 import { NextRequest, NextResponse } from 'next/server';
-import Exa from 'exa-js';
-import OpenAI from 'openai';
+import { authenticate } from '@/lib/auth';
+import { validateTweetRef } from '@/lib/checks';
+import { getCorsHeaders } from '@/lib/cors';
+import { checkWithCache, validateCheckInput } from '@/lib/factcheck';
+import { ProviderConfigError, resolveProviders, validateProviderOverrides } from '@/lib/providers';
+import { validateLanguage } from '@/lib/language';
+import { errorFields, logContent, requestLogger, serverTiming } from '@/lib/logger';
+import { checkRateLimit, getClientIp } from '@/lib/ratelimit';
+import { VerdictValidationError } from '@/lib/verdict';
 
 export const maxDuration = 60;
 
-const exa = new Exa(process.env.EXA_API_KEY as string);
-const openai = new OpenAI({
-  apiKey: process.env.OPENROUTER_API_KEY,
-  baseURL: 'https://openrouter.ai/api/v1',
-});
-
 // Handle CORS preflight requests
 export async function OPTIONS(req: NextRequest) {
   return new NextResponse(null, {
     status: 200,
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    },
+    headers: getCorsHeaders(req),
   });
 }
 
 export async function POST(req: NextRequest) {
-  const requestId = Math.random().toString(36).substring(7);
-  const timestamp = new Date().toISOString();
+  const started = performance.now();
+  const { requestId, log } = requestLogger(req, '/api/checktweet');
+  const corsHeaders = { ...getCorsHeaders(req), 'X-Request-Id': requestId };
+
+  const auth = authenticate(req, corsHeaders);
+  if (!auth.ok) {
+    log.warn('Rejected unauthenticated request');
+    return auth.response;
+  }
   
   try {
-    console.log(`\n[${timestamp}] [Request ${requestId}] ==========================================`);
-    console.log(`[${timestamp}] [Request ${requestId}] 📥 Incoming API request to /api/checktweet`);
-    console.log(`[${timestamp}] [Request ${requestId}] IP: ${req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip') || 'unknown'}`);
-    console.log(`[${timestamp}] [Request ${requestId}] User-Agent: ${req.headers.get('user-agent') || 'unknown'}`);
+    log.info('Request received', {
+      ip: getClientIp(req),
+      userAgent: req.headers.get('user-agent') || 'unknown',
+      apiKey: auth.key?.name || null,
+    });
     
-    const { text } = await req.json();
+    const body = await req.json();
+    const providerOverrides = body.providers;
     
-    if (!text || text.length < 50) {
-      console.log(`[${timestamp}] [Request ${requestId}] ❌ Validation failed: Tweet text too short or missing`);
-      return NextResponse.json({ error: 'Tweet text is required and must be at least 50 characters' }, { 
+    const input = validateCheckInput(body.text, body.context, body.source);
+    if (!input.ok) {
+      log.warn('Validation failed', { reason: input.error });
+      return NextResponse.json({ error: input.error }, { 
         status: 400,
-        headers: {
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
-        },
+        headers: corsHeaders,
       });
     }
+    const { text, context, source } = input;
 
-    console.log(`[${timestamp}] [Request ${requestId}] ✅ Validation passed`);
-    console.log(`[${timestamp}] [Request ${requestId}] 📝 Tweet text (first 100 chars): ${text.substring(0, 100)}...`);
-    console.log(`[${timestamp}] [Request ${requestId}] 📏 Tweet length: ${text.length} characters`);
-
-    // Step 1: Use Exa's fast /answer endpoint to find inaccuracies
-    const exaQuery = `Find phrases or words that are factually incorrect, misleading, or hallucinated in this text: "${text}"`;
-    
-    let exaAnswer = '';
-    try {
-      console.log(`[${timestamp}] [Request ${requestId}] 🔍 Calling Exa API...`);
-      const stream = await exa.streamAnswer(exaQuery);
-      
-      // Collect the streamed response
-      for await (const chunk of stream) {
-        exaAnswer += chunk;
-      }
-      
-      console.log(`[${timestamp}] [Request ${requestId}] ✅ Exa API response received`);
-      console.log(`[${timestamp}] [Request ${requestId}] 📊 Exa analysis (first 200 chars): ${exaAnswer.substring(0, 200)}...`);
-    } catch (exaError) {
-      console.error(`[${timestamp}] [Request ${requestId}] ❌ Exa API error:`, exaError);
-      // If Exa fails, try to continue with OpenAI only
-      exaAnswer = 'Unable to verify with external sources.';
+    const tweet = validateTweetRef(body.tweet);
+    if (!tweet.ok) {
+      log.warn('Validation failed', { reason: tweet.error });
+      return NextResponse.json({ error: tweet.error }, {
+        status: 400,
+        headers: corsHeaders,
+      });
     }
 
-    // Step 2: Use OpenRouter to analyze and mark up the text
-    console.log(`[${timestamp}] [Request ${requestId}] 🤖 Calling OpenAI/OpenRouter API...`);
-    const completion = await openai.chat.completions.create({
-      model: 'openai/gpt-4.1',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a fact-checking assistant. Based on the fact-check analysis provided, identify:
-1. Exact phrases or words that are incorrect (these will be marked in RED)
-2. The correct information to replace them with (these will be shown in GREEN)
-
-Return a JSON object with this structure:
-{
-  "hasIssues": boolean,
-  "incorrect": ["exact phrase 1", "exact phrase 2"],
-  "corrections": ["correction 1", "correction 2"],
-  "summary": "Brief explanation of what's wrong"
-}
-
-If no issues are found, return: {"hasIssues": false, "summary": "No factual issues detected"}
+    const language = validateLanguage(body.language);
+    if (!language.ok) {
+      log.warn('Validation failed', { reason: language.error });
+      return NextResponse.json({ error: language.error }, {
+        status: 400,
+        headers: corsHeaders,
+      });
+    }
 
-Be precise - only mark text that is definitively incorrect based on the analysis.`
-        },
-        {
-          role: 'user',
-          content: `Original tweet: "${text}"
+    log.info('Checking tweet', {
+      text: logContent(text),
+      length: text.length,
+      source,
+      tweetId: tweet.tweet?.id || null,
+      quoted: !!context?.quoted,
+      threadPosts: context?.thread?.length || 0,
+      images: context?.images?.length || 0,
+    });
 
-Fact-check analysis from Exa:
-${exaAnswer}
+    const overrides = validateProviderOverrides(providerOverrides);
+    if (!overrides.ok) {
+      log.warn('Validation failed', { reason: overrides.error });
+      return NextResponse.json({ error: overrides.error }, {
+        status: 400,
+        headers: corsHeaders,
+      });
+    }
 
-Based on this analysis, identify incorrect phrases and provide corrections.`
-        }
-      ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
-    });
+    let providers;
+    try {
+      providers = resolveProviders(overrides.overrides);
+    } catch (error) {
+      if (!(error instanceof ProviderConfigError)) throw error;
+      log.error('Provider configuration error', errorFields(error));
+      return NextResponse.json({ error: error.message }, {
+        status: 500,
+        headers: corsHeaders,
+      });
+    }
 
-    const result = JSON.parse(completion.choices[0].message.content || '{}');
-    console.log(`[${timestamp}] [Request ${requestId}] ✅ OpenAI/OpenRouter response received`);
-    console.log(`[${timestamp}] [Request ${requestId}] 📊 Analysis result:`, {
-      hasIssues: result.hasIssues || false,
-      incorrectCount: result.incorrect?.length || 0,
-      correctionsCount: result.corrections?.length || 0,
-      summary: result.summary || 'Analysis complete'
-    });
+    const rateLimit = checkRateLimit(req, auth.key, 1, corsHeaders);
+    if (!rateLimit.ok) {
+      log.warn('Rate limited', { retryAfter: rateLimit.response.headers.get('Retry-After') });
+      return rateLimit.response;
+    }
 
-    const response = {
-      hasIssues: result.hasIssues || false,
-      incorrect: result.incorrect || [],
-      corrections: result.corrections || [],
-      summary: result.summary || 'Analysis complete',
-      exaAnalysis: exaAnswer
-    };
+    const response = await checkWithCache(text, { log, context, providers, language: language.language, source, tweet: tweet.tweet });
 
-    console.log(`[${timestamp}] [Request ${requestId}] ✅ Sending response to client`);
-    console.log(`[${timestamp}] [Request ${requestId}] ==========================================\n`);
+    const durationMs = Math.round(performance.now() - started);
+    log.info('Request complete', { status: 200, cached: !!response.cached, hasIssues: response.hasIssues, durationMs, stages: log.stageDurations });
 
     return NextResponse.json(response, {
       headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        ...corsHeaders,
+        ...rateLimit.headers,
+        'X-Cache': response.cached ? 'HIT' : 'MISS',
+        'Server-Timing': serverTiming(log.stageDurations, durationMs),
       },
     });
 
   } catch (error: any) {
-    console.error(`[${timestamp}] [Request ${requestId}] ❌ Error occurred:`, error);
-    console.error(`[${timestamp}] [Request ${requestId}] Error message: ${error.message}`);
-    console.error(`[${timestamp}] [Request ${requestId}] Error stack:`, error.stack);
-    console.log(`[${timestamp}] [Request ${requestId}] ==========================================\n`);
+    // The model's output was unusable even after a repair attempt
+    const status = error instanceof VerdictValidationError ? 502 : 500;
+    log.error('Request failed', { status, ...errorFields(error), durationMs: Math.round(performance.now() - started), stages: log.stageDurations });
     return NextResponse.json({ 
       error: `Failed to check tweet: ${error.message}` 
     }, { 
-      status: 500,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-      },
+      status,
+      headers: corsHeaders,
     });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,156 @@
+// app/api/checktweet/stream/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { validateTweetRef } from '@/lib/checks';
+import { getCorsHeaders } from '@/lib/cors';
+import { checkWithCache, FactCheckEvent, validateCheckInput } from '@/lib/factcheck';
+import { ProviderConfigError, Providers, resolveProviders, validateProviderOverrides } from '@/lib/providers';
+import { validateLanguage } from '@/lib/language';
+import { errorFields, logContent, requestLogger } from '@/lib/logger';
+import { checkRateLimit, getClientIp } from '@/lib/ratelimit';
+
+export const maxDuration = 60;
+
+// Handle CORS preflight requests
+export async function OPTIONS(req: NextRequest) {
+  return new NextResponse(null, {
+    status: 200,
+    headers: getCorsHeaders(req),
+  });
+}
+
+// Same check as /api/checktweet, streamed as Server-Sent Events. Each
+// FactCheckEvent becomes one SSE message named after its type; failures end
+// the stream with an `error` event.
+export async function POST(req: NextRequest) {
+  const started = performance.now();
+  const { requestId, log } = requestLogger(req, '/api/checktweet/stream');
+  const corsHeaders = { ...getCorsHeaders(req), 'X-Request-Id': requestId };
+
+  const auth = authenticate(req, corsHeaders);
+  if (!auth.ok) {
+    log.warn('Rejected unauthenticated request');
+    return auth.response;
+  }
+
+  log.info('Request received', { ip: getClientIp(req), apiKey: auth.key?.name || null });
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    body = {};
+  }
+  const providerOverrides = body.providers;
+
+  const input = validateCheckInput(body.text, body.context, body.source);
+  if (!input.ok) {
+    log.warn('Validation failed', { reason: input.error });
+    return NextResponse.json({ error: input.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+  const { text, context, source } = input;
+
+  const tweet = validateTweetRef(body.tweet);
+  if (!tweet.ok) {
+    log.warn('Validation failed', { reason: tweet.error });
+    return NextResponse.json({ error: tweet.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+
+  const language = validateLanguage(body.language);
+  if (!language.ok) {
+    log.warn('Validation failed', { reason: language.error });
+    return NextResponse.json({ error: language.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+
+  log.info('Checking tweet', {
+    text: logContent(text),
+    length: text.length,
+    source,
+    tweetId: tweet.tweet?.id || null,
+    quoted: !!context?.quoted,
+    threadPosts: context?.thread?.length || 0,
+    images: context?.images?.length || 0,
+  });
+
+  const overrides = validateProviderOverrides(providerOverrides);
+  if (!overrides.ok) {
+    log.warn('Validation failed', { reason: overrides.error });
+    return NextResponse.json({ error: overrides.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+
+  let providers: Providers;
+  try {
+    providers = resolveProviders(overrides.overrides);
+  } catch (error) {
+    if (!(error instanceof ProviderConfigError)) throw error;
+    log.error('Provider configuration error', errorFields(error));
+    return NextResponse.json({ error: error.message }, {
+      status: 500,
+      headers: corsHeaders,
+    });
+  }
+
+  const rateLimit = checkRateLimit(req, auth.key, 1, corsHeaders);
+  if (!rateLimit.ok) {
+    log.warn('Rate limited', { retryAfter: rateLimit.response.headers.get('Retry-After') });
+    return rateLimit.response;
+  }
+
+  // A client that goes away cancels the stream, which stops the check before
+  // it spends more search and model calls
+  const abort = new AbortController();
+  let closed = false;
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event: FactCheckEvent | { type: 'error'; error: string }) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+      };
+
+      try {
+        const result = await checkWithCache(text, { log, context, providers, language: language.language, source, tweet: tweet.tweet, onEvent: send, signal: abort.signal });
+        log.info('Stream complete', { cached: !!result.cached, hasIssues: result.hasIssues, durationMs: Math.round(performance.now() - started), stages: log.stageDurations });
+      } catch (error: any) {
+        if (abort.signal.aborted) {
+          log.info('Client disconnected, check stopped', { durationMs: Math.round(performance.now() - started), stages: log.stageDurations });
+        } else {
+          log.error('Stream failed', { ...errorFields(error), durationMs: Math.round(performance.now() - started), stages: log.stageDurations });
+          send({ type: 'error', error: `Failed to check tweet: ${error.message}` });
+        }
+      } finally {
+        if (!closed) {
+          closed = true;
+          controller.close();
+        }
+      }
+    },
+
+    cancel() {
+      closed = true;
+      abort.abort();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      ...corsHeaders,
+      ...rateLimit.headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+    },
+  });
+}
@@ -0,0 +1,154 @@
+// app/api/checktweets/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { cacheKey } from '@/lib/cache';
+import { validateTweetRef } from '@/lib/checks';
+import { mapWithConcurrency } from '@/lib/concurrency';
+import { authenticate } from '@/lib/auth';
+import { getCorsHeaders } from '@/lib/cors';
+import { CheckCopy, checkCopiesWithCache, FactCheckResult, validateCheckInput } from '@/lib/factcheck';
+import { ProviderConfigError, Providers, resolveProviders, validateProviderOverrides } from '@/lib/providers';
+import { validateLanguage } from '@/lib/language';
+import { errorFields, requestLogger, serverTiming } from '@/lib/logger';
+import { checkRateLimit, getClientIp } from '@/lib/ratelimit';
+
+// A batch may take several rounds of checks, so allow the platform maximum
+export const maxDuration = 300;
+
+const MAX_BATCH_SIZE = 20;
+const DEFAULT_CONCURRENCY = 3;
+
+type BatchItemResult =
+  | { id: string; status: 'ok'; result: FactCheckResult }
+  | { id: string; status: 'error'; error: string };
+
+// Handle CORS preflight requests
+export async function OPTIONS(req: NextRequest) {
+  return new NextResponse(null, {
+    status: 200,
+    headers: getCorsHeaders(req),
+  });
+}
+
+// Check many tweets in one call. Body: { "tweets": [{ "id": "...", "text": "...", "context"?: {...}, "tweet"?: {...} }], "language"?: "es" }
+// Returns one entry per distinct id, in input order; a failing item does not fail the batch.
+export async function POST(req: NextRequest) {
+  const started = performance.now();
+  const { requestId, log } = requestLogger(req, '/api/checktweets');
+  const corsHeaders = { ...getCorsHeaders(req), 'X-Request-Id': requestId };
+
+  const auth = authenticate(req, corsHeaders);
+  if (!auth.ok) {
+    log.warn('Rejected unauthenticated request');
+    return auth.response;
+  }
+
+  log.info('Request received', { ip: getClientIp(req), apiKey: auth.key?.name || null });
+
+  let tweets: unknown;
+  let providerOverrides;
+  let requestedLanguage: unknown;
+  try {
+    ({ tweets, providers: providerOverrides, language: requestedLanguage } = await req.json());
+  } catch {
+    tweets = null;
+  }
+
+  if (!Array.isArray(tweets) || tweets.length === 0) {
+    return NextResponse.json({ error: '"tweets" must be a non-empty array of { id, text }' }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+  if (tweets.length > MAX_BATCH_SIZE) {
+    return NextResponse.json({ error: `A batch may contain at most ${MAX_BATCH_SIZE} tweets` }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+  const language = validateLanguage(requestedLanguage);
+  if (!language.ok) {
+    return NextResponse.json({ error: language.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+
+  const overrides = validateProviderOverrides(providerOverrides);
+  if (!overrides.ok) {
+    return NextResponse.json({ error: overrides.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+
+  let providers: Providers;
+  try {
+    providers = resolveProviders(overrides.overrides);
+  } catch (error) {
+    if (!(error instanceof ProviderConfigError)) throw error;
+    log.error('Provider configuration error', errorFields(error));
+    return NextResponse.json({ error: error.message }, {
+      status: 500,
+      headers: corsHeaders,
+    });
+  }
+
+  // Drop repeated ids, validate each item and group ids by normalized text
+  // so duplicate tweets are only checked once. Each tweet of a group is still
+  // stored with its own ref, and its claims are located in its own text.
+  type BatchItem = CheckCopy & { id: string };
+  const ids: string[] = [];
+  const results = new Map<string, BatchItemResult>();
+  const groups = new Map<string, BatchItem[]>();
+  tweets.forEach((tweet: any, index) => {
+    const id = typeof tweet?.id === 'string' && tweet.id ? tweet.id : String(index);
+    if (ids.includes(id)) return;
+    ids.push(id);
+
+    const input = validateCheckInput(tweet?.text, tweet?.context);
+    if (!input.ok) {
+      results.set(id, { id, status: 'error', error: input.error });
+      return;
+    }
+    const ref = validateTweetRef(tweet?.tweet);
+    if (!ref.ok) {
+      results.set(id, { id, status: 'error', error: ref.error });
+      return;
+    }
+    const key = cacheKey(input.text, input.context);
+    const item = { id, text: input.text, context: input.context, tweet: ref.tweet };
+    groups.set(key, [...(groups.get(key) || []), item]);
+  });
+
+  // Each distinct text counts as one check against the caller's limits
+  const rateLimit = checkRateLimit(req, auth.key, groups.size, corsHeaders);
+  if (!rateLimit.ok) {
+    log.warn('Rate limited', { retryAfter: rateLimit.response.headers.get('Retry-After') });
+    return rateLimit.response;
+  }
+
+  const concurrency = Number(process.env.FACTCHECK_BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  const uniqueGroups = Array.from(groups.values());
+  log.info('Checking batch', { tweets: tweets.length, unique: uniqueGroups.length, concurrency });
+
+  await mapWithConcurrency(uniqueGroups, concurrency, async (group, index) => {
+    const itemLog = log.child({ item: index });
+    try {
+      const served = await checkCopiesWithCache(group, { log: itemLog, providers, language: language.language });
+      group.forEach((item, i) => results.set(item.id, { id: item.id, status: 'ok', result: served[i] }));
+    } catch (error: any) {
+      itemLog.error('Check failed', errorFields(error));
+      group.forEach(item => results.set(item.id, { id: item.id, status: 'error', error: `Failed to check tweet: ${error.message}` }));
+    }
+  });
+
+  const ordered = ids.map(id => results.get(id) as BatchItemResult);
+  const failed = ordered.filter(item => item.status === 'error').length;
+
+  const durationMs = Math.round(performance.now() - started);
+  log.info('Batch complete', { ok: ordered.length - failed, failed, durationMs, stages: log.stageDurations });
+
+  return NextResponse.json({ results: ordered }, {
+    headers: { ...corsHeaders, ...rateLimit.headers, 'Server-Timing': serverTiming(log.stageDurations, durationMs) },
+  });
+}
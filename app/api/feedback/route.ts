@@ -0,0 +1,84 @@
+// app/api/feedback/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { getCorsHeaders } from '@/lib/cors';
+import { FeedbackError, recordFeedback, validateFeedback, voterId } from '@/lib/feedback';
+import { errorFields, requestLogger } from '@/lib/logger';
+import { checkRateLimit, findClientIp } from '@/lib/ratelimit';
+
+// Handle CORS preflight requests
+export async function OPTIONS(req: NextRequest) {
+  return new NextResponse(null, {
+    status: 200,
+    headers: getCorsHeaders(req),
+  });
+}
+
+// Vote on one flagged phrase of a result. Body:
+// { "checkId": "...", "vote": "up" | "down" | "wrong_correction",
+//   "claim": { "incorrect", "correction", "part"?, "image"? }, "comment"?, "tweetUrl"?,
+//   "voter"? }
+// The claim must be one flagged in the result, which must still be cached.
+// "voter" is a random id per client; without one, voters are told apart by IP.
+// Votes take from the same rate limits as checks. Returns the vote counts for
+// the check and whether it is now disputed.
+export async function POST(req: NextRequest) {
+  const { requestId, log } = requestLogger(req, '/api/feedback');
+  const corsHeaders = { ...getCorsHeaders(req), 'X-Request-Id': requestId };
+
+  const auth = authenticate(req, corsHeaders);
+  if (!auth.ok) {
+    log.warn('Rejected unauthenticated request');
+    return auth.response;
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    body = {};
+  }
+
+  const input = validateFeedback(body);
+  if (!input.ok) {
+    log.warn('Feedback validation failed', { reason: input.error });
+    return NextResponse.json({ error: input.error }, {
+      status: 400,
+      headers: corsHeaders,
+    });
+  }
+
+  const rateLimit = checkRateLimit(req, auth.key, 1, corsHeaders);
+  if (!rateLimit.ok) {
+    log.warn('Rate limited', { retryAfter: rateLimit.response.headers.get('Retry-After') });
+    return rateLimit.response;
+  }
+
+  const voter = voterId({ voter: input.voter, ip: findClientIp(req), keyName: auth.key?.name });
+  if (!voter) {
+    log.warn('Feedback validation failed', { reason: 'no voter' });
+    return NextResponse.json({ error: '"voter" is required when the client IP is unknown' }, {
+      status: 400,
+      headers: { ...corsHeaders, ...rateLimit.headers },
+    });
+  }
+
+  try {
+    const { record, counts } = await recordFeedback(input, voter);
+    log.info('Feedback recorded', { vote: input.vote, checkId: input.checkId, ...counts });
+    return NextResponse.json({ id: record.id, ...counts }, { headers: { ...corsHeaders, ...rateLimit.headers } });
+  } catch (error: any) {
+    if (error instanceof FeedbackError) {
+      log.warn('Feedback rejected', { status: error.status, reason: error.message });
+      return NextResponse.json({ error: error.message }, {
+        status: error.status,
+        headers: { ...corsHeaders, ...rateLimit.headers },
+      });
+    }
+    log.error('Could not store feedback', errorFields(error));
+    return NextResponse.json({ error: `Failed to store feedback: ${error.message}` }, {
+      status: 500,
+      headers: corsHeaders,
+    });
+  }
+}
@@ -1,10 +1,33 @@
 // app/api/health/route.ts
-import { NextResponse } from 'next/server';
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticate, getApiKeys } from '@/lib/auth';
+import { getCorsHeaders } from '@/lib/cors';
+import { getHealth } from '@/lib/health';
 
-export async function GET() {
-  return NextResponse.json({ 
-    status: 'ok',
-    service: 'twitter-fact-checker',
-    timestamp: new Date().toISOString()
+// Handle CORS preflight requests
+export async function OPTIONS(req: NextRequest) {
+  return new NextResponse(null, {
+    status: 200,
+    headers: getCorsHeaders(req),
   });
-}
\ No newline at end of file
+}
+
+// Configuration of each provider, store status, version and uptime. With
+// ?deep=1 each provider also gets one cheap call; that costs money, so it
+// needs an API key when keys are configured. Responds 503 when checks
+// cannot run, so it doubles as a readiness probe.
+export async function GET(req: NextRequest) {
+  const corsHeaders = getCorsHeaders(req);
+  const deep = ['1', 'true'].includes(req.nextUrl.searchParams.get('deep') || '');
+
+  if (deep) {
+    const auth = authenticate(req, corsHeaders);
+    if (!auth.ok) return auth.response;
+  }
+
+  const health = await getHealth({ deep, authRequired: getApiKeys().length > 0 });
+  return NextResponse.json(health, {
+    status: health.status === 'down' ? 503 : 200,
+    headers: { ...corsHeaders, 'Cache-Control': 'no-store' },
+  });
+}
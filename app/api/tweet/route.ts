@@ -0,0 +1,41 @@
+// app/api/tweet/route.ts
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { getCorsHeaders } from '@/lib/cors';
+import { requestLogger } from '@/lib/logger';
+import { fetchTweet, TweetLookupError } from '@/lib/tweets';
+
+// Handle CORS preflight requests
+export async function OPTIONS(req: NextRequest) {
+  return new NextResponse(null, {
+    status: 200,
+    headers: getCorsHeaders(req),
+  });
+}
+
+// Text of a public tweet by its URL, for checking tweets from outside X.
+// Query: url=https://x.com/<user>/status/<id>. Returns { text, tweet }, which
+// can be passed on to /api/checktweet as is.
+export async function GET(req: NextRequest) {
+  const { requestId, log } = requestLogger(req, '/api/tweet');
+  const corsHeaders = { ...getCorsHeaders(req), 'X-Request-Id': requestId };
+
+  const auth = authenticate(req, corsHeaders);
+  if (!auth.ok) {
+    log.warn('Rejected unauthenticated request');
+    return auth.response;
+  }
+
+  try {
+    const tweet = await fetchTweet(req.nextUrl.searchParams.get('url') || '');
+    log.info('Tweet read', { tweetId: tweet.tweet.id, length: tweet.text.length });
+    return NextResponse.json(tweet, { headers: corsHeaders });
+  } catch (error) {
+    if (!(error instanceof TweetLookupError)) throw error;
+    log.warn('Tweet lookup failed', { status: error.status, reason: error.message });
+    return NextResponse.json({ error: error.message }, {
+      status: error.status,
+      headers: corsHeaders,
+    });
+  }
+}
@@ -0,0 +1,88 @@
+// app/checks/[id]/page.tsx
+import type { Metadata } from 'next';
+import { headers } from 'next/headers';
+import { notFound } from 'next/navigation';
+import { CheckedText, ReviewNote, StatusBadge, statusLabel, VerdictDetails } from '@/app/components/Verdict';
+import styles from '@/app/components/verdict.module.css';
+import { getCheckStore, StoredCheck } from '@/lib/checks';
+import { claimReviews, publicUrl } from '@/lib/export';
+import { servedCheckResult } from '@/lib/review';
+
+// Verdicts change when readers dispute them or reviewers edit them, so never
+// serve a stale page
+export const dynamic = 'force-dynamic';
+
+// The stored check, as the model and any reviewer left it
+async function loadStoredCheck(id: string): Promise<StoredCheck> {
+  const check = await getCheckStore()?.get(id);
+  if (!check) notFound();
+  return check;
+}
+
+// The check with its result as served: reviewed, or withheld while it awaits review
+async function loadCheck(id: string): Promise<StoredCheck> {
+  const check = await loadStoredCheck(id);
+  return { ...check, result: servedCheckResult(check) };
+}
+
+// This page's origin, as the browser asked for it, when PUBLIC_URL is not set
+function requestOrigin(): string | undefined {
+  const requestHeaders = headers();
+  const host = requestHeaders.get('x-forwarded-host') || requestHeaders.get('host');
+  return host ? `${requestHeaders.get('x-forwarded-proto') || 'http'}://${host}` : undefined;
+}
+
+export async function generateMetadata({ params }: { params: { id: string } }): Promise<Metadata> {
+  const { result } = await loadCheck(params.id);
+  const title = `Fact-check: ${statusLabel(result)}`;
+  return {
+    title,
+    description: result.summary,
+    openGraph: { title, description: result.summary },
+  };
+}
+
+// Shareable page for one stored check: the text as checked with its flagged
+// phrases, the verdict on each claim and the sources
+export default async function CheckPage({ params }: { params: { id: string } }) {
+  const stored = await loadStoredCheck(params.id);
+  const check = { ...stored, result: servedCheckResult(stored) };
+  const { result } = check;
+  // ClaimReview markup for search engines, one per flagged phrase
+  const baseUrl = publicUrl(requestOrigin());
+  const markup = baseUrl ? claimReviews(stored, baseUrl) : [];
+
+  return (
+    <main className={styles.page}>
+      {markup.length > 0 && (
+        <script
+          type="application/ld+json"
+          // Escape "<" so text in the markup cannot close the script element
+          dangerouslySetInnerHTML={{ __html: JSON.stringify(markup).replace(/</g, '\\u003c') }}
+        />
+      )}
+      <h1 className={styles.header}>🔍 Fact-check</h1>
+      <p className={styles.meta}>
+        {check.source === 'selection' ? 'Selected text' : check.tweet?.author ? `Post by @${check.tweet.author}` : 'Post'}
+        {' · checked '}
+        <time dateTime={check.createdAt}>{new Date(check.createdAt).toUTCString()}</time>
+        {check.tweet?.url && (
+          <>
+            {' · '}
+            <a href={check.tweet.url} target="_blank" rel="noopener noreferrer">View original</a>
+          </>
+        )}
+      </p>
+
+      <StatusBadge result={result} />
+      <ReviewNote result={result} />
+      <CheckedText text={check.text} quoted={check.context?.quoted} claims={result.claims} />
+      {result.summary && <p>{result.summary}</p>}
+      <VerdictDetails result={result} />
+
+      <p className={styles.footer}>
+        Checked with {check.model} ({result.pipeline} pipeline). Automated fact-checks can be wrong; follow the sources.
+      </p>
+    </main>
+  );
+}
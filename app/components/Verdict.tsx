@@ -0,0 +1,122 @@
+// app/components/Verdict.tsx
+// Pieces of a check's result shared by the permalink, check and review
+// pages. No state or effects, so server and client components can use them.
+import type { Claim, ClaimVerdict, FactCheckResult, Source } from '@/lib/factcheck';
+import styles from './verdict.module.css';
+
+const VERDICT_LABELS: Record<ClaimVerdict['verdict'], string> = {
+  supported: '✓ Supported',
+  refuted: '✗ Refuted',
+  unverifiable: '? Unverifiable',
+  opinion: '💬 Opinion',
+};
+
+export function statusLabel(result: FactCheckResult): string {
+  if (result.review?.status === 'pending') return '⏳ Awaiting review';
+  if (result.disputed) return '⚠️ Disputed by readers';
+  const issues = result.claims.length;
+  return result.hasIssues && issues > 0 ? `${issues} issue${issues === 1 ? '' : 's'} found` : '✓ No issues found';
+}
+
+export function StatusBadge({ result }: { result: FactCheckResult }) {
+  const statusClass = result.review?.status === 'pending'
+    ? styles.pending
+    : result.disputed ? styles.disputed : result.hasIssues ? styles.issues : styles.ok;
+  return <div className={`${styles.status} ${statusClass}`}>{statusLabel(result)}</div>;
+}
+
+// The text with each flagged phrase marked and followed by its correction,
+// like the extension shows it. Claim offsets index into `text`.
+export function Highlighted({ text, claims }: { text: string; claims: Claim[] }) {
+  const nodes: JSX.Element[] = [];
+  let position = 0;
+  claims
+    .filter(claim => claim.end > claim.start)
+    .sort((a, b) => a.start - b.start)
+    .forEach((claim, index) => {
+      if (claim.start < position) return; // Overlaps the previous phrase
+      nodes.push(<span key={`text-${index}`}>{text.slice(position, claim.start)}</span>);
+      nodes.push(
+        <span key={`claim-${index}`} className={styles.incorrect} title={`Confidence: ${claim.confidence}`}>
+          {text.slice(claim.start, claim.end)}
+        </span>
+      );
+      nodes.push(<span key={`correction-${index}`} className={styles.correction}>→ {claim.correction}</span>);
+      position = claim.end;
+    });
+  nodes.push(<span key="rest">{text.slice(position)}</span>);
+  return <>{nodes}</>;
+}
+
+// The checked text, and the quoted post when there is one
+export function CheckedText({ text, quoted, claims }: { text: string; quoted?: string; claims: Claim[] }) {
+  return (
+    <div className={styles.text}>
+      <Highlighted text={text} claims={claims.filter(claim => claim.part === 'main')} />
+      {quoted && (
+        <p className={styles.quoted}>
+          <Highlighted text={quoted} claims={claims.filter(claim => claim.part === 'quoted')} />
+        </p>
+      )}
+    </div>
+  );
+}
+
+export function SourceList({ sources }: { sources: Source[] }) {
+  const links = sources.filter(source => /^https?:\/\//.test(source.url));
+  if (links.length === 0) return null;
+  return (
+    <ol className={styles.sources}>
+      {links.map(source => (
+        <li key={source.url}>
+          <a href={source.url} target="_blank" rel="noopener noreferrer">
+            {source.title || new URL(source.url).hostname}
+          </a>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// The verdict on each claim with its sources, then every source consulted
+export function VerdictDetails({ result }: { result: FactCheckResult }) {
+  return (
+    <>
+      {result.verdicts.length > 0 && (
+        <>
+          <h2 className={styles.section}>Claims</h2>
+          <ul className={styles.verdicts}>
+            {result.verdicts.map((verdict, index) => (
+              <li key={index}>
+                <span className={styles.verdict}>{VERDICT_LABELS[verdict.verdict]}</span>
+                {verdict.claim}
+                {verdict.correction && <div className={styles.correction}>→ {verdict.correction}</div>}
+                <p>{verdict.explanation}</p>
+                <SourceList sources={verdict.sources} />
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {result.sources.length > 0 && (
+        <>
+          <h2 className={styles.section}>Sources</h2>
+          <SourceList sources={result.sources} />
+        </>
+      )}
+    </>
+  );
+}
+
+// Who reviewed the result, when it was
+export function ReviewNote({ result }: { result: FactCheckResult }) {
+  const review = result.review;
+  if (!review || review.status === 'pending' || !review.reviewedAt) return null;
+  const action = { confirmed: 'Verdict confirmed', edited: 'Verdict edited', rejected: 'Verdict rejected' }[review.status];
+  return (
+    <p className={styles.reviewed}>
+      {action} by {review.reviewer || 'a reviewer'} on <time dateTime={review.reviewedAt}>{new Date(review.reviewedAt).toUTCString()}</time>
+    </p>
+  );
+}
@@ -0,0 +1,28 @@
+// app/components/useStoredValue.ts
+'use client';
+import { useEffect, useState } from 'react';
+
+// A text setting kept in this browser's localStorage, e.g. an API key.
+// Empty until the page has loaded, since the server has no localStorage.
+export function useStoredValue(key: string): [string, (value: string) => void] {
+  const [value, setValue] = useState('');
+
+  useEffect(() => {
+    setValue(localStorage.getItem(key) || '');
+  }, [key]);
+
+  const update = (next: string) => {
+    setValue(next);
+    if (next) {
+      localStorage.setItem(key, next);
+    } else {
+      localStorage.removeItem(key);
+    }
+  };
+  return [value, update];
+}
+
+// Headers for the API routes, with the key as a bearer token when set
+export function apiHeaders(key: string, headers: Record<string, string> = {}): Record<string, string> {
+  return key ? { ...headers, 'Authorization': `Bearer ${key}` } : headers;
+}
@@ -0,0 +1,24 @@
+// app/layout.tsx
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import type { ReactNode } from 'react';
+import styles from './layout.module.css';
+
+export const metadata: Metadata = {
+  title: 'Twitter Fact Checker',
+};
+
+export default function RootLayout({ children }: { children: ReactNode }) {
+  return (
+    <html lang="en">
+      <body style={{ margin: 0, background: '#f7f9f9' }}>
+        <nav className={styles.nav}>
+          <Link href="/" className={styles.brand}>🔍 Fact Checker</Link>
+          <Link href="/">Check</Link>
+          <Link href="/review">Review queue</Link>
+        </nav>
+        {children}
+      </body>
+    </html>
+  );
+}
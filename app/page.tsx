@@ -0,0 +1,177 @@
+// app/page.tsx
+'use client';
+import { FormEvent, useState } from 'react';
+import forms from '@/app/components/forms.module.css';
+import { apiHeaders, useStoredValue } from '@/app/components/useStoredValue';
+import { CheckedText, ReviewNote, StatusBadge, VerdictDetails } from '@/app/components/Verdict';
+import styles from '@/app/components/verdict.module.css';
+import type { TweetRef } from '@/lib/checks';
+import type { FactCheckEvent, FactCheckResult } from '@/lib/factcheck';
+
+const API_KEY_STORAGE_KEY = 'factcheck_api_key';
+const TWEET_URL = /^https:\/\/(?:www\.|mobile\.)?(?:x|twitter)\.com\/[A-Za-z0-9_]{1,15}\/status\/\d+\S*$/;
+
+type StreamEvent = FactCheckEvent | { type: 'error'; error: string };
+
+// Parse a Server-Sent Events body into its JSON events
+async function* readEvents(response: Response): AsyncGenerator<StreamEvent> {
+  const reader = (response.body as ReadableStream<Uint8Array>).getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = message.split('\n').find(line => line.startsWith('data: '));
+      if (data) yield JSON.parse(data.slice(6));
+    }
+  }
+}
+
+// One line of progress per pipeline event, like the extension's status text
+function stepLabel(event: FactCheckEvent): string | null {
+  switch (event.type) {
+    case 'images_read':
+      return `🖼️ Read text from ${event.images.length} image${event.images.length === 1 ? '' : 's'}`;
+    case 'search_started':
+      return event.claim ? `🔍 Searching: ${event.claim}` : '🔍 Searching sources...';
+    case 'sources_found':
+      return `📚 Found ${event.sources.length} source${event.sources.length === 1 ? '' : 's'}`;
+    case 'claims_extracted':
+      return event.count > 0 ? `🧠 Verifying ${event.count} claim${event.count === 1 ? '' : 's'}...` : '🧠 No checkable claims, finalizing...';
+    case 'claim_verified':
+      return `${event.verdict.verdict === 'refuted' ? '✗ Refuted' : '✓ Checked'}: ${event.verdict.claim}`;
+    case 'verdict':
+      return '✅ Done';
+    default:
+      return null;
+  }
+}
+
+async function errorMessage(response: Response): Promise<string> {
+  const body = await response.json().catch(() => ({}));
+  return body.error || `HTTP ${response.status}`;
+}
+
+// Check pasted text or a tweet by its URL, with the same pipeline as the
+// extension, and watch it run
+export default function CheckPage() {
+  const [apiKey, setApiKey] = useStoredValue(API_KEY_STORAGE_KEY);
+  const [input, setInput] = useState('');
+  const [running, setRunning] = useState(false);
+  const [steps, setSteps] = useState<string[]>([]);
+  const [checked, setChecked] = useState<{ text: string; tweet?: TweetRef } | null>(null);
+  const [result, setResult] = useState<FactCheckResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const addStep = (step: string) => setSteps(current => [...current, step]);
+
+  async function check(event: FormEvent) {
+    event.preventDefault();
+    setRunning(true);
+    setSteps([]);
+    setChecked(null);
+    setResult(null);
+    setError(null);
+
+    try {
+      let text = input.trim();
+      let tweet: TweetRef | undefined;
+      // Pasted text is checked like a selection; a tweet by its URL like a tweet
+      let source = 'selection';
+      if (TWEET_URL.test(text)) {
+        addStep('🐦 Reading the tweet...');
+        const response = await fetch(`/api/tweet?url=${encodeURIComponent(text)}`, { headers: apiHeaders(apiKey) });
+        if (!response.ok) throw new Error(await errorMessage(response));
+        ({ text, tweet } = await response.json());
+        source = 'tweet';
+      }
+      setChecked({ text, tweet });
+
+      const response = await fetch('/api/checktweet/stream', {
+        method: 'POST',
+        headers: apiHeaders(apiKey, { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' }),
+        body: JSON.stringify({ text, source, tweet }),
+      });
+      if (!response.ok) throw new Error(await errorMessage(response));
+
+      for await (const streamEvent of readEvents(response)) {
+        if (streamEvent.type === 'error') throw new Error(streamEvent.error);
+        if (streamEvent.type === 'verdict') setResult(streamEvent.result);
+        const step = stepLabel(streamEvent);
+        if (step) addStep(step);
+      }
+    } catch (checkError: any) {
+      setError(checkError.message);
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  return (
+    <main className={styles.page}>
+      <h1 className={styles.header}>Check a post</h1>
+      <p className={styles.meta}>Paste text to fact-check, or the URL of a public tweet.</p>
+
+      <form className={forms.form} onSubmit={check}>
+        <textarea
+          className={forms.textarea}
+          value={input}
+          onChange={event => setInput(event.target.value)}
+          placeholder="https://x.com/user/status/123, or any text"
+          required
+        />
+        <div className={forms.row}>
+          <button className={forms.button} type="submit" disabled={running || !input.trim()}>
+            {running ? 'Checking...' : 'Check'}
+          </button>
+        </div>
+        <details className={forms.settings}>
+          <summary>API key</summary>
+          <label>
+            Needed when the server has API keys configured. Kept in this browser only.
+            <input className={forms.input} type="password" value={apiKey} onChange={event => setApiKey(event.target.value.trim())} />
+          </label>
+        </details>
+      </form>
+
+      {steps.length > 0 && (
+        <ul className={forms.muted}>
+          {steps.map((step, index) => <li key={index}>{step}</li>)}
+        </ul>
+      )}
+      {error && <p className={forms.error}>❌ {error}</p>}
+
+      {checked && result && (
+        <>
+          <h2 className={styles.section}>Result</h2>
+          {checked.tweet?.author && (
+            <p className={styles.meta}>
+              Post by @{checked.tweet.author}
+              {checked.tweet.url && (
+                <>
+                  {' · '}
+                  <a href={checked.tweet.url} target="_blank" rel="noopener noreferrer">View original</a>
+                </>
+              )}
+            </p>
+          )}
+          <StatusBadge result={result} />
+          <ReviewNote result={result} />
+          <CheckedText text={checked.text} claims={result.claims} />
+          {result.summary && <p>{result.summary}</p>}
+          <VerdictDetails result={result} />
+          {result.recordId && (
+            <p className={styles.footer}>
+              <a href={`/checks/${result.recordId}`}>Permalink to share this check</a>
+            </p>
+          )}
+        </>
+      )}
+    </main>
+  );
+}
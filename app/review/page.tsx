@@ -0,0 +1,237 @@
+// app/review/page.tsx
+'use client';
+import { useCallback, useEffect, useState } from 'react';
+import forms from '@/app/components/forms.module.css';
+import { apiHeaders, useStoredValue } from '@/app/components/useStoredValue';
+import { CheckedText, ReviewNote, VerdictDetails } from '@/app/components/Verdict';
+import styles from '@/app/components/verdict.module.css';
+import type { StoredCheck } from '@/lib/checks';
+import type { Claim } from '@/lib/factcheck';
+import type { Review, ReviewStatus } from '@/lib/review';
+import page from './page.module.css';
+
+const ADMIN_KEY_STORAGE_KEY = 'factcheck_admin_key';
+const REVIEWER_STORAGE_KEY = 'factcheck_reviewer';
+
+const TABS: { status: ReviewStatus | 'pending'; label: string }[] = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'confirmed', label: 'Confirmed' },
+  { status: 'edited', label: 'Edited' },
+  { status: 'rejected', label: 'Rejected' },
+];
+
+function sameSpan(a: Claim, b: Claim): boolean {
+  return a.part === b.part && a.image === b.image && a.start === b.start && a.end === b.end;
+}
+
+// One flagged check: the model's claims, each of which can be kept with its
+// correction edited or dropped, and the summary
+function ReviewCard({ check, adminKey, reviewer, onReviewed }: {
+  check: StoredCheck;
+  adminKey: string;
+  reviewer: string;
+  onReviewed: (review: Review) => void;
+}) {
+  const claims = check.result.claims;
+  // Start from the current review, if any, so a decision can be revised
+  const reviewed = check.review?.result.claims;
+  const [kept, setKept] = useState(() => claims.map(claim => !reviewed || reviewed.some(other => sameSpan(claim, other))));
+  const [corrections, setCorrections] = useState(() =>
+    claims.map(claim => reviewed?.find(other => sameSpan(claim, other))?.correction ?? claim.correction)
+  );
+  const [summary, setSummary] = useState(check.review?.result.summary ?? check.result.summary);
+  const [note, setNote] = useState(check.review?.note ?? '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function submit(status: ReviewStatus) {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/admin/reviews', {
+        method: 'POST',
+        headers: apiHeaders(adminKey, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          recordId: check.id,
+          status,
+          ...(status === 'edited' && {
+            claims: claims.flatMap((_, index) => (kept[index] ? [{ index, correction: corrections[index] }] : [])),
+          }),
+          ...(status !== 'confirmed' && summary !== check.result.summary && { summary }),
+          ...(note.trim() && { note }),
+          ...(reviewer && { reviewer }),
+        }),
+      });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+      onReviewed(body.review);
+    } catch (reviewError: any) {
+      setError(reviewError.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const edited = claims.some((claim, index) => !kept[index] || corrections[index] !== claim.correction) || summary !== check.result.summary;
+
+  return (
+    <article className={page.card}>
+      <p className={styles.meta}>
+        {check.source === 'selection' ? 'Selected text' : check.tweet?.author ? `@${check.tweet.author}` : 'Post'}
+        {' · '}
+        <time dateTime={check.createdAt}>{new Date(check.createdAt).toUTCString()}</time>
+        {check.tweet?.url && (
+          <>
+            {' · '}
+            <a href={check.tweet.url} target="_blank" rel="noopener noreferrer">Original</a>
+          </>
+        )}
+        {' · '}
+        <a href={`/checks/${check.id}`} target="_blank" rel="noopener noreferrer">Permalink</a>
+        {check.disputed && ' · ⚠️ Disputed by readers'}
+      </p>
+      {check.review && <ReviewNote result={{ ...check.review.result, review: check.review }} />}
+      {check.review?.note && <p className={forms.muted}>Note: {check.review.note}</p>}
+
+      <CheckedText text={check.text} quoted={check.context?.quoted} claims={claims.filter((_, index) => kept[index])} />
+
+      {claims.map((claim, index) => (
+        <div key={index} className={page.claim}>
+          <label className={page.keep}>
+            <input type="checkbox" checked={kept[index]} onChange={event => setKept(kept.map((value, i) => (i === index ? event.target.checked : value)))} />
+            <span className={styles.incorrect}>{claim.incorrect}</span>
+            {claim.part !== 'main' && <span className={forms.muted}> ({claim.part === 'image' ? 'image' : 'quoted post'})</span>}
+            <span className={forms.muted}> · {claim.confidence} confidence</span>
+          </label>
+          <input
+            className={forms.input}
+            value={corrections[index]}
+            disabled={!kept[index]}
+            onChange={event => setCorrections(corrections.map((value, i) => (i === index ? event.target.value : value)))}
+            aria-label={`Correction for "${claim.incorrect}"`}
+          />
+        </div>
+      ))}
+
+      <label className={page.field}>
+        Summary
+        <textarea className={forms.textarea} value={summary} onChange={event => setSummary(event.target.value)} />
+      </label>
+      <label className={page.field}>
+        Note (not shown to readers)
+        <input className={forms.input} value={note} onChange={event => setNote(event.target.value)} />
+      </label>
+
+      <details className={forms.settings}>
+        <summary>The model&apos;s reasoning and sources</summary>
+        <VerdictDetails result={check.result} />
+      </details>
+
+      <div className={`${forms.row} ${page.actions}`}>
+        <button className={forms.button} disabled={saving} onClick={() => submit('confirmed')}>Confirm</button>
+        <button className={`${forms.button} ${forms.secondary}`} disabled={saving || !edited} onClick={() => submit('edited')}>Save edits</button>
+        <button className={`${forms.button} ${forms.danger}`} disabled={saving} onClick={() => submit('rejected')}>Reject</button>
+      </div>
+      {error && <p className={forms.error}>❌ {error}</p>}
+    </article>
+  );
+}
+
+// Review queue: flagged checks awaiting a decision, and past decisions. What
+// a reviewer approves is what the extension and the permalinks show.
+export default function ReviewPage() {
+  const [adminKey, setAdminKey] = useStoredValue(ADMIN_KEY_STORAGE_KEY);
+  const [reviewer, setReviewer] = useStoredValue(REVIEWER_STORAGE_KEY);
+  const [status, setStatus] = useState<ReviewStatus | 'pending'>('pending');
+  const [checks, setChecks] = useState<StoredCheck[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async (cursor?: string) => {
+    if (!adminKey) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ status, ...(cursor && { cursor }) });
+      const response = await fetch(`/api/admin/reviews?${params}`, { headers: apiHeaders(adminKey) });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+      setChecks(current => (cursor ? [...current, ...body.checks] : body.checks));
+      setNextCursor(body.nextCursor);
+    } catch (loadError: any) {
+      setError(loadError.message);
+      if (!cursor) setChecks([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [adminKey, status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Reviewed checks leave the tab unless they still belong in it
+  function onReviewed(check: StoredCheck, review: Review) {
+    setChecks(current => current.flatMap(other => {
+      if (other.id !== check.id) return [other];
+      return review.status === status ? [{ ...other, review }] : [];
+    }));
+  }
+
+  return (
+    <main className={styles.page}>
+      <h1 className={styles.header}>Review queue</h1>
+      <p className={styles.meta}>
+        Confirm, edit or reject flagged verdicts. Decisions apply to every reader from then on.
+      </p>
+
+      <div className={page.settings}>
+        <label>
+          Admin key
+          <input className={forms.input} type="password" value={adminKey} onChange={event => setAdminKey(event.target.value.trim())} />
+        </label>
+        <label>
+          Your name (shown with your reviews)
+          <input className={forms.input} value={reviewer} onChange={event => setReviewer(event.target.value)} />
+        </label>
+      </div>
+
+      <div className={page.tabs} role="tablist">
+        {TABS.map(tab => (
+          <button
+            key={tab.status}
+            role="tab"
+            aria-selected={tab.status === status}
+            className={tab.status === status ? page.activeTab : page.tab}
+            onClick={() => setStatus(tab.status)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {!adminKey && <p className={forms.muted}>Enter the admin key (ADMIN_API_KEY) to load the queue.</p>}
+      {error && <p className={forms.error}>❌ {error}</p>}
+      {adminKey && !loading && !error && checks.length === 0 && (
+        <p className={forms.muted}>{status === 'pending' ? 'Nothing to review.' : 'No checks here yet.'}</p>
+      )}
+
+      {checks.map(check => (
+        <ReviewCard
+          key={`${check.id}-${check.review?.reviewedAt || ''}`}
+          check={check}
+          adminKey={adminKey}
+          reviewer={reviewer}
+          onReviewed={review => onReviewed(check, review)}
+        />
+      ))}
+
+      {nextCursor && (
+        <button className={`${forms.button} ${forms.secondary}`} disabled={loading} onClick={() => load(nextCursor)}>
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </main>
+  );
+}
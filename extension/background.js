@@ -0,0 +1,780 @@
+// Background service worker: owns the check queue, the result cache and every
+// call to the backend, shared by all tabs. Content scripts talk to it over
+// ports ("check", "batch") and messages. Also adds the "Fact-check selection"
+// context menu, which checks text selected on any page and shows the verdict
+// in an overlay.
+const BACKEND_URL_KEY = 'backend_url';
+const API_TOKEN_KEY = 'api_token';
+const LANGUAGE_KEY = 'output_language';
+const DEBUG_KEY = 'debug_logging';
+// Random id sent with votes, so users sharing an API key count as separate voters
+const VOTER_ID_KEY = 'voter_id';
+const DEFAULT_BACKEND_URL = 'http://localhost:3000';
+const OUTPUT_LANGUAGES = ['en', 'es', 'fr', 'de', 'pt', 'ar', 'ja', 'hi'];
+const MENU_ID = 'factcheck-selection';
+
+// Result cache, persisted in chrome.storage.local
+const CACHE_KEY = 'twitter_factcheck_cache';
+const CACHE_EXPIRY_DAYS = 7; // Cache for 7 days
+const PENDING_REVIEW_EXPIRY_MINUTES = 10; // Results awaiting review are asked for again sooner
+const MAX_CACHE_BYTES = 4 * 1024 * 1024; // storage.local holds 10 MB in total, history included
+const CACHE_SAVE_DELAY_MS = 1000;
+
+// Check history shown in the popup dashboard
+const HISTORY_KEY = 'twitter_factcheck_history';
+const MAX_HISTORY_ENTRIES = 500; // Oldest entries are dropped beyond this
+const MAX_HISTORY_TEXT_LENGTH = 500;
+
+// Rate limiting, across all tabs
+const MIN_REQUEST_INTERVAL = 3000; // 3 seconds between requests
+const DEFAULT_RETRY_AFTER = 30; // Seconds, if a 429 has no usable Retry-After
+const MAX_BATCH_ATTEMPTS = 3; // A rate-limited batch is retried after Retry-After
+const KEEPALIVE_INTERVAL_MS = 20000; // Below the worker's 30-second idle timeout
+
+// Results by tweet identity ("status:<id>", or "text:<hash>" for tweets
+// without a status link), least recently used first. Entries from older
+// versions are keyed by a bare hash of the tweet text; they are moved to the
+// tweet's identity the first time that tweet is seen again.
+const cache = new Map();
+const entrySizes = new Map(); // Key -> approximate stored size in bytes
+let cacheSize = 0;
+let cacheLoaded = null;
+let cacheSaveTimer = null;
+let historyWrite = Promise.resolve(); // Serializes history writes
+
+// Requests waiting for their turn, oldest first. One runs at a time.
+const queue = [];
+let queueRunning = false;
+let lastRequestTime = 0;
+let rateLimitedUntil = 0; // Set from the backend's Retry-After on 429
+
+// Checks queued or running, by tweet identity and output language, so a tweet
+// open in several tabs is only checked once
+const jobs = new Map();
+
+// Console logging (set on the options page). Errors are always logged.
+let debugLogging = false;
+
+// Log only when debug logging is on
+function debugLog(...args) {
+  if (debugLogging) {
+    console.log(...args);
+  }
+}
+
+// Id sent as X-Request-Id, so a check can be found in the backend's logs
+function newRequestId() {
+  return `ext-${crypto.randomUUID()}`;
+}
+
+// Output language from the popup setting, falling back to the browser's
+// language when it is supported and to English otherwise
+function resolveOutputLanguage(setting) {
+  if (OUTPUT_LANGUAGES.includes(setting)) return setting;
+  const browserLanguage = (navigator.language || '').split('-')[0];
+  return OUTPUT_LANGUAGES.includes(browserLanguage) ? browserLanguage : 'en';
+}
+
+// Settings are read for every request: the worker may have been restarted
+// since they last changed
+async function loadSettings() {
+  const result = await chrome.storage.local.get([BACKEND_URL_KEY, API_TOKEN_KEY, LANGUAGE_KEY, DEBUG_KEY]);
+  debugLogging = result[DEBUG_KEY] === true;
+  return {
+    backendUrl: result[BACKEND_URL_KEY] || DEFAULT_BACKEND_URL,
+    apiToken: result[API_TOKEN_KEY] || '',
+    language: resolveOutputLanguage(result[LANGUAGE_KEY]),
+  };
+}
+
+// Headers for backend requests, including the API token when one is set
+function backendHeaders(settings, extra = {}) {
+  const headers = { 'Content-Type': 'application/json', ...extra };
+  if (settings.apiToken) {
+    headers['Authorization'] = `Bearer ${settings.apiToken}`;
+  }
+  return headers;
+}
+
+// Wait without the worker being stopped as idle: every extension API call
+// resets its idle timer
+async function wait(ms) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(until - Date.now(), KEEPALIVE_INTERVAL_MS)));
+    await chrome.runtime.getPlatformInfo();
+  }
+}
+
+// --- Cache ---
+
+// Load the stored cache once per worker start, dropping expired entries
+function loadCache() {
+  cacheLoaded ??= chrome.storage.local.get(CACHE_KEY).then(stored => {
+    const now = Date.now();
+    Object.entries(stored[CACHE_KEY] || {})
+      .filter(([, entry]) => entry.expiry > now)
+      .sort(([, a], [, b]) => (a.lastUsed || a.cachedAt || 0) - (b.lastUsed || b.cachedAt || 0))
+      .forEach(([key, entry]) => putEntry(key, entry));
+    evictEntries();
+    debugLog(`[FactCheck] Loaded ${cache.size} cached results (${Math.round(cacheSize / 1024)} KB)`);
+  }).catch(error => {
+    console.error('[FactCheck] Error loading cache:', error);
+  });
+  return cacheLoaded;
+}
+
+// Add or replace an entry as the most recently used
+function putEntry(key, entry) {
+  deleteEntry(key);
+  const size = key.length + JSON.stringify(entry).length;
+  cache.set(key, entry);
+  entrySizes.set(key, size);
+  cacheSize += size;
+}
+
+function deleteEntry(key) {
+  if (!cache.has(key)) return;
+  cacheSize -= entrySizes.get(key);
+  cache.delete(key);
+  entrySizes.delete(key);
+}
+
+// Drop the least recently used entries until the cache fits its size cap
+function evictEntries() {
+  for (const key of cache.keys()) {
+    if (cacheSize <= MAX_CACHE_BYTES) break;
+    deleteEntry(key);
+    debugLog(`[FactCheck] 🗑️ Evicted ${key} from the cache`);
+  }
+}
+
+// Write the whole cache shortly after it changes. Only this worker writes it,
+// so tabs can no longer overwrite each other's entries.
+function scheduleCacheSave() {
+  if (cacheSaveTimer) return;
+  cacheSaveTimer = setTimeout(async () => {
+    cacheSaveTimer = null;
+    try {
+      await chrome.storage.local.set({ [CACHE_KEY]: Object.fromEntries(cache) });
+    } catch (error) {
+      console.error('[FactCheck] Error saving cache:', error);
+    }
+  }, CACHE_SAVE_DELAY_MS);
+}
+
+// Cached result for a tweet, migrating an entry stored under the old
+// text-hash key on first use. Results written in another language than the
+// current setting are checked again.
+async function getCachedResult(id, legacyKey, language) {
+  await loadCache();
+  const now = Date.now();
+
+  const entry = cache.get(id);
+  if (entry) {
+    if (entry.expiry <= now) {
+      deleteEntry(id);
+      scheduleCacheSave();
+      return null;
+    }
+    if ((entry.result.language?.output || 'en') !== language) return null;
+    putEntry(id, { ...entry, lastUsed: now });
+    scheduleCacheSave();
+    return entry.result;
+  }
+
+  const legacy = legacyKey ? cache.get(legacyKey) : null;
+  if (!legacy) return null;
+
+  deleteEntry(legacyKey);
+  scheduleCacheSave();
+  if (legacy.expiry <= now || language !== 'en') return null;
+  debugLog(`[FactCheck] 🔁 Migrated cached result ${legacyKey} to ${id}`);
+  putEntry(id, { ...legacy, lastUsed: now });
+  return legacy.result;
+}
+
+async function setCachedResult(id, result) {
+  await loadCache();
+  const now = Date.now();
+  const lifetime = result.review?.status === 'pending'
+    ? PENDING_REVIEW_EXPIRY_MINUTES * 60 * 1000
+    : CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  putEntry(id, { result, expiry: now + lifetime, cachedAt: now, lastUsed: now });
+  evictEntries();
+  scheduleCacheSave();
+}
+
+// Replace a cached result (e.g. once it is disputed), keeping its expiry
+async function updateCachedResult(id, result) {
+  await loadCache();
+  const entry = cache.get(id);
+  if (!entry) return setCachedResult(id, result);
+  putEntry(id, { ...entry, result, lastUsed: Date.now() });
+  evictEntries();
+  scheduleCacheSave();
+}
+
+async function clearCache() {
+  await loadCache();
+  cache.clear();
+  entrySizes.clear();
+  cacheSize = 0;
+  clearTimeout(cacheSaveTimer);
+  cacheSaveTimer = null;
+  await chrome.storage.local.remove(CACHE_KEY);
+}
+
+// Add a finished check to the history log. A tweet checked again replaces its
+// earlier entry.
+function recordHistory(tweet, tweetText, result) {
+  const entry = {
+    id: tweet.id,
+    text: tweetText.substring(0, MAX_HISTORY_TEXT_LENGTH),
+    author: tweet.author,
+    url: tweet.url,
+    postedAt: tweet.postedAt,
+    hasIssues: !!result.hasIssues,
+    issues: result.hasIssues ? (result.claims?.length || result.incorrect?.length || 0) : 0,
+    pendingReview: result.review?.status === 'pending',
+    summary: result.summary || '',
+    checkedAt: Date.now(),
+  };
+
+  historyWrite = historyWrite.then(async () => {
+    try {
+      const stored = await chrome.storage.local.get(HISTORY_KEY);
+      const history = (stored[HISTORY_KEY] || []).filter(item =>
+        // Entries logged before tweets had stable ids only match by URL
+        item.id !== tweet.id && !(tweet.url && item.url === tweet.url)
+      );
+      history.unshift(entry);
+      await chrome.storage.local.set({ [HISTORY_KEY]: history.slice(0, MAX_HISTORY_ENTRIES) });
+    } catch (error) {
+      console.error('[FactCheck] Error saving history:', error);
+    }
+  });
+}
+
+// --- Backend requests ---
+
+// Thrown when the backend answers 429; the request should be retried later
+class RateLimitedError extends Error {
+  constructor(retryAfter) {
+    super(`Rate limited, retry in ${retryAfter}s`);
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Seconds to wait from a 429 response's Retry-After (seconds or HTTP date)
+function parseRetryAfter(response) {
+  const header = response.headers.get('Retry-After');
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(1, Math.ceil(seconds));
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(1, Math.ceil((date - Date.now()) / 1000));
+  }
+  return DEFAULT_RETRY_AFTER;
+}
+
+// Throw for a failed response, with the backend's error message when it has one
+async function throwForStatus(response, requestId) {
+  if (response.status === 429) {
+    throw new RateLimitedError(parseRetryAfter(response));
+  }
+  if (response.ok) return;
+
+  const errorText = await response.text();
+  console.error(`[FactCheck] [${requestId}] ❌ Response not OK. Status: ${response.status}`, errorText);
+  let error;
+  try {
+    error = JSON.parse(errorText);
+  } catch (e) {
+    error = { error: errorText };
+  }
+  throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+}
+
+// Parse a Server-Sent Events response body into JSON event objects
+async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = message
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+// The tweet a check is about, stored with it on the backend so checks can
+// be looked up by author. Tweets without a status link have no id to send.
+function tweetRef(tweet) {
+  if (!tweet.statusId) return undefined;
+  return { id: tweet.statusId, url: tweet.url || undefined, author: tweet.author || undefined };
+}
+
+// Check one tweet, streaming progress events as they arrive
+async function streamCheck(job, settings, onProgress) {
+  const { requestId } = job;
+  debugLog(`[FactCheck] [${requestId}] 🚀 Checking ${job.tweet.id} (${job.text.length} characters) at ${settings.backendUrl}/api/checktweet/stream`);
+
+  const response = await fetch(`${settings.backendUrl}/api/checktweet/stream`, {
+    method: 'POST',
+    headers: backendHeaders(settings, { 'Accept': 'text/event-stream', 'X-Request-Id': requestId }),
+    body: JSON.stringify({ text: job.text, context: job.context, language: job.language, tweet: tweetRef(job.tweet) }),
+    signal: job.controller.signal,
+  });
+  debugLog(`[FactCheck] [${requestId}] 📥 Response received. Status: ${response.status} ${response.statusText}`);
+  await throwForStatus(response, requestId);
+
+  let result = null;
+  for await (const event of readEventStream(response)) {
+    debugLog(`[FactCheck] [${requestId}] 📨 Event: ${event.type}`);
+    if (event.type === 'error') {
+      throw new Error(event.error);
+    }
+    if (event.type === 'verdict') {
+      result = event.result;
+    }
+    onProgress(event);
+  }
+  if (!result) {
+    throw new Error('Stream ended without a verdict');
+  }
+
+  debugLog(`[FactCheck] [${requestId}] ✅ Result:`, { hasIssues: result.hasIssues, cached: result.cached });
+  return result;
+}
+
+// Check several tweets in one request. Resolves to the per-id results array.
+async function postBatch(tweets, settings) {
+  const requestId = newRequestId();
+  debugLog(`[FactCheck] [${requestId}] 📦 Sending batch of ${tweets.length} tweets to ${settings.backendUrl}/api/checktweets`);
+
+  const response = await fetch(`${settings.backendUrl}/api/checktweets`, {
+    method: 'POST',
+    headers: backendHeaders(settings, { 'X-Request-Id': requestId }),
+    body: JSON.stringify({ tweets, language: settings.language }),
+  });
+  await throwForStatus(response, requestId);
+
+  const { results } = await response.json();
+  debugLog(`[FactCheck] [${requestId}] ✅ Batch results received: ${results.length}`);
+  return results;
+}
+
+// This install's voter id, made on first use
+async function getVoterId() {
+  const stored = await chrome.storage.local.get(VOTER_ID_KEY);
+  if (stored[VOTER_ID_KEY]) return stored[VOTER_ID_KEY];
+  const voterId = crypto.randomUUID();
+  await chrome.storage.local.set({ [VOTER_ID_KEY]: voterId });
+  return voterId;
+}
+
+// Send a vote on one flagged phrase. Resolves to the check's vote counts and
+// whether it is now disputed, or null if the vote could not be sent.
+async function sendFeedback({ checkId, vote, claim, tweetUrl }) {
+  try {
+    const settings = await loadSettings();
+    const voter = await getVoterId();
+    const response = await fetch(`${settings.backendUrl}/api/feedback`, {
+      method: 'POST',
+      headers: backendHeaders(settings),
+      body: JSON.stringify({
+        checkId,
+        vote,
+        claim: { incorrect: claim.incorrect, correction: claim.correction, part: claim.part || 'main', image: claim.image },
+        tweetUrl: tweetUrl || undefined,
+        voter,
+      }),
+    });
+    if (!response.ok) {
+      console.error(`[FactCheck] ❌ Feedback failed. Status: ${response.status}`, await response.text());
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('[FactCheck] ❌ Error sending feedback:', error);
+    return null;
+  }
+}
+
+// --- Queue ---
+
+// Run queued requests one at a time, spaced by MIN_REQUEST_INTERVAL and held
+// while the backend's Retry-After runs
+async function runQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+  try {
+    while (queue.length > 0) {
+      const waitTime = Math.max(rateLimitedUntil, lastRequestTime + MIN_REQUEST_INTERVAL) - Date.now();
+      if (waitTime > 0) {
+        debugLog(`[FactCheck] ⏳ Rate limiting: waiting ${waitTime}ms`);
+        await wait(waitTime);
+      }
+
+      // Tasks cancelled during the wait have left the queue
+      const task = queue.shift();
+      if (!task) break;
+      lastRequestTime = Date.now();
+      await task.run();
+    }
+  } finally {
+    queueRunning = false;
+  }
+}
+
+function enqueue(task, { front = false } = {}) {
+  if (front) {
+    queue.unshift(task);
+  } else {
+    queue.push(task);
+  }
+  runQueue();
+}
+
+// Hold the queue until the backend's Retry-After has passed
+function holdForRateLimit(error) {
+  rateLimitedUntil = Date.now() + error.retryAfter * 1000;
+  debugLog(`[FactCheck] ⏳ ${error.message}`);
+}
+
+// Send a message to every tab waiting on a check. Tabs that have gone away
+// are dropped.
+function broadcast(job, message) {
+  job.ports.forEach(port => {
+    try {
+      port.postMessage(message);
+    } catch {
+      job.ports.delete(port);
+    }
+  });
+}
+
+function settleJob(job, result) {
+  jobs.delete(job.key);
+  job.settle(result);
+}
+
+function createJob(key, tweet, text, context, language) {
+  const job = {
+    key,
+    tweet,
+    text,
+    context,
+    language,
+    ports: new Set(),
+    // Batches waiting on this check; a check is only cancelled once no tab or
+    // batch needs it any more
+    waiters: 0,
+    started: false,
+    controller: new AbortController(),
+  };
+  job.done = new Promise(resolve => { job.settle = resolve; });
+  jobs.set(key, job);
+  return job;
+}
+
+async function runCheck(job) {
+  const settings = await loadSettings();
+  job.started = true;
+  job.requestId = newRequestId();
+  broadcast(job, { type: 'started', requestId: job.requestId });
+
+  try {
+    const result = await streamCheck(job, settings, event => broadcast(job, { type: 'progress', event }));
+    await setCachedResult(job.tweet.id, result);
+    recordHistory(job.tweet, job.text, result);
+    broadcast(job, { type: 'result', result });
+    settleJob(job, result);
+  } catch (error) {
+    if (error instanceof RateLimitedError) {
+      // Put the check back at the front and hold the queue until Retry-After
+      holdForRateLimit(error);
+      job.started = false;
+      broadcast(job, { type: 'rateLimited', retryAfter: error.retryAfter });
+      enqueue(job, { front: true });
+      return;
+    }
+
+    if (error.name === 'AbortError') {
+      debugLog(`[FactCheck] [${job.requestId}] 🛑 Request cancelled`);
+    } else {
+      console.error(`[FactCheck] [${job.requestId}] ❌ Error checking tweet:`, error.message);
+      if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        console.error(`[FactCheck] [${job.requestId}] ❌ Network error - is the server running at ${settings.backendUrl}?`);
+      }
+    }
+    broadcast(job, { type: 'error', error: error.message });
+    settleJob(job, null);
+  }
+}
+
+// A tab stopped waiting on a check (its tweet scrolled away, or the tab
+// closed). Drop the check from the queue, or abort it, once nobody needs it.
+function leaveJob(job, port) {
+  job.ports.delete(port);
+  if (job.ports.size > 0 || job.waiters > 0 || job.batch || !jobs.has(job.key)) return;
+
+  const index = queue.indexOf(job);
+  if (index !== -1) {
+    queue.splice(index, 1);
+    debugLog(`[FactCheck] 🗑️ Dropped ${job.tweet.id} from the queue`);
+    settleJob(job, null);
+  } else if (job.started) {
+    job.controller.abort();
+  }
+}
+
+// Port "check": { type: 'check', tweet, text, context, legacyKey } in;
+// started / progress / rateLimited messages, then result or error, out
+async function handleCheck(port, { tweet, text, context, legacyKey }) {
+  // Listen before the first await, so a tab that goes away while settings and
+  // the cache are read doesn't leave a job queued for nobody
+  let disconnected = false;
+  let joined = null;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    if (joined) leaveJob(joined, port);
+  });
+
+  const { language } = await loadSettings();
+  const cached = await getCachedResult(tweet.id, legacyKey, language);
+  if (disconnected) return;
+  if (cached) {
+    port.postMessage({ type: 'result', result: cached });
+    return;
+  }
+
+  const key = `${tweet.id}|${language}`;
+  let job = jobs.get(key);
+  if (job) {
+    debugLog(`[FactCheck] 🔗 ${tweet.id} is already being checked, sharing its result`);
+  } else {
+    job = createJob(key, tweet, text, context, language);
+    job.run = () => runCheck(job);
+    enqueue(job);
+  }
+
+  job.ports.add(port);
+  joined = job;
+  if (job.started) {
+    port.postMessage({ type: 'started', requestId: job.requestId });
+  }
+  // Checks that joined a batch hear back when the batch is done
+  if (job.batch) {
+    job.done.then(result => port.postMessage(result ? { type: 'result', result } : { type: 'error', error: 'Batch check failed' }));
+  }
+}
+
+// Port "batch": { type: 'batch', tweets: [{ tweet, text, context, legacyKey }] }
+// in; rateLimited messages, then { type: 'results', results } with one
+// { id, status, result?, error? } per tweet, out. Cached tweets and tweets
+// already being checked are not sent again.
+async function handleBatch(port, { tweets }) {
+  const settings = await loadSettings();
+  const results = new Map();
+  const waiting = [];
+  const pending = [];
+
+  for (const { tweet, text, context, legacyKey } of tweets) {
+    const cached = await getCachedResult(tweet.id, legacyKey, settings.language);
+    if (cached) {
+      results.set(tweet.id, { id: tweet.id, status: 'ok', result: cached });
+      continue;
+    }
+    const key = `${tweet.id}|${settings.language}`;
+    const running = jobs.get(key);
+    if (running) {
+      running.waiters++;
+      waiting.push(running.done.then(result => {
+        running.waiters--;
+        results.set(tweet.id, result ? { id: tweet.id, status: 'ok', result } : { id: tweet.id, status: 'error', error: 'Check failed' });
+      }));
+      continue;
+    }
+    const job = createJob(key, tweet, text, context, settings.language);
+    job.batch = true;
+    pending.push(job);
+  }
+
+  const finish = (outcomes) => {
+    pending.forEach(job => {
+      const outcome = outcomes?.find(entry => entry.id === job.tweet.id);
+      if (outcome?.status === 'ok') {
+        setCachedResult(job.tweet.id, outcome.result);
+        recordHistory(job.tweet, job.text, outcome.result);
+        results.set(job.tweet.id, outcome);
+        settleJob(job, outcome.result);
+      } else {
+        results.set(job.tweet.id, { id: job.tweet.id, status: 'error', error: outcome?.error || 'No result' });
+        settleJob(job, null);
+      }
+    });
+  };
+
+  if (pending.length > 0) {
+    await new Promise(resolve => {
+      let attempts = 0;
+      const task = {
+        run: async () => {
+          attempts++;
+          try {
+            finish(await postBatch(pending.map(job => ({ id: job.tweet.id, text: job.text, context: job.context, tweet: tweetRef(job.tweet) })), await loadSettings()));
+          } catch (error) {
+            if (error instanceof RateLimitedError) {
+              holdForRateLimit(error);
+              if (attempts < MAX_BATCH_ATTEMPTS) {
+                try {
+                  port.postMessage({ type: 'rateLimited', retryAfter: error.retryAfter });
+                } catch {
+                  // The tab went away; finish the batch for the cache anyway
+                }
+                enqueue(task, { front: true });
+                return;
+              }
+            } else {
+              console.error('[FactCheck] ❌ Error checking batch:', error);
+            }
+            finish(null);
+          }
+          resolve();
+        },
+      };
+      enqueue(task);
+    });
+  }
+  await Promise.all(waiting);
+
+  try {
+    port.postMessage({ type: 'results', results: tweets.map(({ tweet }) => results.get(tweet.id)) });
+  } catch {
+    // The tab went away
+  }
+}
+
+chrome.runtime.onConnect.addListener(port => {
+  port.onMessage.addListener(message => {
+    const handler = port.name === 'check' ? handleCheck : port.name === 'batch' ? handleBatch : null;
+    handler?.(port, message).catch(error => {
+      console.error(`[FactCheck] ❌ Error handling ${port.name}:`, error);
+      try {
+        port.postMessage({ type: 'error', error: error.message });
+      } catch {
+        // The tab went away
+      }
+    });
+  });
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  switch (request.type) {
+    case 'getCachedResult':
+      loadSettings()
+        .then(({ language }) => getCachedResult(request.id, request.legacyKey, language))
+        .then(result => sendResponse({ result }));
+      return true; // Keep the channel open for the async response
+    case 'updateCachedResult':
+      updateCachedResult(request.id, request.result).then(() => sendResponse({ ok: true }));
+      return true;
+    case 'clearCache':
+      clearCache().then(() => sendResponse({ ok: true }));
+      return true;
+    case 'sendFeedback':
+      sendFeedback(request).then(response => sendResponse({ response }));
+      return true;
+  }
+});
+
+// --- Selection checks ---
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: MENU_ID,
+    title: 'Fact-check selection',
+    contexts: ['selection'],
+  });
+});
+
+// Check selected text, waiting for its turn in the queue like tweet checks
+function checkSelection(text) {
+  return new Promise((resolve, reject) => {
+    enqueue({
+      run: async () => {
+        const requestId = newRequestId();
+        try {
+          const settings = await loadSettings();
+          debugLog(`[FactCheck] [${requestId}] 🚀 Checking selection (${text.length} characters)`);
+          const response = await fetch(`${settings.backendUrl}/api/checktweet`, {
+            method: 'POST',
+            headers: backendHeaders(settings, { 'X-Request-Id': requestId }),
+            body: JSON.stringify({ text, language: settings.language, source: 'selection' }),
+          });
+          if (response.status === 401) {
+            throw new Error('The backend rejected the API token. Check it in the extension settings.');
+          }
+          await throwForStatus(response, requestId);
+          const result = await response.json();
+          debugLog(`[FactCheck] [${requestId}] ✅ Result:`, { hasIssues: result.hasIssues, cached: result.cached });
+          resolve(result);
+        } catch (error) {
+          if (error instanceof RateLimitedError) {
+            holdForRateLimit(error);
+            reject(new Error(`Too many checks. Try again in ${error.retryAfter}s.`));
+            return;
+          }
+          reject(error);
+        }
+      },
+    });
+  });
+}
+
+// Inject the overlay into the frame the text was selected in, then keep it
+// updated: loading, then the result or an error
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== MENU_ID || !tab?.id) return;
+  const text = (info.selectionText || '').trim();
+  if (!text) return;
+
+  const target = { tabId: tab.id, frameIds: [info.frameId || 0] };
+  const show = (message) => chrome.tabs.sendMessage(tab.id, { type: 'factcheckSelection', text, ...message }, { frameId: info.frameId || 0 });
+
+  try {
+    // activeTab grants access to the page for this click only
+    await chrome.scripting.executeScript({ target, files: ['overlay.js'] });
+  } catch (error) {
+    console.error('[FactCheck] Cannot show the overlay on this page:', error.message);
+    return;
+  }
+
+  try {
+    await show({ state: 'loading' });
+    const result = await checkSelection(text);
+    await show({ state: 'result', result });
+  } catch (error) {
+    console.error('[FactCheck] Selection check failed:', error.message);
+    await show({ state: 'error', error: error.message }).catch(() => {});
+  }
+});
@@ -1,15 +1,10 @@
-// Cache for checked tweets - persistent storage
-let tweetCache = new Map();
-const CACHE_KEY = 'twitter_factcheck_cache';
-const CACHE_EXPIRY_DAYS = 7; // Cache for 7 days
-
-// Rate limiting
-const requestQueue = [];
-let isProcessingQueue = false;
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 3000; // 3 seconds between requests
-let activeRequests = 0;
-const MAX_CONCURRENT_REQUESTS = 1; // Process one at a time for accuracy
+// Checks, the result cache and the check history belong to the background
+// worker (background.js), shared by every tab. This script finds tweets, asks
+// the worker for their results and marks them up.
+
+// When the backend's rate limit ends, as reported by the background worker;
+// shown as a countdown on tweets waiting for a check
+let rateLimitedUntil = 0;
 
 // Observer for dynamically loaded content
 let observer = null;
@@ -22,125 +17,300 @@ const DEFAULT_ENABLED = true;
 // Track tweets currently being processed
 const processingTweets = new Set();
 
-// Backend URL
-const BACKEND_URL = 'http://localhost:3000';
+// Highlighted text nodes per tweet text element, so markup can be undone exactly
+const appliedHighlights = new WeakMap();
+
+// Thread context: earlier tweets by the same author sent along with a check
+const MAX_THREAD_CONTEXT = 5;
+const SHOW_MORE_TIMEOUT_MS = 2000; // How long to wait for "Show more" to expand
+const MAX_IMAGES = 4; // Must not exceed the backend's image limit
+
+// Shown instead of the usual warning once enough readers dispute a result
+const DISPUTED_BADGE_TEXT = '⚖ Disputed by readers: these corrections may be wrong';
+
+// Batch checking ("Check all visible tweets" in the popup)
+const MAX_BATCH_SIZE = 20; // Must not exceed the backend's batch limit
+
+// Auto mode: check tweets that stay on screen (toggled in the popup)
+const AUTO_MODE_KEY = 'auto_mode';
+const AUTO_BUDGET_KEY = 'auto_budget';
+const DEFAULT_AUTO_BUDGET = 50; // Auto checks per page session
+const AUTO_DWELL_MS = 2000; // How long a tweet must stay visible before it is checked
+const AUTO_VISIBLE_RATIO = 0.5; // Share of the tweet that must be on screen
+let autoMode = false;
+let autoBudget = DEFAULT_AUTO_BUDGET;
+let autoChecksUsed = 0;
+let autoObserver = null;
+const dwellTimers = new Map(); // Tweet element -> pending dwell timeout
+const inFlightAutoChecks = new Map(); // Tweet element -> { controller, started }
+
+// Console logging (set on the options page). Errors are always logged.
+const DEBUG_KEY = 'debug_logging';
+let debugLogging = false;
+
+// Log only when debug logging is on
+function debugLog(...args) {
+  if (debugLogging) {
+    console.log(...args);
+  }
+}
 
 // Load enabled state
 async function loadEnabledState() {
   try {
     const result = await chrome.storage.local.get([TOGGLE_KEY]);
     extensionEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
-    console.log('[FactCheck] Extension enabled:', extensionEnabled);
+    debugLog('[FactCheck] Extension enabled:', extensionEnabled);
   } catch (error) {
     console.error('[FactCheck] Error loading enabled state:', error);
     extensionEnabled = DEFAULT_ENABLED;
   }
 }
 
+// Load debug logging
+async function loadDebugSetting() {
+  try {
+    const result = await chrome.storage.local.get([DEBUG_KEY]);
+    debugLogging = result[DEBUG_KEY] === true;
+  } catch (error) {
+    console.error('[FactCheck] Error loading debug setting:', error);
+  }
+}
+
+// Load auto mode and its per-session budget
+async function loadAutoSettings() {
+  try {
+    const result = await chrome.storage.local.get([AUTO_MODE_KEY, AUTO_BUDGET_KEY]);
+    autoMode = result[AUTO_MODE_KEY] === true;
+    autoBudget = result[AUTO_BUDGET_KEY] ?? DEFAULT_AUTO_BUDGET;
+    debugLog('[FactCheck] Auto mode:', autoMode, `(budget ${autoBudget})`);
+  } catch (error) {
+    console.error('[FactCheck] Error loading auto mode settings:', error);
+  }
+}
+
+// Pick up settings saved on the options page without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes[DEBUG_KEY]) {
+    debugLogging = changes[DEBUG_KEY].newValue === true;
+  }
+  if (changes[AUTO_BUDGET_KEY]) {
+    autoBudget = changes[AUTO_BUDGET_KEY].newValue ?? DEFAULT_AUTO_BUDGET;
+    debugLog('[FactCheck] Auto mode budget changed:', autoBudget);
+  }
+  if (changes[AUTO_MODE_KEY]) {
+    autoMode = changes[AUTO_MODE_KEY].newValue === true;
+    debugLog('[FactCheck] Auto mode toggled:', autoMode);
+    if (autoMode && extensionEnabled) {
+      startAutoMode();
+    } else {
+      stopAutoMode();
+    }
+  }
+});
+
 // Listen for toggle changes from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'extensionToggle') {
     extensionEnabled = request.enabled;
-    console.log('[FactCheck] Extension toggled:', extensionEnabled);
+    debugLog('[FactCheck] Extension toggled:', extensionEnabled);
     
     if (extensionEnabled) {
       setTimeout(() => {
-        processTweets(); // This now only adds buttons, doesn't auto-check
+        processTweets(); // Adds buttons; auto mode checks tweets that stay on screen
+        if (autoMode) startAutoMode();
       }, 500);
     } else {
+      stopAutoMode();
       removeAllMarkups();
       // Remove all buttons
       document.querySelectorAll('.factcheck-button').forEach(btn => btn.remove());
     }
   }
-});
 
-// Load cache from persistent storage
-async function loadCache() {
-  try {
-    if (!chrome.runtime?.id) {
-      console.log('[FactCheck] Extension context invalidated, skipping cache load');
-      return;
-    }
-    
-    const result = await chrome.storage.local.get(CACHE_KEY);
-    if (result[CACHE_KEY]) {
-      const cached = result[CACHE_KEY];
-      const now = Date.now();
-      
-      for (const [tweetId, data] of Object.entries(cached)) {
-        if (data.expiry && data.expiry > now) {
-          tweetCache.set(tweetId, data.result);
-        }
-      }
-      console.log(`[FactCheck] Loaded ${tweetCache.size} cached results`);
-    }
-  } catch (error) {
-    if (error.message?.includes('Extension context invalidated')) {
-      console.log('[FactCheck] Extension context invalidated, cache load skipped');
-    } else {
-      console.error('[FactCheck] Error loading cache:', error);
-    }
+  if (request.type === 'checkVisibleTweets') {
+    checkVisibleTweets().then(count => sendResponse({ count }));
+    return true; // Keep the channel open for the async response
   }
-}
+});
 
-// Save cache to persistent storage
-async function saveCache() {
+// Cached result for a tweet from the background worker, or null. Results in
+// another language than the current setting count as missing.
+async function getCachedResult(tweet, tweetText) {
   try {
-    if (!chrome.runtime?.id) return;
-    
-    const cacheObj = {};
-    const now = Date.now();
-    const expiry = now + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
-    
-    for (const [tweetId, result] of tweetCache.entries()) {
-      cacheObj[tweetId] = {
-        result: result,
-        expiry: expiry,
-        cachedAt: now
-      };
-    }
-    
-    await chrome.storage.local.set({ [CACHE_KEY]: cacheObj });
+    const { result } = await chrome.runtime.sendMessage({ type: 'getCachedResult', id: tweet.id, legacyKey: hashTweetText(tweetText) });
+    return result;
   } catch (error) {
     if (!error.message?.includes('Extension context invalidated')) {
-      console.error('[FactCheck] Error saving cache:', error);
+      console.error('[FactCheck] Error reading cache:', error);
     }
+    return null;
   }
 }
 
-// Save a single entry to cache
-async function saveCacheEntry(tweetId, result) {
-  if (!chrome.runtime?.id) return;
-  
-  tweetCache.set(tweetId, result);
-  if (!saveCache.timeout) {
-    saveCache.timeout = setTimeout(async () => {
-      await saveCache();
-      saveCache.timeout = null;
-    }, 5000);
-  }
+// Replace a tweet's cached result, e.g. once readers dispute it
+function updateCachedResult(tweet, result) {
+  chrome.runtime.sendMessage({ type: 'updateCachedResult', id: tweet.id, result }).catch(error => {
+    console.error('[FactCheck] Error updating cache:', error);
+  });
 }
 
 // Inject script into page context
 function injectPageScript() {
   const script = document.createElement('script');
   script.src = chrome.runtime.getURL('pageScript.js');
+  script.dataset.debug = String(debugLogging);
   script.onload = function() {
     this.remove();
   };
   (document.head || document.documentElement).appendChild(script);
 }
 
-// Extract tweet text from tweet element
+// Text element of the tweet itself, skipping the one inside a quoted tweet card
+function getMainTextElement(tweetElement) {
+  return Array.from(tweetElement.querySelectorAll('[data-testid="tweetText"]')).find(element => {
+    const card = element.closest('div[role="link"]');
+    return !card || !tweetElement.contains(card);
+  }) || null;
+}
+
+// Text element of the quoted tweet, if the tweet quotes one
+function getQuotedTextElement(tweetElement) {
+  const element = tweetElement.querySelector('div[role="link"] [data-testid="tweetText"]');
+  return element && element !== getMainTextElement(tweetElement) ? element : null;
+}
+
+// Photos attached to the tweet itself, skipping those of a quoted tweet card
+function getTweetPhotos(tweetElement) {
+  return Array.from(tweetElement.querySelectorAll('[data-testid="tweetPhoto"]')).filter(element => {
+    const card = element.closest('div[role="link"]');
+    return !card || !tweetElement.contains(card);
+  }).slice(0, MAX_IMAGES);
+}
+
+// URLs of the tweet's photos for OCR, at a size that keeps text legible
+function extractTweetImages(tweetElement) {
+  const urls = [];
+  getTweetPhotos(tweetElement).forEach(photo => {
+    const src = photo.querySelector('img')?.getAttribute('src');
+    if (!src) return;
+    try {
+      const url = new URL(src, location.origin);
+      if (url.hostname !== 'pbs.twimg.com') return;
+      url.searchParams.set('name', 'medium');
+      urls.push(url.href);
+    } catch {
+      // Not a usable image URL
+    }
+  });
+  return urls;
+}
+
+// Element that the button and badges are placed around: the tweet text, or
+// for image-only tweets the media container
+function getAnchorElement(tweetElement) {
+  const tweetTextElement = getMainTextElement(tweetElement);
+  if (tweetTextElement) return tweetTextElement;
+  const photo = getTweetPhotos(tweetElement)[0];
+  return photo ? photo.closest('div[aria-labelledby]') || photo : null;
+}
+
+// Extract tweet text from tweet element; empty for image-only tweets
 function extractTweetText(tweetElement) {
-  const tweetTextElement = tweetElement.querySelector('[data-testid="tweetText"]');
-  if (!tweetTextElement) return null;
-  return tweetTextElement.textContent?.trim();
+  const tweetTextElement = getMainTextElement(tweetElement);
+  if (!tweetTextElement) return '';
+  return tweetTextElement.textContent?.trim() || '';
 }
 
-// Generate tweet ID from text (simple hash)
-function generateTweetId(text) {
+// Quoted tweet text, attached images and the author's earlier tweets in the
+// thread (the tweets right above this one by the same author), sent as
+// context with the check
+function extractTweetContext(tweetElement) {
+  const context = {};
+
+  const images = extractTweetImages(tweetElement);
+  if (images.length > 0) {
+    context.images = images;
+  }
+
+  const quoted = getQuotedTextElement(tweetElement)?.textContent?.trim();
+  if (quoted) {
+    context.quoted = quoted;
+  }
+
+  const author = getTweetIdentity(tweetElement, '').author;
+  if (author) {
+    const articles = Array.from(document.querySelectorAll('article[data-testid="tweet"]'));
+    const thread = [];
+    for (let i = articles.indexOf(tweetElement) - 1; i >= 0 && thread.length < MAX_THREAD_CONTEXT; i--) {
+      if (getTweetIdentity(articles[i], '').author !== author) break;
+      const text = extractTweetText(articles[i]);
+      if (text) thread.unshift(text);
+    }
+    if (thread.length > 0) {
+      context.thread = thread;
+    }
+  }
+
+  return context;
+}
+
+// Whether the tweet has enough to check: 50 characters of text, counting the
+// quoted tweet, or images whose text the backend reads
+function isCheckable(tweetText, context) {
+  if (context?.images?.length) return true;
+  return !!tweetText && tweetText.length + (context?.quoted?.length || 0) >= 50;
+}
+
+// Expand a tweet truncated with "Show more" so the full text is checked. Long
+// posts that only link to their own page are checked as shown.
+async function expandShowMore(tweetElement) {
+  const showMore = tweetElement.querySelector('[data-testid="tweet-text-show-more-link"]');
+  if (!showMore || showMore.tagName === 'A') return;
+
+  debugLog('[FactCheck] 📖 Expanding "Show more"');
+  showMore.click();
+  const deadline = Date.now() + SHOW_MORE_TIMEOUT_MS;
+  while (showMore.isConnected && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+// Identity of a tweet, taken from its status link (/<handle>/status/<id>) so
+// identical text from different authors, and the truncated and expanded forms of
+// one tweet, are told apart correctly. Falls back to a hash of the text when the
+// article has no status link.
+function getTweetIdentity(tweetElement, tweetText) {
+  // The timestamp links to the tweet itself; the first one belongs to the main
+  // tweet rather than a quoted one
+  const time = tweetElement.querySelector('a[href*="/status/"] time');
+  const statusLink = time?.closest('a[href*="/status/"]');
+  const match = statusLink?.getAttribute('href')?.match(/^\/([^/]+)\/status\/(\d+)/);
+
+  if (match) {
+    return {
+      id: `status:${match[2]}`,
+      statusId: match[2],
+      author: `@${match[1]}`,
+      url: new URL(statusLink.getAttribute('href'), location.origin).href,
+      postedAt: time.getAttribute('datetime'),
+    };
+  }
+
+  const handle = tweetElement.querySelector('[data-testid="User-Name"] a[href^="/"]')?.getAttribute('href')?.split('/')[1];
+  return {
+    id: `text:${hashTweetText(tweetText)}`,
+    statusId: null,
+    author: handle ? `@${handle}` : null,
+    url: null,
+    postedAt: null,
+  };
+}
+
+// Simple 32-bit hash of tweet text. Only used for tweets without a status link
+// and to find cache entries from older versions.
+function hashTweetText(text) {
   let hash = 0;
   for (let i = 0; i < text.length; i++) {
     const char = text.charCodeAt(i);
@@ -150,319 +320,875 @@ function generateTweetId(text) {
   return hash.toString();
 }
 
-// Check tweet with backend
-async function checkTweet(tweetText) {
-  const requestId = Math.random().toString(36).substring(7);
-  console.log(`[FactCheck] [${requestId}] 🚀 Starting API call to ${BACKEND_URL}/api/checktweet`);
-  console.log(`[FactCheck] [${requestId}] 📝 Tweet text length: ${tweetText.length} characters`);
-  console.log(`[FactCheck] [${requestId}] 📝 Tweet preview: ${tweetText.substring(0, 100)}...`);
-  
+// Count down on the tweet's button and badge until the retry
+function showRateLimitCountdown(tweetElement, button) {
+  const update = () => {
+    const seconds = Math.ceil((rateLimitedUntil - Date.now()) / 1000);
+    if (seconds <= 0 || tweetElement.dataset.factChecked !== 'loading') {
+      clearInterval(timer);
+      return;
+    }
+    const label = `⏳ Rate limited, retrying in ${seconds}s`;
+    tweetElement.dataset.factcheckProgress = label;
+    if (button) {
+      button.textContent = label;
+    }
+  };
+  const timer = setInterval(update, 1000);
+  update();
+}
+
+// Connect to the background worker, or null if the extension was reloaded
+// and this page's script is orphaned
+function connectToWorker(name) {
   try {
-    console.log(`[FactCheck] [${requestId}] 📡 Making fetch request...`);
-    const response = await fetch(`${BACKEND_URL}/api/checktweet`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ text: tweetText }),
-    });
+    return chrome.runtime.connect({ name });
+  } catch (error) {
+    debugLog('[FactCheck] Extension context invalidated:', error.message);
+    return null;
+  }
+}
 
-    console.log(`[FactCheck] [${requestId}] 📥 Response received. Status: ${response.status} ${response.statusText}`);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[FactCheck] [${requestId}] ❌ Response not OK. Status: ${response.status}`);
-      console.error(`[FactCheck] [${requestId}] ❌ Error body:`, errorText);
-      
-      let error;
-      try {
-        error = JSON.parse(errorText);
-      } catch (e) {
-        error = { error: errorText || 'Failed to check tweet' };
+// Check a tweet through the background worker, which queues it behind checks
+// from every tab and shares the result with any other tab checking the same
+// tweet. Calls onStarted when the request goes out, onProgress with streamed
+// events and onRateLimited with the seconds until the retry. Resolves to the
+// result, or null if the check failed or `signal` cancelled it.
+function checkTweet(tweet, tweetText, context, { onStarted = () => {}, onProgress = () => {}, onRateLimited = () => {}, signal } = {}) {
+  return new Promise(resolve => {
+    const port = connectToWorker('check');
+    if (!port) {
+      resolve(null);
+      return;
+    }
+
+    const finish = (result) => {
+      signal?.removeEventListener('abort', cancel);
+      port.disconnect();
+      resolve(result);
+    };
+    const cancel = () => {
+      debugLog(`[FactCheck] 🛑 Check of ${tweet.id} cancelled`);
+      finish(null);
+    };
+    signal?.addEventListener('abort', cancel);
+
+    port.onMessage.addListener(message => {
+      switch (message.type) {
+        case 'started':
+          debugLog(`[FactCheck] [${message.requestId}] 🚀 Checking ${tweet.id}`);
+          onStarted();
+          break;
+        case 'progress':
+          onProgress(message.event);
+          break;
+        case 'rateLimited':
+          debugLog(`[FactCheck] ⏳ Rate limited, retry in ${message.retryAfter}s`);
+          onRateLimited(message.retryAfter);
+          break;
+        case 'result':
+          debugLog('[FactCheck] ✅ Result received:', { hasIssues: message.result.hasIssues, cached: !!message.result.cached });
+          finish(message.result);
+          break;
+        case 'error':
+          console.error(`[FactCheck] ❌ Error checking tweet ${tweet.id}:`, message.error);
+          finish(null);
+          break;
       }
-      
-      throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+    });
+    // The worker stopped before answering
+    port.onDisconnect.addListener(() => {
+      signal?.removeEventListener('abort', cancel);
+      resolve(null);
+    });
+    port.postMessage({ type: 'check', tweet, text: tweetText, context, legacyKey: hashTweetText(tweetText) });
+  });
+}
+
+// Check several tweets in one request through the background worker. Resolves
+// to one { id, status, result?, error? } per tweet, or null if the whole
+// request failed.
+function checkTweetsBatch(items, onRateLimited = () => {}) {
+  return new Promise(resolve => {
+    const port = connectToWorker('batch');
+    if (!port) {
+      resolve(null);
+      return;
     }
 
-    const result = await response.json();
-    console.log(`[FactCheck] [${requestId}] ✅ Successfully received result:`, {
-      hasIssues: result.hasIssues,
-      incorrectCount: result.incorrect?.length || 0,
-      correctionsCount: result.corrections?.length || 0,
+    debugLog(`[FactCheck] 📦 Sending batch of ${items.length} tweets`);
+    port.onMessage.addListener(message => {
+      if (message.type === 'rateLimited') {
+        debugLog(`[FactCheck] ⏳ Batch rate limited, retry in ${message.retryAfter}s`);
+        onRateLimited(message.retryAfter);
+        return;
+      }
+      if (message.type === 'error') {
+        console.error('[FactCheck] ❌ Error checking batch:', message.error);
+      }
+      port.disconnect();
+      resolve(message.type === 'results' ? message.results : null);
     });
-    
-    return result;
+    port.onDisconnect.addListener(() => resolve(null));
+    port.postMessage({
+      type: 'batch',
+      tweets: items.map(({ tweet, tweetText, context }) => ({ tweet, text: tweetText, context, legacyKey: hashTweetText(tweetText) })),
+    });
+  });
+}
+
+// Send a vote on one flagged phrase. Resolves to the check's vote counts and
+// whether it is now disputed, or null if the vote could not be sent.
+async function sendFeedback(result, claim, vote, tweetUrl) {
+  try {
+    const { response } = await chrome.runtime.sendMessage({ type: 'sendFeedback', checkId: result.checkId, vote, claim, tweetUrl });
+    return response;
   } catch (error) {
-    console.error(`[FactCheck] [${requestId}] ❌ Error checking tweet:`, error);
-    console.error(`[FactCheck] [${requestId}] ❌ Error name:`, error.name);
-    console.error(`[FactCheck] [${requestId}] ❌ Error message:`, error.message);
-    console.error(`[FactCheck] [${requestId}] ❌ Error stack:`, error.stack);
-    
-    // Check if it's a network error
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      console.error(`[FactCheck] [${requestId}] ❌ Network error - is the server running at ${BACKEND_URL}?`);
-    }
-    
+    console.error('[FactCheck] ❌ Error sending feedback:', error);
     return null;
   }
 }
 
+// Describe a progress event for the tweet's button and loading badge
+function describeProgress(event) {
+  switch (event.type) {
+    case 'images_read':
+      return `🖼️ Read text from ${event.images.length} image${event.images.length === 1 ? '' : 's'}`;
+    case 'search_started':
+      return '🔍 Searching sources...';
+    case 'sources_found':
+      return '📚 Reading sources...';
+    case 'claims_extracted':
+      return event.count > 0 ? `🧠 Verifying ${event.count} claim${event.count === 1 ? '' : 's'}...` : '🧠 Finalizing...';
+    case 'claim_verified':
+      return `🧠 ${event.verdict.verdict === 'refuted' ? 'Refuted' : 'Checked'}: ${event.verdict.claim.substring(0, 30)}...`;
+    case 'verdict':
+      if (event.result.review?.status === 'pending') return '⏳ Awaiting review';
+      return event.result.hasIssues ? '⚠ Issues found' : '✓ Looks accurate';
+    default:
+      return null;
+  }
+}
+
 // Apply markup to tweet
 function applyMarkup(tweetElement, result) {
-  const tweetTextElement = tweetElement.querySelector('[data-testid="tweetText"]');
-  if (!tweetTextElement) return;
+  const tweetTextElement = getMainTextElement(tweetElement);
+  const anchorElement = getAnchorElement(tweetElement);
+  if (!anchorElement) return;
 
   // Mark as processed
   tweetElement.dataset.factChecked = 'true';
 
-  // If no issues found, mark as verified
+  // If no issues found, mark as verified, unless the verdict is withheld
+  // until a reviewer has looked at it
   if (!result.hasIssues) {
+    const pending = result.review?.status === 'pending';
     const verifiedBadge = document.createElement('span');
-    verifiedBadge.className = 'factcheck-verified';
-    verifiedBadge.textContent = '✓ Fact-checked';
+    verifiedBadge.className = pending ? 'factcheck-verified factcheck-pending' : 'factcheck-verified';
+    verifiedBadge.textContent = pending ? '⏳ Awaiting review' : '✓ Fact-checked';
+    if (pending) verifiedBadge.title = 'Flagged for a human reviewer; the verdict is shown once reviewed';
     verifiedBadge.setAttribute('data-factcheck-badge', 'true');
-    tweetTextElement.appendChild(verifiedBadge);
+    if (tweetTextElement) {
+      tweetTextElement.appendChild(verifiedBadge);
+    } else {
+      anchorElement.parentElement?.insertBefore(verifiedBadge, anchorElement.nextSibling);
+    }
     return;
   }
 
-  // Apply red/green markup
-  const originalHTML = tweetTextElement.innerHTML;
-  let markedUpHTML = originalHTML;
-
-  // Apply red markup for incorrect phrases
-  if (result.incorrect && result.incorrect.length > 0) {
-    result.incorrect.forEach(phrase => {
-      const escapedPhrase = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const regex = new RegExp(`(${escapedPhrase})`, 'gi');
-      markedUpHTML = markedUpHTML.replace(regex, '<span class="factcheck-incorrect" data-factcheck-markup="red">$1</span>');
-    });
+  // Apply red/green markup on character offsets, leaving the tweet's own markup untouched
+  if (tweetTextElement) {
+    highlightPart(tweetTextElement, result, 'main');
   }
-
-  // Apply green markup for corrections
-  if (result.corrections && result.corrections.length > 0) {
-    result.corrections.forEach(correction => {
-      const correctionSpan = document.createElement('span');
-      correctionSpan.className = 'factcheck-correction';
-      correctionSpan.textContent = ` [${correction}]`;
-      correctionSpan.setAttribute('data-factcheck-markup', 'green');
-      markedUpHTML += correctionSpan.outerHTML;
-    });
+  const quotedTextElement = getQuotedTextElement(tweetElement);
+  if (quotedTextElement) {
+    highlightPart(quotedTextElement, result, 'quoted');
   }
+  markFlaggedImages(tweetElement, result);
 
-  tweetTextElement.innerHTML = markedUpHTML;
-
-  // Add warning badge
+  // Add warning badge, saying where the problems are
+  const parts = new Set((result.claims || []).map(claim => claim.part || 'main'));
   const warningBadge = document.createElement('div');
   warningBadge.className = 'factcheck-warning';
-  warningBadge.textContent = '⚠ Potential inaccuracies detected';
+  if (parts.size === 1 && parts.has('quoted')) {
+    warningBadge.dataset.defaultText = '⚠ Potential inaccuracies in the quoted tweet';
+  } else if (parts.size === 1 && parts.has('image')) {
+    warningBadge.dataset.defaultText = '⚠ Potential inaccuracies in an attached image';
+  } else {
+    warningBadge.dataset.defaultText = '⚠ Potential inaccuracies detected';
+  }
+  warningBadge.textContent = result.disputed ? DISPUTED_BADGE_TEXT : warningBadge.dataset.defaultText;
+  if (result.disputed) {
+    tweetElement.dataset.factcheckDisputed = 'true';
+  }
   warningBadge.setAttribute('data-factcheck-badge', 'true');
-  tweetTextElement.parentElement?.insertBefore(warningBadge, tweetTextElement);
+  anchorElement.parentElement?.insertBefore(warningBadge, anchorElement);
+
+  // Add expandable sources panel below the tweet text
+  if (result.claims && result.claims.length > 0) {
+    const sourcesPanel = createSourcesPanel(tweetElement, result);
+    anchorElement.parentElement?.insertBefore(sourcesPanel, anchorElement.nextSibling);
+  }
 
   // Store result for popup
   tweetElement.dataset.factcheckResult = JSON.stringify(result);
 }
 
-// Process request queue
-async function processRequestQueue() {
-  console.log('[FactCheck] 🔄 processRequestQueue called. isProcessing:', isProcessingQueue, 'queueLength:', requestQueue.length);
-  
-  if (isProcessingQueue || requestQueue.length === 0) {
-    console.log('[FactCheck] ⏭️ Skipping - already processing or queue empty');
-    return;
+// Outline the photos that flagged text was read from; the sources panel says which claims
+function markFlaggedImages(tweetElement, result) {
+  const photos = getTweetPhotos(tweetElement);
+  (result.claims || []).forEach(claim => {
+    const photo = claim.part === 'image' ? photos[claim.image] : null;
+    if (!photo) return;
+    photo.dataset.factcheckImageFlagged = 'true';
+  });
+}
+
+// 👍 / 👎 / "Correction is wrong" buttons for one flagged phrase
+function createFeedbackControls(tweetElement, result, claim) {
+  const controls = document.createElement('div');
+  controls.className = 'factcheck-feedback';
+
+  const votes = [
+    { vote: 'up', label: '👍', title: 'Correctly flagged' },
+    { vote: 'down', label: '👎', title: 'This is not wrong' },
+    { vote: 'wrong_correction', label: 'Correction is wrong', title: 'The phrase is wrong, but so is the correction' },
+  ];
+  const buttons = votes.map(({ vote, label, title }) => {
+    const button = document.createElement('button');
+    button.className = 'factcheck-feedback-button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      e.preventDefault();
+      buttons.forEach(other => { other.disabled = true; });
+
+      const tweet = getTweetIdentity(tweetElement, '');
+      const response = await sendFeedback(result, claim, vote, tweet.url);
+      if (!response) {
+        buttons.forEach(other => { other.disabled = false; });
+        controls.title = 'Could not send feedback, try again';
+        return;
+      }
+
+      controls.textContent = 'Thanks for the feedback';
+      debugLog(`[FactCheck] 🗳️ Sent "${vote}" feedback:`, response);
+      if (response.disputed !== !!result.disputed) {
+        result.disputed = response.disputed;
+        setDisputed(tweetElement, response.disputed);
+        if (tweet.statusId) {
+          updateCachedResult(tweet, result);
+        }
+      }
+    });
+    return button;
+  });
+
+  controls.append(...buttons);
+  return controls;
+}
+
+// Show or clear the disputed state of a checked tweet
+function setDisputed(tweetElement, disputed) {
+  if (disputed) {
+    tweetElement.dataset.factcheckDisputed = 'true';
+  } else {
+    delete tweetElement.dataset.factcheckDisputed;
   }
-  
-  isProcessingQueue = true;
-  console.log('[FactCheck] ✅ Started processing queue');
-  
-  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-      const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-      console.log(`[FactCheck] ⏳ Rate limiting: waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  const warningBadge = tweetElement.querySelector('.factcheck-warning');
+  if (warningBadge) {
+    warningBadge.textContent = disputed ? DISPUTED_BADGE_TEXT : warningBadge.dataset.defaultText;
+  }
+}
+
+// Highlight the claims that belong to one part ("main" or "quoted") in its text element
+function highlightPart(textElement, result, part) {
+  const fullText = textElement.textContent || '';
+  const leadingWhitespace = fullText.length - fullText.trimStart().length;
+  const ranges = getHighlightRanges(fullText.trim(), result, part);
+  highlightRanges(textElement, ranges, leadingWhitespace);
+}
+
+// Character ranges to highlight, relative to the trimmed text that was checked.
+// Uses the backend's offsets when they still match the text, otherwise falls
+// back to the first exact occurrence (older cached results have no offsets).
+// Claims without a part are in the main text.
+function getHighlightRanges(text, result, part = 'main') {
+  const claims = (result.claims?.length
+    ? result.claims
+    : (result.incorrect || []).map((incorrect, i) => ({ incorrect, correction: result.corrections?.[i] }))
+  ).filter(claim => (claim.part || 'main') === part);
+
+  const ranges = [];
+  claims.forEach(claim => {
+    if (!claim.incorrect) return;
+
+    let start = claim.start;
+    let end = claim.end;
+    if (!Number.isInteger(start) || text.slice(start, end) !== claim.incorrect) {
+      const found = findPhrase(text, claim.incorrect);
+      if (!found) return;
+      ({ start, end } = found);
     }
-    
-    const { tweetElement, tweetText, tweetId, resolve } = requestQueue.shift();
-    activeRequests++;
-    lastRequestTime = Date.now();
-    
-    console.log(`[FactCheck] 🚀 Processing tweet from queue. Active requests: ${activeRequests}`);
-    
-    checkTweet(tweetText)
-      .then(result => {
-        console.log('[FactCheck] ✅ checkTweet completed');
-        if (result) {
-          console.log('[FactCheck] 💾 Saving to cache and applying markup');
-          saveCacheEntry(tweetId, result);
-          applyMarkup(tweetElement, result);
-        } else {
-          console.log('[FactCheck] ⚠️ No result returned from checkTweet');
-          // Reset loading state if no result
-          delete tweetElement.dataset.factChecked;
-          const button = tweetElement.querySelector('.factcheck-button');
-          if (button) {
-            button.disabled = false;
-            button.innerHTML = '🔍 Check Fact';
-            button.style.display = '';
-          }
-        }
-        resolve();
-      })
-      .catch(error => {
-        console.error('[FactCheck] ❌ Error processing tweet:', error);
-        // Reset loading state on error
-        delete tweetElement.dataset.factChecked;
-        const button = tweetElement.querySelector('.factcheck-button');
-        if (button) {
-          button.disabled = false;
-          button.innerHTML = '🔍 Check Fact';
-          button.style.display = '';
+
+    // Never nest highlights
+    if (ranges.some(range => range.start < end && start < range.end)) return;
+    ranges.push({ start, end, claim });
+  });
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+// Find a phrase in the tweet text the way the backend does: exactly, else
+// ignoring case, Unicode normalization, Arabic diacritics and tatweel,
+// zero-width characters and repeated whitespace, so phrases in any script are
+// found. Returns offsets into `text`, or null.
+function findPhrase(text, phrase) {
+  const index = text.indexOf(phrase);
+  if (index !== -1) return { start: index, end: index + phrase.length };
+
+  const fold = (value) => {
+    let folded = '';
+    const starts = [];
+    const ends = [];
+    let offset = 0;
+    (value.match(/\P{M}\p{M}*|\p{M}+/gu) || []).forEach(cluster => {
+      const start = offset;
+      offset += cluster.length;
+      let chunk = cluster.replace(/[\u0640\u064B-\u065F\u0670\u200B-\u200F\u2060\uFEFF]/g, '').normalize('NFKC').toLowerCase();
+      if (/^\s+$/.test(chunk)) {
+        if (folded.endsWith(' ')) {
+          ends[ends.length - 1] = offset;
+          return;
         }
-        resolve();
-      })
-      .finally(() => {
-        activeRequests--;
-        console.log(`[FactCheck] 🏁 Request completed. Active requests: ${activeRequests}`);
-        setTimeout(processRequestQueue, 200);
-      });
+        chunk = ' ';
+      }
+      for (let i = 0; i < chunk.length; i++) {
+        starts.push(start);
+        ends.push(offset);
+      }
+      folded += chunk;
+    });
+    return { folded, starts, ends };
+  };
+
+  const foldedText = fold(text);
+  const foldedPhrase = fold(phrase.trim()).folded.trim();
+  const foldedIndex = foldedPhrase ? foldedText.folded.indexOf(foldedPhrase) : -1;
+  if (foldedIndex === -1) return null;
+  return { start: foldedText.starts[foldedIndex], end: foldedText.ends[foldedIndex + foldedPhrase.length - 1] };
+}
+
+// Wrap each range in a red span, splitting text nodes as needed. Each touched
+// text node is swapped for its highlighted pieces and remembered, so
+// removeHighlights can put the original node back.
+function highlightRanges(tweetTextElement, ranges, offset) {
+  if (ranges.length === 0) return;
+
+  // Text nodes in textContent order, with their offsets
+  const textNodes = [];
+  const walker = document.createTreeWalker(tweetTextElement, NodeFilter.SHOW_TEXT);
+  let position = 0;
+  let node;
+  while ((node = walker.nextNode())) {
+    textNodes.push({ node, start: position, end: position + node.data.length });
+    position += node.data.length;
   }
-  
-  isProcessingQueue = false;
-  console.log('[FactCheck] ✅ Finished processing queue');
+
+  const records = appliedHighlights.get(tweetTextElement) || [];
+
+  textNodes.forEach(({ node, start, end }) => {
+    const overlapping = ranges.filter(range => range.start + offset < end && start < range.end + offset);
+    if (overlapping.length === 0) return;
+
+    const replacements = [];
+    let cursor = 0;
+    overlapping.forEach(range => {
+      const from = Math.max(range.start + offset - start, 0);
+      const to = Math.min(range.end + offset - start, node.data.length);
+
+      if (from > cursor) {
+        replacements.push(document.createTextNode(node.data.slice(cursor, from)));
+      }
+
+      const span = document.createElement('span');
+      span.className = 'factcheck-incorrect';
+      span.setAttribute('data-factcheck-markup', 'red');
+      if (range.claim.correction) {
+        span.title = `Correction: ${range.claim.correction}`;
+      }
+      span.textContent = node.data.slice(from, to);
+      replacements.push(span);
+
+      // Show the correction right after the end of the flagged phrase
+      if (range.end + offset <= end && range.claim.correction) {
+        const correctionSpan = document.createElement('span');
+        correctionSpan.className = 'factcheck-correction';
+        // The correction may be in another script and direction than the tweet
+        correctionSpan.dir = 'auto';
+        correctionSpan.textContent = ` [${range.claim.correction}]`;
+        correctionSpan.setAttribute('data-factcheck-markup', 'green');
+        replacements.push(correctionSpan);
+      }
+
+      cursor = to;
+    });
+
+    if (cursor < node.data.length) {
+      replacements.push(document.createTextNode(node.data.slice(cursor)));
+    }
+
+    node.replaceWith(...replacements);
+    records.push({ original: node, replacements });
+  });
+
+  appliedHighlights.set(tweetTextElement, records);
+}
+
+// Undo highlightRanges, restoring the original text nodes
+function removeHighlights(tweetTextElement) {
+  const records = appliedHighlights.get(tweetTextElement);
+  if (!records) return;
+
+  records.forEach(({ original, replacements }) => {
+    const first = replacements[0];
+    if (first.parentNode) {
+      first.parentNode.insertBefore(original, first);
+    }
+    replacements.forEach(replacement => replacement.remove());
+  });
+
+  appliedHighlights.delete(tweetTextElement);
+}
+
+// Build the expandable panel listing each flagged claim with its sources
+function createSourcesPanel(tweetElement, result) {
+  const claims = result.claims;
+  const panel = document.createElement('div');
+  panel.className = 'factcheck-sources';
+  panel.setAttribute('data-factcheck-badge', 'true');
+
+  const sourceCount = claims.reduce((count, claim) => count + (claim.sources?.length || 0), 0);
+
+  const toggle = document.createElement('button');
+  toggle.className = 'factcheck-sources-toggle';
+  toggle.textContent = `📚 Why? (${sourceCount} source${sourceCount === 1 ? '' : 's'})`;
+
+  const list = document.createElement('div');
+  list.className = 'factcheck-sources-list';
+  list.style.display = 'none';
+
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    list.style.display = list.style.display === 'none' ? '' : 'none';
+  });
+
+  claims.forEach(claim => {
+    const item = document.createElement('div');
+    item.className = 'factcheck-claim';
+
+    const heading = document.createElement('div');
+    heading.className = 'factcheck-claim-heading';
+
+    const incorrect = document.createElement('span');
+    incorrect.className = 'factcheck-incorrect';
+    incorrect.textContent = claim.incorrect;
+
+    const correction = document.createElement('span');
+    correction.className = 'factcheck-correction';
+    correction.dir = 'auto';
+    correction.textContent = claim.correction;
+
+    const confidence = document.createElement('span');
+    confidence.className = `factcheck-confidence factcheck-confidence-${claim.confidence}`;
+    confidence.textContent = `${claim.confidence} confidence`;
+
+    if (claim.part === 'quoted' || claim.part === 'image') {
+      const part = document.createElement('span');
+      part.className = 'factcheck-claim-part';
+      part.textContent = claim.part === 'quoted' ? 'Quoted tweet' : `🖼️ Image ${claim.image + 1}`;
+      heading.appendChild(part);
+    }
+    heading.append(incorrect, ' → ', correction, confidence);
+    item.appendChild(heading);
+
+    // Older cached results have no checkId and can't take feedback
+    if (result.checkId) {
+      item.appendChild(createFeedbackControls(tweetElement, result, claim));
+    }
+
+    if (!claim.sources || claim.sources.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'factcheck-source-snippet';
+      empty.textContent = 'No sources cited for this claim.';
+      item.appendChild(empty);
+    }
+
+    (claim.sources || []).forEach(source => {
+      const sourceItem = document.createElement('div');
+      sourceItem.className = 'factcheck-source';
+
+      const link = document.createElement('a');
+      link.href = source.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = source.title || source.url;
+      link.addEventListener('click', e => e.stopPropagation());
+      sourceItem.appendChild(link);
+
+      if (source.snippet) {
+        const snippet = document.createElement('div');
+        snippet.className = 'factcheck-source-snippet';
+        snippet.textContent = source.snippet;
+        sourceItem.appendChild(snippet);
+      }
+
+      item.appendChild(sourceItem);
+    });
+
+    list.appendChild(item);
+  });
+
+  panel.append(toggle, list);
+  return panel;
 }
 
-// Process a single tweet
-async function processTweet(tweetElement) {
-  console.log('[FactCheck] 🔄 processTweet called');
+// Process a single tweet. Auto checks count against the session budget.
+async function processTweet(tweetElement, { auto = false } = {}) {
+  debugLog('[FactCheck] 🔄 processTweet called');
   
   if (!extensionEnabled) {
-    console.log('[FactCheck] ⚠️ Extension disabled, aborting');
+    debugLog('[FactCheck] ⚠️ Extension disabled, aborting');
     return;
   }
   
   if (tweetElement.dataset.factChecked) {
-    console.log('[FactCheck] ⚠️ Tweet already processed, status:', tweetElement.dataset.factChecked);
+    debugLog('[FactCheck] ⚠️ Tweet already processed, status:', tweetElement.dataset.factChecked);
     return;
   }
   
+  await expandShowMore(tweetElement);
+
   const tweetText = extractTweetText(tweetElement);
-  if (!tweetText || tweetText.length < 50) {
-    console.log('[FactCheck] ⚠️ Tweet too short or no text found. Length:', tweetText?.length || 0);
+  const context = extractTweetContext(tweetElement);
+  if (!isCheckable(tweetText, context)) {
+    debugLog('[FactCheck] ⚠️ Tweet too short or no text found. Length:', tweetText?.length || 0);
     return; // Skip short tweets
   }
   
-  const tweetId = generateTweetId(tweetText);
-  console.log('[FactCheck] 📋 Tweet ID:', tweetId);
-  
-  // Check cache first
-  if (tweetCache.has(tweetId)) {
-    console.log('[FactCheck] 💾 Using cached result');
-    const cachedResult = tweetCache.get(tweetId);
-    applyMarkup(tweetElement, cachedResult);
-    return;
-  }
+  const tweet = getTweetIdentity(tweetElement, tweetText);
+  debugLog('[FactCheck] 📋 Tweet ID:', tweet.id);
   
   // Check if already being processed
-  if (processingTweets.has(tweetId)) {
-    console.log('[FactCheck] ⚠️ Tweet already being processed');
+  if (processingTweets.has(tweet.id)) {
+    debugLog('[FactCheck] ⚠️ Tweet already being processed');
     return;
   }
-  
-  processingTweets.add(tweetId);
-  console.log('[FactCheck] ✅ Added to processing set');
-  
-  // Add loading indicator
-  tweetElement.dataset.factChecked = 'loading';
-  console.log('[FactCheck] 🔄 Set loading state');
-  
-  // Update button to show loading state
-  const button = tweetElement.querySelector('.factcheck-button');
-  if (button) {
-    button.disabled = true;
-    button.innerHTML = '🔍 Checking...';
-    console.log('[FactCheck] 🔘 Updated button to loading state');
+  processingTweets.add(tweet.id);
+
+  try {
+    // Check cache first
+    const cachedResult = await getCachedResult(tweet, tweetText);
+    if (cachedResult) {
+      if (!tweetElement.dataset.factChecked) {
+        debugLog('[FactCheck] 💾 Using cached result');
+        applyMarkup(tweetElement, cachedResult);
+      }
+      return;
+    }
+
+    if (auto) {
+      if (autoChecksUsed >= autoBudget) {
+        debugLog(`[FactCheck] 💸 Auto mode budget of ${autoBudget} checks used up for this session`);
+        return;
+      }
+      autoChecksUsed++;
+    }
+
+    // Add loading indicator
+    tweetElement.dataset.factChecked = 'loading';
+    debugLog('[FactCheck] 🔄 Set loading state');
+
+    // Update button to show loading state
+    const button = tweetElement.querySelector('.factcheck-button');
+    if (button) {
+      button.disabled = true;
+      button.innerHTML = '🔍 Checking...';
+    }
+
+    const onProgress = (event) => {
+      const label = describeProgress(event);
+      if (!label) return;
+      tweetElement.dataset.factcheckProgress = label;
+      if (button) {
+        button.textContent = label;
+      }
+    };
+
+    // Auto checks are cancelled when their tweet scrolls away
+    const check = { controller: new AbortController(), started: false };
+    if (auto) {
+      inFlightAutoChecks.set(tweetElement, check);
+    }
+
+    debugLog('[FactCheck] 📤 Sending check to the background worker...');
+    const result = await checkTweet(tweet, tweetText, context, {
+      signal: check.controller.signal,
+      onStarted: () => { check.started = true; },
+      onProgress,
+      onRateLimited: (retryAfter) => {
+        check.started = false;
+        rateLimitedUntil = Date.now() + retryAfter * 1000;
+        showRateLimitCountdown(tweetElement, button);
+      },
+    });
+    inFlightAutoChecks.delete(tweetElement);
+    delete tweetElement.dataset.factcheckProgress;
+
+    if (result) {
+      applyMarkup(tweetElement, result);
+      // Hide the button once the tweet is checked; failed or cancelled checks keep it
+      if (button) {
+        button.style.display = 'none';
+      }
+    } else {
+      debugLog('[FactCheck] ⚠️ No result returned from checkTweet');
+      // Reset loading state if no result
+      delete tweetElement.dataset.factChecked;
+      if (button) {
+        button.disabled = false;
+        button.innerHTML = '🔍 Check Fact';
+        button.style.display = '';
+      }
+    }
+  } finally {
+    processingTweets.delete(tweet.id);
+    debugLog('[FactCheck] 🧹 Cleaned up processing set');
+  }
+}
+
+// Watch tweets for auto mode
+function startAutoMode() {
+  if (!autoObserver) {
+    autoObserver = new IntersectionObserver(handleAutoVisibility, { threshold: AUTO_VISIBLE_RATIO });
+  }
+  document.querySelectorAll('article[data-testid="tweet"]').forEach(observeForAutoMode);
+  debugLog('[FactCheck] 🤖 Auto mode started');
+}
+
+// Stop watching tweets and drop every auto check that has not finished
+function stopAutoMode() {
+  if (autoObserver) {
+    autoObserver.disconnect();
+    autoObserver = null;
+  }
+  dwellTimers.forEach(timer => clearTimeout(timer));
+  dwellTimers.clear();
+  inFlightAutoChecks.forEach((check, tweetElement) => cancelAutoCheck(tweetElement));
+  debugLog('[FactCheck] 🤖 Auto mode stopped');
+}
+
+function observeForAutoMode(tweetElement) {
+  if (autoObserver && !tweetElement.dataset.factChecked) {
+    autoObserver.observe(tweetElement);
+  }
+}
+
+// Start the dwell timer when a tweet comes into view; cancel its check when it leaves
+function handleAutoVisibility(entries) {
+  entries.forEach(entry => {
+    const tweetElement = entry.target;
+
+    if (entry.isIntersecting) {
+      if (tweetElement.dataset.factChecked || dwellTimers.has(tweetElement)) return;
+      dwellTimers.set(tweetElement, setTimeout(() => {
+        dwellTimers.delete(tweetElement);
+        if (!autoMode || !extensionEnabled || !tweetElement.isConnected) return;
+        processTweet(tweetElement, { auto: true }).then(() => {
+          if (tweetElement.dataset.factChecked === 'true') {
+            autoObserver?.unobserve(tweetElement);
+          }
+        });
+      }, AUTO_DWELL_MS));
+      return;
+    }
+
+    clearTimeout(dwellTimers.get(tweetElement));
+    dwellTimers.delete(tweetElement);
+    cancelAutoCheck(tweetElement);
+  });
+}
+
+// Cancel a tweet's auto check. A check still waiting in the background
+// worker's queue is refunded to the session budget.
+function cancelAutoCheck(tweetElement) {
+  const check = inFlightAutoChecks.get(tweetElement);
+  if (!check) return;
+
+  inFlightAutoChecks.delete(tweetElement);
+  if (check.started) {
+    debugLog('[FactCheck] 🛑 Tweet left the screen, cancelling its check');
   } else {
-    console.log('[FactCheck] ⚠️ Button not found!');
+    autoChecksUsed--;
+    debugLog('[FactCheck] 🗑️ Tweet left the screen, dropped from queue');
   }
-  
-  // Queue the request
-  console.log('[FactCheck] 📤 Queuing request...');
-  return new Promise((resolve) => {
-    requestQueue.push({ tweetElement, tweetText, tweetId, resolve });
-    console.log('[FactCheck] 📊 Queue length:', requestQueue.length);
-    processRequestQueue();
-  }).finally(() => {
-    processingTweets.delete(tweetId);
-    console.log('[FactCheck] 🧹 Cleaned up processing set');
-    // Remove or update button after check
+  check.controller.abort();
+}
+
+// Whether any part of the element is inside the viewport
+function isInViewport(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.bottom > 0 && rect.top < window.innerHeight;
+}
+
+// Check every unchecked tweet on screen through the batch endpoint.
+// Resolves with the number of tweets checked or served from cache.
+async function checkVisibleTweets() {
+  if (!extensionEnabled) {
+    debugLog('[FactCheck] Extension disabled, skipping visible tweets check');
+    return 0;
+  }
+
+  const pending = [];
+  let fromCache = 0;
+
+  const visible = Array.from(document.querySelectorAll('article[data-testid="tweet"]'))
+    .filter(tweetElement => !tweetElement.dataset.factChecked && isInViewport(tweetElement));
+  for (const tweetElement of visible) {
+    await expandShowMore(tweetElement);
+  }
+
+  for (const tweetElement of visible) {
+    const tweetText = extractTweetText(tweetElement);
+    const context = extractTweetContext(tweetElement);
+    if (!isCheckable(tweetText, context)) continue;
+
+    const tweet = getTweetIdentity(tweetElement, tweetText);
+    const button = tweetElement.querySelector('.factcheck-button');
+    if (processingTweets.has(tweet.id) || pending.some(item => item.tweet.id === tweet.id)) continue;
+
+    const cachedResult = await getCachedResult(tweet, tweetText);
+    if (cachedResult) {
+      if (tweetElement.dataset.factChecked) continue;
+      applyMarkup(tweetElement, cachedResult);
+      if (button) button.style.display = 'none';
+      fromCache++;
+      continue;
+    }
+
+    processingTweets.add(tweet.id);
+    tweetElement.dataset.factChecked = 'loading';
     if (button) {
-      button.style.display = 'none';
-      console.log('[FactCheck] 🔘 Hid button');
+      button.disabled = true;
+      button.innerHTML = '🔍 Checking...';
     }
-  });
+    pending.push({ tweetElement, tweetText, context, tweet, button });
+  }
+
+  debugLog(`[FactCheck] 📦 Visible tweets: ${pending.length} to check, ${fromCache} from cache`);
+
+  for (let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+    const chunk = pending.slice(i, i + MAX_BATCH_SIZE);
+
+    // The background worker retries a rate-limited batch after Retry-After
+    const results = await checkTweetsBatch(chunk, (retryAfter) => {
+      rateLimitedUntil = Date.now() + retryAfter * 1000;
+      chunk.forEach(({ tweetElement, button }) => showRateLimitCountdown(tweetElement, button));
+    });
+
+    chunk.forEach(({ tweetElement, tweet, button }) => {
+      const item = results?.find(entry => entry?.id === tweet.id);
+      processingTweets.delete(tweet.id);
+
+      if (item?.status === 'ok') {
+        applyMarkup(tweetElement, item.result);
+        if (button) button.style.display = 'none';
+        return;
+      }
+
+      debugLog('[FactCheck] ⚠️ Batch item failed:', item?.error || 'no result');
+      delete tweetElement.dataset.factChecked;
+      if (button) {
+        button.disabled = false;
+        button.innerHTML = '🔍 Check Fact';
+        button.style.display = '';
+      }
+    });
+  }
+
+  return pending.length + fromCache;
 }
 
-// Process all tweets on the page (only adds buttons, doesn't auto-check)
+// Process all tweets on the page: adds buttons, and hands them to the auto
+// mode observer when it is on
 async function processTweets() {
   if (!extensionEnabled) {
-    console.log('[FactCheck] Extension disabled, skipping button addition');
+    debugLog('[FactCheck] Extension disabled, skipping button addition');
     return;
   }
   
   const tweets = document.querySelectorAll('article[data-testid="tweet"]');
-  console.log(`[FactCheck] Found ${tweets.length} tweets to add buttons to`);
+  debugLog(`[FactCheck] Found ${tweets.length} tweets to add buttons to`);
   
   if (tweets.length === 0) {
-    console.log('[FactCheck] No tweets found on page');
+    debugLog('[FactCheck] No tweets found on page');
     return;
   }
   
   for (const tweet of tweets) {
     addCheckButton(tweet);
+    observeForAutoMode(tweet);
   }
   
-  console.log(`[FactCheck] Finished processing ${tweets.length} tweets`);
+  debugLog(`[FactCheck] Finished processing ${tweets.length} tweets`);
 }
 
 // Remove all markups
 function removeAllMarkups() {
+  document.querySelectorAll('[data-testid="tweetText"]').forEach(removeHighlights);
   document.querySelectorAll('[data-factcheck-markup]').forEach(el => el.remove());
   document.querySelectorAll('[data-factcheck-badge]').forEach(el => el.remove());
+  document.querySelectorAll('[data-factcheck-image-flagged]').forEach(el => {
+    delete el.dataset.factcheckImageFlagged;
+  });
   document.querySelectorAll('.factcheck-button').forEach(btn => btn.remove());
   document.querySelectorAll('[data-fact-checked]').forEach(el => {
     delete el.dataset.factChecked;
     delete el.dataset.factcheckResult;
+    delete el.dataset.factcheckProgress;
+    delete el.dataset.factcheckDisputed;
   });
-  console.log('[FactCheck] Removed all markups and buttons');
+  debugLog('[FactCheck] Removed all markups and buttons');
 }
 
 // Add check button to tweet
 function addCheckButton(tweetElement) {
   // Skip if button already exists or tweet is already checked
   if (tweetElement.querySelector('.factcheck-button')) {
-    console.log('[FactCheck] Button already exists for tweet');
+    debugLog('[FactCheck] Button already exists for tweet');
     return;
   }
   if (tweetElement.dataset.factChecked === 'true') {
-    console.log('[FactCheck] Tweet already checked, skipping button');
+    debugLog('[FactCheck] Tweet already checked, skipping button');
     return;
   }
   
-  const tweetTextElement = tweetElement.querySelector('[data-testid="tweetText"]');
+  const tweetTextElement = getAnchorElement(tweetElement);
   if (!tweetTextElement) {
-    console.log('[FactCheck] No tweet text element found');
+    debugLog('[FactCheck] No tweet text or media element found');
     return;
   }
   
   const tweetText = extractTweetText(tweetElement);
-  if (!tweetText || tweetText.length < 50) {
-    console.log('[FactCheck] Tweet too short or no text, skipping');
+  const quotedText = getQuotedTextElement(tweetElement)?.textContent?.trim();
+  if (!isCheckable(tweetText, { quoted: quotedText, images: extractTweetImages(tweetElement) })) {
+    debugLog('[FactCheck] Tweet too short or no text, skipping');
     return;
   }
   
-  console.log('[FactCheck] Adding button to tweet:', tweetText.substring(0, 50) + '...');
+  debugLog('[FactCheck] Adding button to tweet:', (tweetText || '[image only]').substring(0, 50) + '...');
   
   // Create button container
   const buttonContainer = document.createElement('div');
@@ -500,19 +1226,19 @@ function addCheckButton(tweetElement) {
     e.stopPropagation();
     e.preventDefault();
     
-    console.log('[FactCheck] 🔘 Button clicked!');
+    debugLog('[FactCheck] 🔘 Button clicked!');
     
     if (tweetElement.dataset.factChecked === 'loading') {
-      console.log('[FactCheck] ⚠️ Tweet is already being processed, ignoring click');
+      debugLog('[FactCheck] ⚠️ Tweet is already being processed, ignoring click');
       return;
     }
     
     if (tweetElement.dataset.factChecked === 'true') {
-      console.log('[FactCheck] ⚠️ Tweet already checked, ignoring click');
+      debugLog('[FactCheck] ⚠️ Tweet already checked, ignoring click');
       return;
     }
     
-    console.log('[FactCheck] ✅ Processing tweet...');
+    debugLog('[FactCheck] ✅ Processing tweet...');
     await processTweet(tweetElement);
   });
   
@@ -521,7 +1247,7 @@ function addCheckButton(tweetElement) {
   // Strategy 1: Insert right after the tweet text element (most reliable)
   if (tweetTextElement.nextSibling) {
     tweetTextElement.parentElement.insertBefore(buttonContainer, tweetTextElement.nextSibling);
-    console.log('[FactCheck] Button inserted after tweet text element');
+    debugLog('[FactCheck] Button inserted after tweet text element');
     return;
   }
   
@@ -529,7 +1255,7 @@ function addCheckButton(tweetElement) {
   const tweetTextParent = tweetTextElement.parentElement;
   if (tweetTextParent) {
     tweetTextParent.appendChild(buttonContainer);
-    console.log('[FactCheck] Button appended to tweet text parent');
+    debugLog('[FactCheck] Button appended to tweet text parent');
     return;
   }
   
@@ -539,7 +1265,7 @@ function addCheckButton(tweetElement) {
     const actionsContainer = replyButton.parentElement.parentElement;
     if (actionsContainer) {
       actionsContainer.insertBefore(buttonContainer, actionsContainer.firstChild);
-      console.log('[FactCheck] Button inserted near tweet actions');
+      debugLog('[FactCheck] Button inserted near tweet actions');
       return;
     }
   }
@@ -547,7 +1273,7 @@ function addCheckButton(tweetElement) {
   console.error('[FactCheck] Could not find insertion point for button');
 }
 
-// Initialize observer (only adds buttons, doesn't auto-check)
+// Initialize observer (adds buttons to new tweets; see processTweets)
 function initObserver() {
   if (observer) observer.disconnect();
 
@@ -575,25 +1301,30 @@ function initObserver() {
 
 // Main initialization
 async function init() {
-  console.log('[FactCheck] Twitter Fact Checker initialized');
-  console.log('[FactCheck] Current URL:', window.location.href);
+  await loadDebugSetting();
+  debugLog('[FactCheck] Twitter Fact Checker initialized');
+  debugLog('[FactCheck] Current URL:', window.location.href);
   
   await loadEnabledState();
-  await loadCache();
+  await loadAutoSettings();
   
-  console.log('[FactCheck] Extension enabled state:', extensionEnabled);
+  debugLog('[FactCheck] Extension enabled state:', extensionEnabled);
   
   if (!extensionEnabled) {
-    console.log('[FactCheck] Extension is disabled - enable it in the popup to see buttons');
+    debugLog('[FactCheck] Extension is disabled - enable it in the popup to see buttons');
     return;
   }
   
   injectPageScript();
+
+  if (autoMode) {
+    startAutoMode();
+  }
   
-  console.log('[FactCheck] Waiting 2 seconds before adding buttons...');
+  debugLog('[FactCheck] Waiting 2 seconds before adding buttons...');
   setTimeout(() => {
-    console.log('[FactCheck] Starting to add buttons to tweets');
-    processTweets(); // This now only adds buttons, doesn't auto-check
+    debugLog('[FactCheck] Starting to add buttons to tweets');
+    processTweets(); // Adds buttons; auto mode checks tweets that stay on screen
   }, 2000);
   
   initObserver();
@@ -604,16 +1335,13 @@ async function init() {
     const url = location.href;
     if (url !== lastUrl) {
       lastUrl = url;
-      console.log('[FactCheck] Page navigation detected, URL:', url);
+      debugLog('[FactCheck] Page navigation detected, URL:', url);
       setTimeout(() => {
-        console.log('[FactCheck] Adding buttons after navigation');
-        processTweets(); // This now only adds buttons, doesn't auto-check
+        debugLog('[FactCheck] Adding buttons after navigation');
+        processTweets(); // Adds buttons; auto mode checks tweets that stay on screen
       }, 2000);
     }
   }).observe(document, { subtree: true, childList: true });
-  
-  // Save cache periodically
-  setInterval(saveCache, 30000);
 }
 
 // Wait for page to load
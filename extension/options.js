@@ -0,0 +1,111 @@
+// Options page: backend URL, API token and debug logging
+const BACKEND_URL_KEY = 'backend_url';
+const API_TOKEN_KEY = 'api_token';
+const DEBUG_KEY = 'debug_logging';
+const DEFAULT_BACKEND_URL = 'http://localhost:3000';
+
+// Get elements
+const form = document.getElementById('settingsForm');
+const backendUrlInput = document.getElementById('backendUrl');
+const apiTokenInput = document.getElementById('apiToken');
+const debugLoggingInput = document.getElementById('debugLogging');
+const testConnectionBtn = document.getElementById('testConnection');
+const message = document.getElementById('message');
+
+function showMessage(text, type) {
+  message.textContent = text;
+  message.className = `message ${type}`;
+}
+
+// Validate and normalize the URL field, e.g. strip a trailing slash
+function readBackendUrl() {
+  const url = new URL(backendUrlInput.value.trim());
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Backend URL must start with http:// or https://');
+  }
+  return url.origin + url.pathname.replace(/\/+$/, '');
+}
+
+// Ask for access to the backend's origin unless the manifest already grants it
+async function ensureHostPermission(backendUrl) {
+  const origins = [`${new URL(backendUrl).origin}/*`];
+  if (await chrome.permissions.contains({ origins })) return true;
+  return chrome.permissions.request({ origins });
+}
+
+// Load saved settings
+chrome.storage.local.get([BACKEND_URL_KEY, API_TOKEN_KEY, DEBUG_KEY], (result) => {
+  backendUrlInput.value = result[BACKEND_URL_KEY] || DEFAULT_BACKEND_URL;
+  apiTokenInput.value = result[API_TOKEN_KEY] || '';
+  debugLoggingInput.checked = result[DEBUG_KEY] === true;
+});
+
+// Save handler
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  let backendUrl;
+  try {
+    backendUrl = readBackendUrl();
+  } catch (error) {
+    showMessage(error.message.startsWith('Backend URL') ? error.message : 'Enter a valid URL, e.g. https://factcheck.example.com', 'error');
+    return;
+  }
+
+  // Must run in the click handler: permission prompts need a user gesture
+  const granted = await ensureHostPermission(backendUrl);
+  if (!granted) {
+    showMessage(`Permission to access ${new URL(backendUrl).origin} was denied, so the popup cannot reach it.`, 'error');
+    return;
+  }
+
+  await chrome.storage.local.set({
+    [BACKEND_URL_KEY]: backendUrl,
+    [API_TOKEN_KEY]: apiTokenInput.value.trim(),
+    [DEBUG_KEY]: debugLoggingInput.checked,
+  });
+  backendUrlInput.value = backendUrl;
+  showMessage('✓ Settings saved. Open X/Twitter tabs pick them up automatically.', 'success');
+});
+
+// Test connection handler
+testConnectionBtn.addEventListener('click', async () => {
+  let backendUrl;
+  try {
+    backendUrl = readBackendUrl();
+  } catch (error) {
+    showMessage('Enter a valid URL first', 'error');
+    return;
+  }
+
+  showMessage('Connecting...', 'success');
+  const apiToken = apiTokenInput.value.trim();
+  try {
+    // The deep probe makes one cheap call to each provider
+    const response = await fetch(`${backendUrl}/api/health?deep=1`, {
+      headers: apiToken ? { 'Authorization': `Bearer ${apiToken}` } : {},
+    });
+    if (response.status === 401) {
+      showMessage(apiToken ? 'Connected, but the server rejected this API token.' : 'Connected, but this server requires an API token.', 'error');
+      return;
+    }
+    if (!response.ok && response.status !== 503) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const health = await response.json();
+    if (health.authRequired && !apiToken) {
+      showMessage('Connected, but this server requires an API token.', 'error');
+      return;
+    }
+    if (health.checks && health.status !== 'ok') {
+      const failing = ['search', 'chat', 'cache', 'feedback', 'checks']
+        .filter(name => health.checks[name]?.status === 'unavailable')
+        .map(name => `${name}: ${health.checks[name].error || 'unavailable'}`);
+      showMessage(`Connected, but ${health.status === 'down' ? 'tweets cannot be checked' : 'the backend is degraded'}. ${failing.join('; ')}`, 'error');
+      return;
+    }
+    showMessage(`✓ Connected to ${health.service || 'backend'}${health.version ? ` v${health.version}` : ''}`, 'success');
+  } catch (error) {
+    showMessage(`Could not reach ${backendUrl} (${error.message})`, 'error');
+  }
+});
@@ -0,0 +1,201 @@
+// Overlay for "Fact-check selection": injected by the background worker into
+// the page the text was selected on. Renders in a shadow root so the page's
+// styles don't leak in, and never touches the page's own content.
+(() => {
+  // Injected again on every check; the listener only needs registering once
+  if (window.__factcheckOverlay) return;
+  window.__factcheckOverlay = true;
+
+  const HOST_ID = 'factcheck-selection-overlay';
+  const MAX_SOURCES = 5;
+
+  const STYLES = `
+    .panel {
+      position: fixed;
+      top: 16px;
+      right: 16px;
+      z-index: 2147483647;
+      width: 360px;
+      max-height: calc(100vh - 32px);
+      overflow-y: auto;
+      box-sizing: border-box;
+      padding: 14px 16px;
+      background: white;
+      color: #0f1419;
+      border-radius: 12px;
+      box-shadow: 0 4px 24px rgba(0, 0, 0, 0.2);
+      font: 14px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 10px;
+      font-weight: 600;
+    }
+    .close {
+      border: none;
+      background: none;
+      font-size: 18px;
+      line-height: 1;
+      cursor: pointer;
+      color: #536471;
+    }
+    .status {
+      display: inline-block;
+      margin-bottom: 8px;
+      padding: 2px 8px;
+      border-radius: 12px;
+      font-size: 12px;
+      font-weight: 600;
+    }
+    .status.ok { background: rgba(16, 185, 129, 0.1); color: #10b981; }
+    .status.issues { background: rgba(239, 68, 68, 0.1); color: #dc2626; }
+    .status.disputed { background: rgba(245, 158, 11, 0.1); color: #d97706; }
+    .status.pending { background: rgba(83, 100, 113, 0.1); color: #536471; }
+    .text {
+      margin: 0 0 10px;
+      padding: 8px 10px;
+      background: #f7f9f9;
+      border-radius: 8px;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    .incorrect {
+      background: rgba(239, 68, 68, 0.1);
+      border-bottom: 2px solid #ef4444;
+    }
+    .correction {
+      margin-left: 4px;
+      padding: 0 6px;
+      background: rgba(16, 185, 129, 0.1);
+      color: #10b981;
+      border-radius: 4px;
+      font-size: 0.9em;
+      font-weight: 500;
+    }
+    .summary { margin: 0 0 10px; }
+    .error { color: #991b1b; }
+    .muted { color: #536471; }
+    .sources { margin: 0; padding-left: 18px; font-size: 12px; }
+    .sources a { color: #1d9bf0; }
+  `;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function close() {
+    document.getElementById(HOST_ID)?.remove();
+    document.removeEventListener('keydown', onKeydown, true);
+  }
+
+  function onKeydown(event) {
+    if (event.key === 'Escape') close();
+  }
+
+  // The panel, created on first use and emptied on later ones
+  function openPanel() {
+    let host = document.getElementById(HOST_ID);
+    if (!host) {
+      host = document.createElement('div');
+      host.id = HOST_ID;
+      const shadow = host.attachShadow({ mode: 'open' });
+      shadow.appendChild(el('style', null, STYLES));
+      document.documentElement.appendChild(host);
+      document.addEventListener('keydown', onKeydown, true);
+    }
+    const shadow = host.shadowRoot;
+    shadow.querySelector('.panel')?.remove();
+
+    const panel = el('div', 'panel');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Fact-check result');
+    const header = el('div', 'header', '🔍 Fact-check');
+    const closeButton = el('button', 'close', '×');
+    closeButton.title = 'Close';
+    closeButton.addEventListener('click', close);
+    header.appendChild(closeButton);
+    panel.appendChild(header);
+    shadow.appendChild(panel);
+    return panel;
+  }
+
+  // The selected text with each flagged phrase marked in red and followed by
+  // its correction in green. Claim offsets index into the submitted text.
+  function renderText(text, claims) {
+    const container = el('p', 'text');
+    const flagged = claims
+      .filter(claim => claim.part === 'main' && Number.isInteger(claim.start) && claim.end > claim.start)
+      .sort((a, b) => a.start - b.start);
+
+    let position = 0;
+    flagged.forEach(claim => {
+      if (claim.start < position) return; // Overlaps the previous phrase
+      container.appendChild(document.createTextNode(text.slice(position, claim.start)));
+      const incorrect = el('span', 'incorrect', text.slice(claim.start, claim.end));
+      incorrect.title = `Confidence: ${claim.confidence}`;
+      container.appendChild(incorrect);
+      container.appendChild(el('span', 'correction', `→ ${claim.correction}`));
+      position = claim.end;
+    });
+    container.appendChild(document.createTextNode(text.slice(position)));
+    return container;
+  }
+
+  function renderSources(sources) {
+    const list = el('ol', 'sources');
+    sources.slice(0, MAX_SOURCES).forEach(source => {
+      if (!/^https?:\/\//.test(source.url)) return;
+      const item = el('li');
+      const link = el('a', null, source.title || new URL(source.url).hostname);
+      link.href = source.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  function render({ state, text, result, error }) {
+    const panel = openPanel();
+
+    if (state === 'loading') {
+      panel.appendChild(el('p', 'muted', 'Checking the selected text...'));
+      return;
+    }
+    if (state === 'error') {
+      panel.appendChild(el('p', 'error', `❌ ${error}`));
+      return;
+    }
+
+    const claims = result.claims || [];
+    if (result.review?.status === 'pending') {
+      panel.appendChild(el('div', 'status pending', '⏳ Awaiting review'));
+    } else if (result.disputed) {
+      panel.appendChild(el('div', 'status disputed', '⚠️ Disputed by readers'));
+    } else if (result.hasIssues && claims.length > 0) {
+      panel.appendChild(el('div', 'status issues', `${claims.length} issue${claims.length === 1 ? '' : 's'} found`));
+    } else {
+      panel.appendChild(el('div', 'status ok', '✓ No issues found'));
+    }
+    panel.appendChild(renderText(text, claims));
+    if (result.summary) {
+      panel.appendChild(el('p', 'summary', result.summary));
+    }
+    if (result.sources?.length) {
+      panel.appendChild(el('div', 'muted', 'Sources'));
+      panel.appendChild(renderSources(result.sources));
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'factcheckSelection') {
+      render(message);
+    }
+  });
+})();
@@ -1,32 +1,240 @@
 // Popup script for extension toggle and stats
 const TOGGLE_KEY = 'extension_enabled';
 const DEFAULT_ENABLED = true;
-const BACKEND_URL = 'http://localhost:3000';
+const BACKEND_URL_KEY = 'backend_url';
+const API_TOKEN_KEY = 'api_token';
+const DEFAULT_BACKEND_URL = 'http://localhost:3000';
+const AUTO_MODE_KEY = 'auto_mode';
+const AUTO_BUDGET_KEY = 'auto_budget';
+const DEFAULT_AUTO_BUDGET = 50;
+const LANGUAGE_KEY = 'output_language';
+const HISTORY_KEY = 'twitter_factcheck_history';
+const ACTIVITY_DAYS = 7;
+const TOP_ACCOUNTS = 5;
+const MAX_LISTED_CHECKS = 50;
 
 // Get elements
 const toggleSwitch = document.getElementById('toggleSwitch');
+const autoToggle = document.getElementById('autoToggle');
+const autoBudgetInput = document.getElementById('autoBudget');
+const languageSelect = document.getElementById('languageSelect');
 const status = document.getElementById('status');
 const backendStatus = document.getElementById('backendStatus');
 const clearCacheBtn = document.getElementById('clearCache');
+const checkVisibleBtn = document.getElementById('checkVisible');
+const openSettingsLink = document.getElementById('openSettings');
+const clearHistoryLink = document.getElementById('clearHistory');
+const statsSection = document.getElementById('stats');
+const historySection = document.getElementById('history');
+const historySearch = document.getElementById('historySearch');
+const historyList = document.getElementById('historyList');
 
-// Check backend connection
+let checkHistory = [];
+
+// One phrase per dependency of a health report, e.g. "search unavailable, LLM ok",
+// and the errors behind the failing ones
+function describeHealth(health) {
+  const { search, chat, cache, feedback, checks } = health.checks;
+  const parts = [
+    `search ${search.status === 'ok' ? 'ok' : 'unavailable'}`,
+    `LLM ${chat.status === 'ok' ? 'ok' : 'unavailable'}`,
+  ];
+  if (cache.status !== 'ok') parts.push('cache failing');
+  if (feedback.status !== 'ok') parts.push('feedback store failing');
+  if (checks?.status === 'unavailable') parts.push('check store failing');
+
+  const errors = [['Search', search], ['LLM', chat], ['Cache', cache], ['Feedback', feedback], ['Check store', checks]]
+    .filter(([, check]) => check?.error)
+    .map(([label, check]) => `${label}: ${check.error}`);
+  return { summary: parts.join(', '), details: errors.join('\n') };
+}
+
+// Check backend connection and show which of its dependencies work
 async function checkBackend() {
+  const settings = await chrome.storage.local.get([BACKEND_URL_KEY, API_TOKEN_KEY]);
+  const backendUrl = settings[BACKEND_URL_KEY] || DEFAULT_BACKEND_URL;
+  backendStatus.title = '';
+
+  let health;
   try {
-    const response = await fetch(`${BACKEND_URL}/api/health`, {
+    const response = await fetch(`${backendUrl}/api/health`, {
       method: 'GET',
       headers: { 'Content-Type': 'application/json' }
     });
-    
-    if (response.ok) {
-      backendStatus.className = 'backend-status connected';
-      backendStatus.textContent = '✅ Backend: Connected';
-      return true;
+    // 503 still carries a report: the backend is up but cannot check tweets
+    if (!response.ok && response.status !== 503) {
+      throw new Error(`HTTP ${response.status}`);
     }
+    health = await response.json();
   } catch (error) {
     backendStatus.className = 'backend-status disconnected';
-    backendStatus.textContent = '❌ Backend: Not running (Start server on localhost:3000)';
+    backendStatus.textContent = `❌ Backend: Not reachable at ${backendUrl}`;
+    return false;
+  }
+
+  if (health.authRequired && !settings[API_TOKEN_KEY]) {
+    backendStatus.className = 'backend-status disconnected';
+    backendStatus.textContent = '🔒 Backend: API token required (set it in Settings)';
     return false;
   }
+
+  // Backends older than the dependency checks only report "ok"
+  if (!health.checks || health.status === 'ok') {
+    backendStatus.className = 'backend-status connected';
+    backendStatus.textContent = `✅ Backend: Connected${health.version ? ` (v${health.version})` : ''}`;
+    return true;
+  }
+
+  const { summary, details } = describeHealth(health);
+  backendStatus.title = details;
+  if (health.status === 'down') {
+    backendStatus.className = 'backend-status disconnected';
+    backendStatus.textContent = `❌ Backend: Cannot check tweets (${summary})`;
+    return false;
+  }
+  backendStatus.className = 'backend-status degraded';
+  backendStatus.textContent = `⚠️ Backend: Degraded (${summary})`;
+  return true;
+}
+
+// Load the check history and render the dashboard
+async function loadHistory() {
+  const result = await chrome.storage.local.get(HISTORY_KEY);
+  checkHistory = result[HISTORY_KEY] || [];
+  renderStats();
+  renderHistory();
+}
+
+// Totals, checks per day and the accounts with the most flagged tweets
+function renderStats() {
+  if (checkHistory.length === 0) {
+    statsSection.style.display = 'none';
+    historySection.style.display = 'none';
+    return;
+  }
+  statsSection.style.display = '';
+  historySection.style.display = '';
+
+  const flagged = checkHistory.filter(entry => entry.hasIssues);
+  document.getElementById('tweetsChecked').textContent = checkHistory.length;
+  document.getElementById('issuesFound').textContent = flagged.reduce((sum, entry) => sum + (entry.issues || 0), 0);
+  document.getElementById('tweetsFlagged').textContent = flagged.length;
+
+  // Checks per day, oldest first; the red part of each bar is flagged tweets
+  const days = [];
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  for (let i = ACTIVITY_DAYS - 1; i >= 0; i--) {
+    const start = new Date(today);
+    start.setDate(today.getDate() - i);
+    days.push({ start: start.getTime(), end: start.getTime() + 24 * 60 * 60 * 1000, label: start.toLocaleDateString(undefined, { weekday: 'narrow' }), total: 0, flagged: 0 });
+  }
+  checkHistory.forEach(entry => {
+    const day = days.find(d => entry.checkedAt >= d.start && entry.checkedAt < d.end);
+    if (!day) return;
+    day.total++;
+    if (entry.hasIssues) day.flagged++;
+  });
+
+  const busiest = Math.max(1, ...days.map(day => day.total));
+  const activity = document.getElementById('activity');
+  activity.replaceChildren(...days.map(day => {
+    const column = document.createElement('div');
+    column.className = 'activity-day';
+    column.title = `${new Date(day.start).toLocaleDateString()}: ${day.total} checked, ${day.flagged} flagged`;
+
+    const bar = document.createElement('div');
+    bar.className = 'activity-bar';
+    bar.style.height = `${(day.total / busiest) * 100}%`;
+    if (day.flagged > 0) {
+      const flaggedPart = document.createElement('div');
+      flaggedPart.className = 'flagged';
+      flaggedPart.style.height = `${(day.flagged / day.total) * 100}%`;
+      bar.appendChild(flaggedPart);
+    }
+
+    const label = document.createElement('div');
+    label.className = 'activity-label';
+    label.textContent = day.label;
+
+    column.append(bar, label);
+    return column;
+  }));
+
+  const flaggedByAuthor = new Map();
+  flagged.forEach(entry => {
+    if (!entry.author) return;
+    flaggedByAuthor.set(entry.author, (flaggedByAuthor.get(entry.author) || 0) + 1);
+  });
+  const topAccounts = [...flaggedByAuthor.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_ACCOUNTS);
+
+  const list = document.getElementById('topAccounts');
+  if (topAccounts.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = 'No flagged accounts yet';
+    list.replaceChildren(empty);
+    return;
+  }
+  list.replaceChildren(...topAccounts.map(([author, count]) => {
+    const item = document.createElement('li');
+    const countLabel = document.createElement('span');
+    countLabel.className = 'count';
+    countLabel.textContent = count;
+    item.append(author, countLabel);
+    return item;
+  }));
+}
+
+// Past checks matching the search box, newest first. Clicking one reopens the tweet.
+function renderHistory() {
+  const query = historySearch.value.trim().toLowerCase();
+  const matches = checkHistory.filter(entry =>
+    !query ||
+    entry.text.toLowerCase().includes(query) ||
+    entry.author?.toLowerCase().includes(query) ||
+    entry.summary?.toLowerCase().includes(query)
+  );
+
+  if (matches.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = query ? 'No checks match your search' : 'No checks yet';
+    historyList.replaceChildren(empty);
+    return;
+  }
+
+  historyList.replaceChildren(...matches.slice(0, MAX_LISTED_CHECKS).map(entry => {
+    const item = document.createElement('div');
+    item.className = entry.url ? 'history-item' : 'history-item no-link';
+    item.title = entry.summary || entry.text;
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const author = document.createElement('span');
+    author.textContent = `${entry.author || 'Unknown author'} · ${new Date(entry.checkedAt).toLocaleString()}`;
+    const verdict = document.createElement('span');
+    if (entry.pendingReview) {
+      verdict.className = 'history-verdict pending';
+      verdict.textContent = '⏳ Awaiting review';
+    } else {
+      verdict.className = entry.hasIssues ? 'history-verdict flagged' : 'history-verdict accurate';
+      verdict.textContent = entry.hasIssues ? `⚠ ${entry.issues} issue${entry.issues === 1 ? '' : 's'}` : '✓ Accurate';
+    }
+    meta.append(author, verdict);
+
+    const text = document.createElement('div');
+    text.className = 'history-text';
+    text.textContent = entry.text;
+
+    item.append(meta, text);
+    if (entry.url) {
+      item.addEventListener('click', () => chrome.tabs.create({ url: entry.url }));
+    }
+    return item;
+  }));
 }
 
 // Load current state
@@ -35,9 +243,45 @@ chrome.storage.local.get([TOGGLE_KEY], (result) => {
   updateToggle(isEnabled);
 });
 
+// Load auto mode state; content scripts pick up changes through chrome.storage
+chrome.storage.local.get([AUTO_MODE_KEY, AUTO_BUDGET_KEY], (result) => {
+  autoToggle.classList.toggle('enabled', result[AUTO_MODE_KEY] === true);
+  autoBudgetInput.value = result[AUTO_BUDGET_KEY] ?? DEFAULT_AUTO_BUDGET;
+});
+
+autoToggle.addEventListener('click', () => {
+  const newState = !autoToggle.classList.contains('enabled');
+  chrome.storage.local.set({ [AUTO_MODE_KEY]: newState }, () => {
+    autoToggle.classList.toggle('enabled', newState);
+  });
+});
+
+autoBudgetInput.addEventListener('change', () => {
+  const budget = parseInt(autoBudgetInput.value, 10);
+  if (!Number.isInteger(budget) || budget < 1) {
+    autoBudgetInput.value = DEFAULT_AUTO_BUDGET;
+    return;
+  }
+  chrome.storage.local.set({ [AUTO_BUDGET_KEY]: budget });
+});
+
+// Language for corrections and summaries; empty follows the browser's language
+chrome.storage.local.get([LANGUAGE_KEY], (result) => {
+  languageSelect.value = result[LANGUAGE_KEY] || '';
+});
+
+languageSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ [LANGUAGE_KEY]: languageSelect.value });
+});
+
 // Check backend on load
 checkBackend();
 
+// Show stats and history on load
+loadHistory();
+
+historySearch.addEventListener('input', renderHistory);
+
 // Toggle click handler
 toggleSwitch.addEventListener('click', () => {
   chrome.storage.local.get([TOGGLE_KEY], (result) => {
@@ -62,14 +306,55 @@ toggleSwitch.addEventListener('click', () => {
   });
 });
 
+// Check all visible tweets handler
+checkVisibleBtn.addEventListener('click', () => {
+  checkVisibleBtn.disabled = true;
+  checkVisibleBtn.textContent = '🔍 Checking visible tweets...';
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]) return;
+    chrome.tabs.sendMessage(tabs[0].id, { type: 'checkVisibleTweets' })
+      .then((response) => {
+        const count = response?.count || 0;
+        checkVisibleBtn.textContent = count > 0
+          ? `✓ Checked ${count} tweet${count === 1 ? '' : 's'}`
+          : 'No unchecked tweets on screen';
+      })
+      .catch(() => {
+        checkVisibleBtn.textContent = 'Open X/Twitter to check tweets';
+      })
+      .finally(() => {
+        setTimeout(() => {
+          checkVisibleBtn.disabled = false;
+          checkVisibleBtn.textContent = '🔍 Check all visible tweets';
+        }, 3000);
+      });
+  });
+});
+
+// Settings link handler
+openSettingsLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
 // Clear cache handler
 clearCacheBtn.addEventListener('click', (e) => {
   e.preventDefault();
-  chrome.storage.local.remove('twitter_factcheck_cache', () => {
+  // The background worker owns the cache; removing the storage key alone
+  // would be undone by its next save
+  chrome.runtime.sendMessage({ type: 'clearCache' }, () => {
     alert('Cache cleared! Refresh the Twitter page to re-check tweets.');
   });
 });
 
+// Clear history handler
+clearHistoryLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  if (!confirm('Delete the history of all checked tweets?')) return;
+  chrome.storage.local.remove(HISTORY_KEY, loadHistory);
+});
+
 function updateToggle(isEnabled) {
   if (isEnabled) {
     toggleSwitch.classList.add('enabled');
@@ -0,0 +1,14 @@
+// instrumentation.ts
+// Called once by Next.js when the server starts. Tracing is only loaded when
+// an OTLP endpoint is configured.
+export async function register() {
+  // Checked inline, as Next.js documents it, so the OpenTelemetry SDK (which
+  // needs Node's fs, net and zlib) is left out of the edge bundle
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { isTelemetryEnabled } = await import('./lib/telemetry');
+    if (!isTelemetryEnabled()) return;
+
+    const { startTelemetry } = await import('./lib/otel');
+    startTelemetry();
+  }
+}
@@ -0,0 +1,82 @@
+// lib/auth.ts
+import { timingSafeEqual } from 'crypto';
+import { NextRequest, NextResponse } from 'next/server';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger({ component: 'auth' });
+
+export interface ApiKey {
+  // Label used in logs (and later for per-key limits); never the token itself
+  name: string;
+  token: string;
+}
+
+export type AuthResult =
+  | { ok: true; key: ApiKey | null }
+  | { ok: false; response: NextResponse };
+
+let warnedOpen = false;
+
+// API_KEYS is a comma-separated list of `name:token` pairs (a bare token is
+// named after its position)
+export function getApiKeys(): ApiKey[] {
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { name: `key${i + 1}`, token: entry }
+        : { name: entry.substring(0, separator), token: entry.substring(separator + 1) };
+    });
+}
+
+function tokensMatch(a: string, b: string): boolean {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+// Check the request's `Authorization: Bearer <token>` against API_KEYS.
+// With no keys configured the API is open, as in local development.
+export function authenticate(req: NextRequest, headers: Record<string, string>): AuthResult {
+  const keys = getApiKeys();
+  if (keys.length === 0) {
+    if (!warnedOpen) {
+      log.warn('API_KEYS is not set - the API is open to anyone who can reach it');
+      warnedOpen = true;
+    }
+    return { ok: true, key: null };
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.get('authorization') || '');
+  const key = match ? keys.find(candidate => tokensMatch(candidate.token, match[1].trim())) : undefined;
+  if (!key) {
+    return {
+      ok: false,
+      response: NextResponse.json({ error: match ? 'Invalid API token' : 'Missing API token' }, {
+        status: 401,
+        headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+      }),
+    };
+  }
+
+  return { ok: true, key };
+}
+
+// Check `Authorization: Bearer <ADMIN_API_KEY>` for the admin routes.
+// Returns an error response, or null when the caller is an admin.
+export function requireAdmin(req: NextRequest): NextResponse | null {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return NextResponse.json({ error: 'Admin API is disabled (ADMIN_API_KEY not set)' }, { status: 503 });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.get('authorization') || '');
+  if (!match || !tokensMatch(adminKey, match[1].trim())) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  return null;
+}
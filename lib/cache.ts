@@ -0,0 +1,214 @@
+// lib/cache.ts
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { FactCheckResult, TextSource, TweetContext } from '@/lib/factcheck';
+import { createLogger, errorFields } from '@/lib/logger';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60; // 1 day
+const DEFAULT_CACHE_FILE = '.cache/factcheck-cache.json';
+
+const log = createLogger({ component: 'cache' });
+
+export interface CacheEntry {
+  result: FactCheckResult;
+  cachedAt: number;
+  expiresAt: number;
+  // What was checked, kept so feedback on the result can be exported with it
+  input?: { text: string; context?: TweetContext; language?: string; source?: TextSource };
+}
+
+// What a store reports to the health endpoint. `error` is the last failed
+// read or write, cleared by the next successful write.
+export interface StoreStatus {
+  store: string;
+  entries: number;
+  error?: string;
+}
+
+// Storage backend for cached results. Implementations only store and evict;
+// expiry is decided by the caller through `expiresAt`.
+export interface CacheStore {
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  clear(): Promise<number>;
+  status(): Promise<StoreStatus>;
+}
+
+// Process-local store; lost on restart and not shared between instances
+export class MemoryCacheStore implements CacheStore {
+  private entries = new Map<string, CacheEntry>();
+
+  async get(key: string) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key: string, entry: CacheEntry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key: string) {
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  async status() {
+    return { store: 'memory', entries: this.entries.size };
+  }
+}
+
+// JSON file store; survives restarts of a single-instance deployment
+export class FileCacheStore implements CacheStore {
+  private entries: Map<string, CacheEntry> | null = null;
+  private writing: Promise<void> = Promise.resolve();
+  private lastError?: string;
+
+  constructor(private filePath: string) {}
+
+  private async load() {
+    if (this.entries) return this.entries;
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      this.entries = new Map(Object.entries(JSON.parse(raw)));
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        log.error('Could not read cache file, starting empty', { file: this.filePath, ...errorFields(error) });
+        this.lastError = `Could not read ${this.filePath}: ${error.message}`;
+      }
+      this.entries = new Map();
+    }
+    return this.entries;
+  }
+
+  // Serialize writes so concurrent sets don't interleave partial files
+  private persist() {
+    this.writing = this.writing.then(async () => {
+      const now = Date.now();
+      const data: Record<string, CacheEntry> = {};
+      this.entries?.forEach((entry, key) => {
+        if (entry.expiresAt > now) data[key] = entry;
+      });
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(data));
+      this.lastError = undefined;
+    }).catch(error => {
+      log.error('Could not write cache file', { file: this.filePath, ...errorFields(error) });
+      this.lastError = `Could not write ${this.filePath}: ${error.message}`;
+    });
+    return this.writing;
+  }
+
+  async get(key: string) {
+    return (await this.load()).get(key) || null;
+  }
+
+  async set(key: string, entry: CacheEntry) {
+    (await this.load()).set(key, entry);
+    await this.persist();
+  }
+
+  async delete(key: string) {
+    const deleted = (await this.load()).delete(key);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+
+  async clear() {
+    const entries = await this.load();
+    const count = entries.size;
+    entries.clear();
+    await this.persist();
+    return count;
+  }
+
+  async status() {
+    const entries = await this.load();
+    return { store: 'file', entries: entries.size, ...(this.lastError && { error: this.lastError }) };
+  }
+}
+
+function createStore(): CacheStore {
+  const kind = process.env.FACTCHECK_CACHE_STORE || 'memory';
+  switch (kind) {
+    case 'memory':
+      return new MemoryCacheStore();
+    case 'file':
+      return new FileCacheStore(path.resolve(process.env.FACTCHECK_CACHE_FILE || DEFAULT_CACHE_FILE));
+    default:
+      throw new Error(`Unknown FACTCHECK_CACHE_STORE "${kind}" (expected "memory" or "file")`);
+  }
+}
+
+let store: CacheStore | null = null;
+
+export function getCacheStore(): CacheStore {
+  if (!store) store = createStore();
+  return store;
+}
+
+function ttlMs(): number {
+  const seconds = Number(process.env.FACTCHECK_CACHE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+// Fold the differences that don't change a tweet's claims: case, URLs
+// (t.co links differ per share) and whitespace
+export function normalizeText(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Key for a text, its context, the output language and where the text comes
+// from. An English tweet without context keeps the key it always had, so
+// existing entries stay valid.
+export function cacheKey(text: string, context?: TweetContext, language?: string, source?: TextSource): string {
+  let material = normalizeText(text);
+  if (context?.quoted) {
+    material += `\n[quoted] ${normalizeText(context.quoted)}`;
+  }
+  context?.thread?.forEach(post => {
+    material += `\n[thread] ${normalizeText(post)}`;
+  });
+  // Image URLs carry a per-request size parameter; the path identifies the image
+  context?.images?.forEach(url => {
+    material += `\n[image] ${url.split('?')[0]}`;
+  });
+  if (language && language !== 'en') {
+    material += `\n[language] ${language}`;
+  }
+  if (source && source !== 'tweet') {
+    material += `\n[source] ${source}`;
+  }
+  return createHash('sha256').update(material).digest('hex');
+}
+
+export async function getCachedResult(text: string, context?: TweetContext, language?: string, source?: TextSource): Promise<CacheEntry | null> {
+  const key = cacheKey(text, context, language, source);
+  const entry = await getCacheStore().get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    await getCacheStore().delete(key);
+    return null;
+  }
+  return entry;
+}
+
+export async function setCachedResult(text: string, result: FactCheckResult, context?: TweetContext, language?: string, source?: TextSource): Promise<void> {
+  if (ttlMs() === 0) return;
+  const now = Date.now();
+  await getCacheStore().set(cacheKey(text, context, language, source), {
+    result,
+    cachedAt: now,
+    expiresAt: now + ttlMs(),
+    input: { text, ...(context && { context }), ...(language && { language }), ...(source && source !== 'tweet' && { source }) },
+  });
+}
@@ -0,0 +1,677 @@
+// lib/checks.ts
+import Database from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import { mkdirSync } from 'fs';
+import path from 'path';
+import type { StoreStatus } from '@/lib/cache';
+import type { FactCheckResult, TextSource, TweetContext } from '@/lib/factcheck';
+import { createLogger, errorFields } from '@/lib/logger';
+import type { Review, ReviewStatus } from '@/lib/review';
+import { parseTweetUrl } from '@/lib/tweets';
+import type { Delivery, DeliveryStatus } from '@/lib/webhooks';
+
+const DEFAULT_CHECK_DB_FILE = '.cache/checks.db';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const log = createLogger({ component: 'checks' });
+
+// The tweet a check was about, when the client says so. `author` is the
+// handle without "@", lowercased; it is read from `url` when not given.
+export interface TweetRef {
+  id?: string;
+  url?: string;
+  author?: string;
+}
+
+// One check as it was run: the input, the tweet it came from and the full result
+export interface StoredCheck {
+  id: string;
+  createdAt: string;
+  text: string;
+  context?: TweetContext;
+  source: TextSource;
+  language: string;
+  tweet?: TweetRef;
+  // Cache key of the check, shared by re-checks of the same input; missing
+  // for checks run with per-request provider overrides
+  checkId?: string;
+  hasIssues: boolean;
+  disputed: boolean;
+  model: string;
+  // As the model wrote it; see `review` for what is served
+  result: FactCheckResult;
+  // The check's review, if it has one (read only)
+  review?: Review;
+}
+
+export interface CheckFilter {
+  author?: string;
+  // ISO date; only checks at or after it
+  since?: string;
+  hasIssues?: boolean;
+  limit?: number;
+  // From the previous page's nextCursor
+  cursor?: string;
+}
+
+export interface ReviewFilter {
+  // "pending": flagged checks without a review
+  status: ReviewStatus | 'pending';
+  limit?: number;
+  cursor?: string;
+}
+
+export interface CheckPage {
+  checks: StoredCheck[];
+  // Pass as `cursor` for the next page; null on the last one
+  nextCursor: string | null;
+}
+
+export interface DeliveryFilter {
+  status?: DeliveryStatus;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface DeliveryPage {
+  deliveries: Delivery[];
+  nextCursor: string | null;
+}
+
+// Storage backend for past checks, newest first
+export interface CheckStore {
+  add(check: StoredCheck): Promise<void>;
+  get(id: string): Promise<StoredCheck | null>;
+  list(filter: CheckFilter): Promise<CheckPage>;
+  // Follow the feedback on a check to every stored run of it
+  setDisputed(checkId: string, disputed: boolean): Promise<void>;
+  getReview(checkId: string): Promise<Review | null>;
+  // Replaces any earlier review of the check
+  setReview(review: Review): Promise<void>;
+  // The latest run of each check with the given review status, newest first
+  listForReview(filter: ReviewFilter): Promise<CheckPage>;
+  // Webhook delivery log; saving a delivery again updates it
+  saveDelivery(delivery: Delivery): Promise<void>;
+  listDeliveries(filter: DeliveryFilter): Promise<DeliveryPage>;
+  status(): Promise<StoreStatus>;
+}
+
+// Short random id for permalinks; hard to guess, so links can be shared
+// without making the whole list public
+export function newCheckId(): string {
+  return randomBytes(9).toString('base64url');
+}
+
+// Cursors are the (createdAt, id) of the last check or delivery on a page
+function encodeCursor(entry: { createdAt: string; id: string }): string {
+  return Buffer.from(JSON.stringify([entry.createdAt, entry.id])).toString('base64url');
+}
+
+function decodeCursor(cursor: string): [string, string] {
+  const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!Array.isArray(decoded) || decoded.length !== 2 || !decoded.every(part => typeof part === 'string')) {
+    throw new Error('Invalid cursor');
+  }
+  return decoded as [string, string];
+}
+
+function pageSize(filter: { limit?: number }): number {
+  return Math.min(filter.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+}
+
+// Process-local store; lost on restart
+export class MemoryCheckStore implements CheckStore {
+  private checks: StoredCheck[] = [];
+  private reviews = new Map<string, Review>();
+  private deliveries = new Map<string, Delivery>();
+
+  private withReview(check: StoredCheck): StoredCheck {
+    const review = check.checkId && this.reviews.get(check.checkId);
+    return review ? { ...check, review } : check;
+  }
+
+  // Newest first, one page from the cursor on
+  private page(checks: StoredCheck[], filter: { limit?: number; cursor?: string }): CheckPage {
+    const after = filter.cursor ? decodeCursor(filter.cursor) : null;
+    const limit = pageSize(filter);
+    const matches = checks
+      .filter(check => !after || check.createdAt < after[0] || (check.createdAt === after[0] && check.id < after[1]))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    const page = matches.slice(0, limit).map(check => this.withReview(check));
+    return { checks: page, nextCursor: matches.length > limit ? encodeCursor(page[page.length - 1]) : null };
+  }
+
+  async add(check: StoredCheck) {
+    this.checks.push(check);
+  }
+
+  async get(id: string) {
+    const check = this.checks.find(check => check.id === id);
+    return check ? this.withReview(check) : null;
+  }
+
+  async list(filter: CheckFilter) {
+    return this.page(this.checks.filter(check =>
+      (!filter.author || check.tweet?.author === filter.author) &&
+      (!filter.since || check.createdAt >= filter.since) &&
+      (filter.hasIssues === undefined || check.hasIssues === filter.hasIssues)
+    ), filter);
+  }
+
+  async setDisputed(checkId: string, disputed: boolean) {
+    this.checks.forEach(check => {
+      if (check.checkId === checkId) check.disputed = disputed;
+    });
+  }
+
+  async getReview(checkId: string) {
+    return this.reviews.get(checkId) || null;
+  }
+
+  async setReview(review: Review) {
+    this.reviews.set(review.checkId, review);
+  }
+
+  async listForReview(filter: ReviewFilter) {
+    const latest = new Map<string, StoredCheck>();
+    this.checks.forEach(check => {
+      if (!check.checkId) return;
+      const current = latest.get(check.checkId);
+      if (!current || check.createdAt > current.createdAt || (check.createdAt === current.createdAt && check.id > current.id)) {
+        latest.set(check.checkId, check);
+      }
+    });
+    const matching = Array.from(latest.values()).filter(check => {
+      const review = this.reviews.get(check.checkId as string);
+      return filter.status === 'pending' ? check.hasIssues && !review : review?.status === filter.status;
+    });
+    return this.page(matching, filter);
+  }
+
+  async saveDelivery(delivery: Delivery) {
+    this.deliveries.set(delivery.id, delivery);
+  }
+
+  async listDeliveries(filter: DeliveryFilter) {
+    const after = filter.cursor ? decodeCursor(filter.cursor) : null;
+    const limit = pageSize(filter);
+    const matches = Array.from(this.deliveries.values())
+      .filter(delivery =>
+        (!filter.status || delivery.status === filter.status) &&
+        (!after || delivery.createdAt < after[0] || (delivery.createdAt === after[0] && delivery.id < after[1]))
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    const deliveries = matches.slice(0, limit);
+    return { deliveries, nextCursor: matches.length > limit ? encodeCursor(deliveries[deliveries.length - 1]) : null };
+  }
+
+  async status() {
+    return { store: 'memory', entries: this.checks.length };
+  }
+}
+
+interface CheckRow {
+  id: string;
+  created_at: string;
+  text: string;
+  context: string | null;
+  source: string;
+  language: string;
+  tweet_id: string | null;
+  tweet_url: string | null;
+  author: string | null;
+  check_id: string | null;
+  has_issues: number;
+  disputed: number;
+  model: string;
+  result: string;
+  // From the joined reviews table
+  review_status: string | null;
+  review_result: string | null;
+  review_record_id: string | null;
+  reviewer: string | null;
+  review_note: string | null;
+  reviewed_at: string | null;
+}
+
+interface DeliveryRow {
+  id: string;
+  created_at: string;
+  updated_at: string;
+  event: string;
+  webhook: string;
+  record_id: string | null;
+  check_id: string;
+  status: string;
+  attempts: number;
+  response_status: number | null;
+  error: string | null;
+  next_attempt_at: string | null;
+}
+
+// Checks with their review, if any
+const CHECKS_WITH_REVIEWS = `
+  SELECT checks.*, reviews.status AS review_status, reviews.result AS review_result,
+    reviews.record_id AS review_record_id, reviews.reviewer, reviews.note AS review_note, reviews.reviewed_at
+  FROM checks LEFT JOIN reviews ON reviews.check_id = checks.check_id
+`;
+
+// SQLite database file; survives restarts and can be queried directly for
+// reports. Uses WAL so reads don't wait for writes.
+export class SqliteCheckStore implements CheckStore {
+  private db: Database.Database | null = null;
+  private lastError?: string;
+
+  constructor(private filePath: string) {}
+
+  private open(): Database.Database {
+    if (this.db) return this.db;
+    mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS checks (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        text TEXT NOT NULL,
+        context TEXT,
+        source TEXT NOT NULL,
+        language TEXT NOT NULL,
+        tweet_id TEXT,
+        tweet_url TEXT,
+        author TEXT,
+        check_id TEXT,
+        has_issues INTEGER NOT NULL,
+        disputed INTEGER NOT NULL DEFAULT 0,
+        model TEXT NOT NULL,
+        result TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS checks_created ON checks (created_at DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS checks_author ON checks (author, created_at DESC);
+      CREATE INDEX IF NOT EXISTS checks_check_id ON checks (check_id);
+      CREATE TABLE IF NOT EXISTS reviews (
+        check_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        result TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        reviewer TEXT,
+        note TEXT,
+        reviewed_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        event TEXT NOT NULL,
+        webhook TEXT NOT NULL,
+        record_id TEXT,
+        check_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS webhook_deliveries_created ON webhook_deliveries (created_at DESC, id DESC);
+    `);
+    this.db = db;
+    return db;
+  }
+
+  private fromRow(row: CheckRow): StoredCheck {
+    const tweet: TweetRef = {
+      ...(row.tweet_id && { id: row.tweet_id }),
+      ...(row.tweet_url && { url: row.tweet_url }),
+      ...(row.author && { author: row.author }),
+    };
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      text: row.text,
+      ...(row.context && { context: JSON.parse(row.context) }),
+      source: row.source as TextSource,
+      language: row.language,
+      ...(Object.keys(tweet).length > 0 && { tweet }),
+      ...(row.check_id && { checkId: row.check_id }),
+      hasIssues: row.has_issues === 1,
+      disputed: row.disputed === 1,
+      model: row.model,
+      result: JSON.parse(row.result),
+      ...(row.review_status && row.check_id && {
+        review: {
+          checkId: row.check_id,
+          status: row.review_status as ReviewStatus,
+          result: JSON.parse(row.review_result as string),
+          recordId: row.review_record_id as string,
+          ...(row.reviewer && { reviewer: row.reviewer }),
+          ...(row.review_note && { note: row.review_note }),
+          reviewedAt: row.reviewed_at as string,
+        },
+      }),
+    };
+  }
+
+  // Record the outcome of a write for the health endpoint, then rethrow failures
+  private track<T>(write: () => T): T {
+    try {
+      const value = write();
+      this.lastError = undefined;
+      return value;
+    } catch (error: any) {
+      log.error('Could not write check database', { file: this.filePath, ...errorFields(error) });
+      this.lastError = `Could not write ${this.filePath}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  async add(check: StoredCheck) {
+    this.track(() => this.open().prepare(`
+      INSERT INTO checks (id, created_at, text, context, source, language, tweet_id, tweet_url, author, check_id, has_issues, disputed, model, result)
+      VALUES (@id, @createdAt, @text, @context, @source, @language, @tweetId, @tweetUrl, @author, @checkId, @hasIssues, @disputed, @model, @result)
+    `).run({
+      id: check.id,
+      createdAt: check.createdAt,
+      text: check.text,
+      context: check.context ? JSON.stringify(check.context) : null,
+      source: check.source,
+      language: check.language,
+      tweetId: check.tweet?.id ?? null,
+      tweetUrl: check.tweet?.url ?? null,
+      author: check.tweet?.author ?? null,
+      checkId: check.checkId ?? null,
+      hasIssues: check.hasIssues ? 1 : 0,
+      disputed: check.disputed ? 1 : 0,
+      model: check.model,
+      result: JSON.stringify(check.result),
+    }));
+  }
+
+  async get(id: string) {
+    const row = this.open().prepare(`${CHECKS_WITH_REVIEWS} WHERE checks.id = ?`).get(id) as CheckRow | undefined;
+    return row ? this.fromRow(row) : null;
+  }
+
+  // One page of checks matching all `conditions`, newest first
+  private page(conditions: string[], params: (string | number)[], filter: { limit?: number; cursor?: string }): CheckPage {
+    if (filter.cursor) {
+      const [createdAt, id] = decodeCursor(filter.cursor);
+      conditions.push('(checks.created_at < ? OR (checks.created_at = ? AND checks.id < ?))');
+      params.push(createdAt, createdAt, id);
+    }
+
+    const limit = pageSize(filter);
+    const rows = this.open().prepare(`
+      ${CHECKS_WITH_REVIEWS}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY checks.created_at DESC, checks.id DESC
+      LIMIT ?
+    `).all(...params, limit + 1) as CheckRow[];
+
+    const checks = rows.slice(0, limit).map(row => this.fromRow(row));
+    return { checks, nextCursor: rows.length > limit ? encodeCursor(checks[checks.length - 1]) : null };
+  }
+
+  async list(filter: CheckFilter) {
+    const conditions: string[] = [];
+    const params: (string | number)[] = [];
+    if (filter.author) {
+      conditions.push('checks.author = ?');
+      params.push(filter.author);
+    }
+    if (filter.since) {
+      conditions.push('checks.created_at >= ?');
+      params.push(filter.since);
+    }
+    if (filter.hasIssues !== undefined) {
+      conditions.push('checks.has_issues = ?');
+      params.push(filter.hasIssues ? 1 : 0);
+    }
+    return this.page(conditions, params, filter);
+  }
+
+  async setDisputed(checkId: string, disputed: boolean) {
+    this.track(() => this.open().prepare('UPDATE checks SET disputed = ? WHERE check_id = ?').run(disputed ? 1 : 0, checkId));
+  }
+
+  async getReview(checkId: string) {
+    const row = this.open().prepare(`${CHECKS_WITH_REVIEWS} WHERE reviews.check_id = ? LIMIT 1`).get(checkId) as CheckRow | undefined;
+    return row ? this.fromRow(row).review || null : null;
+  }
+
+  async setReview(review: Review) {
+    this.track(() => this.open().prepare(`
+      INSERT OR REPLACE INTO reviews (check_id, status, result, record_id, reviewer, note, reviewed_at)
+      VALUES (@checkId, @status, @result, @recordId, @reviewer, @note, @reviewedAt)
+    `).run({
+      checkId: review.checkId,
+      status: review.status,
+      result: JSON.stringify(review.result),
+      recordId: review.recordId,
+      reviewer: review.reviewer ?? null,
+      note: review.note ?? null,
+      reviewedAt: review.reviewedAt,
+    }));
+  }
+
+  async listForReview(filter: ReviewFilter) {
+    const conditions = [
+      // The latest run of each check
+      `checks.id = (
+        SELECT latest.id FROM checks AS latest WHERE latest.check_id = checks.check_id
+        ORDER BY latest.created_at DESC, latest.id DESC LIMIT 1
+      )`,
+    ];
+    const params: (string | number)[] = [];
+    if (filter.status === 'pending') {
+      conditions.push('checks.has_issues = 1', 'reviews.check_id IS NULL');
+    } else {
+      conditions.push('reviews.status = ?');
+      params.push(filter.status);
+    }
+    return this.page(conditions, params, filter);
+  }
+
+  async saveDelivery(delivery: Delivery) {
+    this.track(() => this.open().prepare(`
+      INSERT OR REPLACE INTO webhook_deliveries (id, created_at, updated_at, event, webhook, record_id, check_id, status, attempts, response_status, error, next_attempt_at)
+      VALUES (@id, @createdAt, @updatedAt, @event, @webhook, @recordId, @checkId, @status, @attempts, @responseStatus, @error, @nextAttemptAt)
+    `).run({
+      id: delivery.id,
+      createdAt: delivery.createdAt,
+      updatedAt: delivery.updatedAt,
+      event: delivery.event,
+      webhook: delivery.webhook,
+      recordId: delivery.recordId ?? null,
+      checkId: delivery.checkId,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      responseStatus: delivery.responseStatus ?? null,
+      error: delivery.error ?? null,
+      nextAttemptAt: delivery.nextAttemptAt ?? null,
+    }));
+  }
+
+  async listDeliveries(filter: DeliveryFilter) {
+    const conditions: string[] = [];
+    const params: (string | number)[] = [];
+    if (filter.status) {
+      conditions.push('status = ?');
+      params.push(filter.status);
+    }
+    if (filter.cursor) {
+      const [createdAt, id] = decodeCursor(filter.cursor);
+      conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+      params.push(createdAt, createdAt, id);
+    }
+
+    const limit = pageSize(filter);
+    const rows = this.open().prepare(`
+      SELECT * FROM webhook_deliveries
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).all(...params, limit + 1) as DeliveryRow[];
+
+    const deliveries: Delivery[] = rows.slice(0, limit).map(row => ({
+      id: row.id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      event: row.event as Delivery['event'],
+      webhook: row.webhook,
+      ...(row.record_id && { recordId: row.record_id }),
+      checkId: row.check_id,
+      status: row.status as DeliveryStatus,
+      attempts: row.attempts,
+      ...(row.response_status !== null && { responseStatus: row.response_status }),
+      ...(row.error && { error: row.error }),
+      ...(row.next_attempt_at && { nextAttemptAt: row.next_attempt_at }),
+    }));
+    return { deliveries, nextCursor: rows.length > limit ? encodeCursor(deliveries[deliveries.length - 1]) : null };
+  }
+
+  async status() {
+    const { entries } = this.open().prepare('SELECT COUNT(*) AS entries FROM checks').get() as { entries: number };
+    return { store: 'sqlite', entries, ...(this.lastError && { error: this.lastError }) };
+  }
+}
+
+function createStore(): CheckStore | null {
+  const kind = process.env.CHECK_STORE || 'sqlite';
+  switch (kind) {
+    case 'sqlite':
+      return new SqliteCheckStore(path.resolve(process.env.CHECK_DB_FILE || DEFAULT_CHECK_DB_FILE));
+    case 'memory':
+      return new MemoryCheckStore();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown CHECK_STORE "${kind}" (expected "sqlite", "memory" or "none")`);
+  }
+}
+
+let store: CheckStore | null | undefined;
+
+// The configured store, or null when checks are not kept (CHECK_STORE=none)
+export function getCheckStore(): CheckStore | null {
+  if (store === undefined) store = createStore();
+  return store;
+}
+
+// Lowercased handle without "@", or undefined if it isn't one
+export function normalizeAuthor(author: string): string | undefined {
+  const handle = author.trim().replace(/^@/, '');
+  return /^[A-Za-z0-9_]{1,15}$/.test(handle) ? handle.toLowerCase() : undefined;
+}
+
+type TweetRefInput = { ok: true; tweet?: TweetRef } | { ok: false; error: string };
+
+// Validate a request's optional `tweet`: { id?, url?, author? }
+export function validateTweetRef(raw: unknown): TweetRefInput {
+  if (raw === undefined || raw === null) return { ok: true };
+  const error = '"tweet" must be an object with optional "id" (digits), "url" (https) and "author" (a handle)';
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error };
+
+  const { id, url, author } = raw as Record<string, unknown>;
+  if (id !== undefined && (typeof id !== 'string' || !/^\d{1,25}$/.test(id))) return { ok: false, error };
+  if (url !== undefined && (typeof url !== 'string' || !/^https:\/\//.test(url) || url.length > 500)) return { ok: false, error };
+  if (author !== undefined && (typeof author !== 'string' || !normalizeAuthor(author))) return { ok: false, error };
+
+  const handle = typeof author === 'string' ? normalizeAuthor(author) : url ? parseTweetUrl(url as string)?.author : undefined;
+  const tweet: TweetRef = {
+    ...(id && { id: id as string }),
+    ...(url && { url: url as string }),
+    ...(handle && { author: handle }),
+  };
+  return { ok: true, ...(Object.keys(tweet).length > 0 && { tweet }) };
+}
+
+type FilterInput = { ok: true; filter: CheckFilter } | { ok: false; error: string };
+
+// Validate the query of GET /api/checks
+export function parseCheckFilter(params: URLSearchParams): FilterInput {
+  const filter: CheckFilter = {};
+
+  const author = params.get('author');
+  if (author) {
+    const handle = normalizeAuthor(author);
+    if (!handle) return { ok: false, error: '"author" must be a handle, e.g. @nasa' };
+    filter.author = handle;
+  }
+
+  const since = params.get('since');
+  if (since) {
+    const time = Date.parse(since);
+    if (Number.isNaN(time)) return { ok: false, error: '"since" must be an ISO date' };
+    filter.since = new Date(time).toISOString();
+  }
+
+  const hasIssues = params.get('hasIssues');
+  if (hasIssues) {
+    if (hasIssues !== 'true' && hasIssues !== 'false') return { ok: false, error: '"hasIssues" must be true or false' };
+    filter.hasIssues = hasIssues === 'true';
+  }
+
+  const limit = params.get('limit');
+  if (limit) {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+      return { ok: false, error: `"limit" must be a number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    filter.limit = value;
+  }
+
+  const cursor = params.get('cursor');
+  if (cursor) {
+    try {
+      decodeCursor(cursor);
+    } catch {
+      return { ok: false, error: '"cursor" must be the nextCursor of a previous page' };
+    }
+    filter.cursor = cursor;
+  }
+
+  return { ok: true, filter };
+}
+
+// The store, or null when checks are not stored or CHECK_STORE is invalid
+function storeOrNull(): CheckStore | null {
+  try {
+    return getCheckStore();
+  } catch (error) {
+    log.error('Check store is misconfigured', errorFields(error));
+    return null;
+  }
+}
+
+// Keep a finished check. A failing store is logged and never fails the check
+// itself; the result then has no recordId.
+export async function recordCheck(check: Omit<StoredCheck, 'id' | 'createdAt' | 'hasIssues' | 'disputed' | 'model'>): Promise<string | undefined> {
+  const checkStore = storeOrNull();
+  if (!checkStore) return undefined;
+
+  const id = newCheckId();
+  try {
+    await checkStore.add({
+      ...check,
+      id,
+      createdAt: new Date().toISOString(),
+      hasIssues: check.result.hasIssues,
+      disputed: !!check.result.disputed,
+      model: check.result.providers.model,
+    });
+    return id;
+  } catch (error) {
+    log.error('Could not store check', errorFields(error));
+    return undefined;
+  }
+}
+
+// Mirror the feedback verdict on stored checks, which outlive the cached result
+export async function updateStoredDispute(checkId: string, disputed: boolean): Promise<void> {
+  try {
+    await storeOrNull()?.setDisputed(checkId, disputed);
+  } catch (error) {
+    log.error('Could not update stored checks', { checkId, ...errorFields(error) });
+  }
+}
@@ -0,0 +1,30 @@
+// lib/cors.ts
+import type { NextRequest } from 'next/server';
+
+const DEFAULT_ALLOWED_ORIGINS = ['https://x.com', 'https://twitter.com'];
+
+// Origins allowed to call the API from a browser: CORS_ALLOWED_ORIGINS
+// (comma-separated, "*" for any) plus the extension's own pages
+function isAllowedOrigin(origin: string): boolean {
+  const configured = process.env.CORS_ALLOWED_ORIGINS;
+  const allowed = configured ? configured.split(',').map(entry => entry.trim()).filter(Boolean) : DEFAULT_ALLOWED_ORIGINS;
+  return allowed.includes('*') || allowed.includes(origin) || origin.startsWith('chrome-extension://');
+}
+
+// CORS headers for the API routes the extension calls. The request's origin
+// is echoed back only when it is allowed.
+export function getCorsHeaders(req: NextRequest): Record<string, string> {
+  const headers: Record<string, string> = {
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-Id',
+    'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining, X-Cache, X-Request-Id, Server-Timing',
+    'Vary': 'Origin',
+  };
+
+  const origin = req.headers.get('origin');
+  if (origin && isAllowedOrigin(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+
+  return headers;
+}
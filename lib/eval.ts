@@ -0,0 +1,387 @@
+// lib/eval.ts
+import { runFactCheck, Pipeline, TextPart, TextSource, TweetContext, validateCheckInput } from '@/lib/factcheck';
+import { validateLanguage } from '@/lib/language';
+import { createLogger } from '@/lib/logger';
+import {
+  Cassette,
+  ChatProvider,
+  createChatProvider,
+  createSearchProvider,
+  RecordingChatProvider,
+  RecordingSearchProvider,
+  ReplayChatProvider,
+  ReplaySearchProvider,
+  SearchProvider,
+} from '@/lib/providers';
+import { locateInText } from '@/lib/verdict';
+
+// One labelled tweet. `spans` are the phrases a correct check flags; an empty
+// list means the tweet is accurate.
+export interface EvalExample {
+  id: string;
+  text: string;
+  context?: TweetContext;
+  language?: string;
+  // Defaults to "tweet"
+  source?: TextSource;
+  spans: { incorrect: string; part?: TextPart; correction?: string }[];
+}
+
+// What is being evaluated: a pipeline and the providers whose responses are
+// recorded in (or replayed from) the cassette
+export interface EvalConfig {
+  name: string;
+  pipeline?: Pipeline;
+  providers?: { search?: string; chat?: string; model?: string };
+  cassette: string;
+}
+
+export interface SpanRef {
+  part: TextPart;
+  text: string;
+}
+
+export interface EvalItemResult {
+  id: string;
+  expectedIssues: boolean;
+  predictedIssues: boolean;
+  truePositives: SpanRef[];
+  falsePositives: SpanRef[];
+  falseNegatives: SpanRef[];
+  latencyMs: number;
+  // Time the real providers took for this example's calls, from the cassette
+  providerMs: number;
+  error?: string;
+}
+
+export interface LatencyStats {
+  meanMs: number;
+  p50Ms: number;
+  p95Ms: number;
+}
+
+export interface EvalMetrics {
+  examples: number;
+  errors: number;
+  spanPrecision: number;
+  spanRecall: number;
+  spanF1: number;
+  verdictAccuracy: number;
+  latency: LatencyStats;
+  providerLatency: LatencyStats;
+}
+
+export interface EvalRun {
+  config: string;
+  pipeline: Pipeline;
+  providers: { search: string; chat: string; model: string };
+  startedAt: string;
+  metrics: EvalMetrics;
+  items: EvalItemResult[];
+}
+
+// Parse a JSONL dataset, one example per line. Examples are validated like
+// API requests; images are rejected because OCR downloads are not replayed.
+export function parseDataset(content: string): EvalExample[] {
+  const examples: EvalExample[] = [];
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    const where = `Dataset line ${index + 1}`;
+
+    let raw: any;
+    try {
+      raw = JSON.parse(line);
+    } catch (error: any) {
+      throw new Error(`${where}: invalid JSON (${error.message})`);
+    }
+    if (typeof raw.id !== 'string' || !raw.id) {
+      throw new Error(`${where}: "id" must be a non-empty string`);
+    }
+    if (examples.some(example => example.id === raw.id)) {
+      throw new Error(`${where}: duplicate id "${raw.id}"`);
+    }
+    if (raw.context?.images) {
+      throw new Error(`${where}: examples with images are not supported`);
+    }
+    const input = validateCheckInput(raw.text, raw.context, raw.source);
+    if (!input.ok) {
+      throw new Error(`${where}: ${input.error}`);
+    }
+    const language = validateLanguage(raw.language);
+    if (!language.ok) {
+      throw new Error(`${where}: ${language.error}`);
+    }
+    if (!Array.isArray(raw.spans) || raw.spans.some((span: any) => typeof span?.incorrect !== 'string' || !span.incorrect)) {
+      throw new Error(`${where}: "spans" must be an array of { "incorrect": "..." }`);
+    }
+    raw.spans.forEach((span: any) => {
+      if (!locateInText(partText(input.text, input.context, span.part || 'main'), span.incorrect)) {
+        throw new Error(`${where}: span "${span.incorrect}" is not in the ${span.part || 'main'} text`);
+      }
+    });
+
+    examples.push({
+      id: raw.id,
+      text: input.text,
+      context: input.context,
+      language: language.language,
+      ...(input.source !== 'tweet' && { source: input.source }),
+      spans: raw.spans,
+    });
+  });
+  return examples;
+}
+
+function partText(text: string, context: TweetContext | undefined, part: TextPart): string {
+  return part === 'quoted' ? context?.quoted || '' : text;
+}
+
+// Providers for one example: real ones wrapped to record into the cassette,
+// or replays from it
+function buildProviders(config: EvalConfig, cassette: Cassette, record: boolean): {
+  search: SearchProvider & { providerMs: number };
+  chat: ChatProvider & { providerMs: number };
+} {
+  if (record) {
+    return {
+      search: new RecordingSearchProvider(createSearchProvider(config.providers?.search || process.env.SEARCH_PROVIDER || 'exa'), cassette),
+      chat: new RecordingChatProvider(createChatProvider(config.providers?.chat || process.env.CHAT_PROVIDER || 'openrouter', config.providers?.model), cassette),
+    };
+  }
+  const recorded = cassette.providers;
+  return {
+    search: new ReplaySearchProvider(recorded?.search || 'replay', cassette),
+    chat: new ReplayChatProvider(recorded?.chat || 'replay', recorded?.model || 'replay', cassette),
+  };
+}
+
+// Compare flagged spans with the labelled ones. A flagged span matches a
+// labelled span in the same part when their characters overlap; each span
+// matches at most once.
+export function scoreSpans(
+  example: EvalExample,
+  claims: { part?: TextPart; start: number; end: number; incorrect: string }[]
+): Pick<EvalItemResult, 'truePositives' | 'falsePositives' | 'falseNegatives'> {
+  const expected = example.spans.map(span => {
+    const part = span.part || 'main';
+    const located = locateInText(partText(example.text, example.context, part), span.incorrect);
+    return { part, text: span.incorrect, start: located?.start ?? -1, end: located?.end ?? -1, matched: false };
+  });
+
+  const truePositives: SpanRef[] = [];
+  const falsePositives: SpanRef[] = [];
+  claims.forEach(claim => {
+    const part = claim.part || 'main';
+    const match = expected.find(span => !span.matched && span.part === part && span.start < claim.end && claim.start < span.end);
+    if (match) {
+      match.matched = true;
+      truePositives.push({ part, text: claim.incorrect });
+    } else {
+      falsePositives.push({ part, text: claim.incorrect });
+    }
+  });
+
+  return {
+    truePositives,
+    falsePositives,
+    falseNegatives: expected.filter(span => !span.matched).map(({ part, text }) => ({ part, text })),
+  };
+}
+
+function latencyStats(values: number[]): LatencyStats {
+  if (values.length === 0) return { meanMs: 0, p50Ms: 0, p95Ms: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = (p: number) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  return {
+    meanMs: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50Ms: percentile(0.5),
+    p95Ms: percentile(0.95),
+  };
+}
+
+// Span precision/recall over all examples, verdict accuracy (issues found or
+// not, as labelled) and latency. Failed examples count as wrong verdicts and
+// missed spans.
+export function computeMetrics(items: EvalItemResult[]): EvalMetrics {
+  const count = (key: 'truePositives' | 'falsePositives' | 'falseNegatives') =>
+    items.reduce((sum, item) => sum + item[key].length, 0);
+  const tp = count('truePositives');
+  const fp = count('falsePositives');
+  const fn = count('falseNegatives');
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 1;
+  const ok = items.filter(item => !item.error);
+
+  return {
+    examples: items.length,
+    errors: items.length - ok.length,
+    spanPrecision: precision,
+    spanRecall: recall,
+    spanF1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+    verdictAccuracy: items.length > 0 ? ok.filter(item => item.predictedIssues === item.expectedIssues).length / items.length : 0,
+    latency: latencyStats(ok.map(item => item.latencyMs)),
+    providerLatency: latencyStats(ok.map(item => item.providerMs)),
+  };
+}
+
+// Run the pipeline over every example, one at a time. With `record` the real
+// providers are called and their responses saved into `cassette`; otherwise
+// everything is replayed from it and no network is used.
+export async function runEval(
+  examples: EvalExample[],
+  config: EvalConfig,
+  cassette: Cassette,
+  { record = false, onItem }: { record?: boolean; onItem?: (item: EvalItemResult, index: number) => void } = {}
+): Promise<EvalRun> {
+  const startedAt = new Date().toISOString();
+  const pipeline = config.pipeline || 'claims';
+  const items: EvalItemResult[] = [];
+  let providerNames = cassette.providers;
+
+  for (let index = 0; index < examples.length; index++) {
+    const example = examples[index];
+    const providers = buildProviders(config, cassette, record);
+    providerNames = providerNames || { search: providers.search.name, chat: providers.chat.name, model: providers.chat.model };
+    if (record) {
+      cassette.providers = providerNames;
+    }
+
+    const expectedIssues = example.spans.length > 0;
+    const started = Date.now();
+    let item: EvalItemResult;
+    try {
+      const result = await runFactCheck(example.text, {
+        log: createLogger({ eval: config.name, example: example.id }),
+        context: example.context,
+        language: example.language,
+        source: example.source,
+        pipeline,
+        providers,
+      });
+      item = {
+        id: example.id,
+        expectedIssues,
+        predictedIssues: result.hasIssues,
+        ...scoreSpans(example, result.claims),
+        latencyMs: Date.now() - started,
+        providerMs: providers.search.providerMs + providers.chat.providerMs,
+      };
+    } catch (error: any) {
+      item = {
+        id: example.id,
+        expectedIssues,
+        predictedIssues: false,
+        truePositives: [],
+        falsePositives: [],
+        falseNegatives: example.spans.map(span => ({ part: span.part || 'main', text: span.incorrect })),
+        latencyMs: Date.now() - started,
+        providerMs: 0,
+        error: error.message,
+      };
+    }
+    items.push(item);
+    onItem?.(item, index);
+  }
+
+  return {
+    config: config.name,
+    pipeline,
+    providers: providerNames || { search: 'replay', chat: 'replay', model: 'replay' },
+    startedAt,
+    metrics: computeMetrics(items),
+    items,
+  };
+}
+
+const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+const spanList = (spans: SpanRef[]) => spans.map(span => `"${span.text}"${span.part === 'main' ? '' : ` (${span.part})`}`).join(', ');
+
+// Markdown report of one run's metrics
+export function formatMetrics(run: EvalRun): string {
+  const { metrics } = run;
+  return `## ${run.config} (${run.pipeline}, ${run.providers.chat}/${run.providers.model})
+
+| Metric | Value |
+| --- | --- |
+| Examples | ${metrics.examples} (${metrics.errors} failed) |
+| Span precision | ${percent(metrics.spanPrecision)} |
+| Span recall | ${percent(metrics.spanRecall)} |
+| Span F1 | ${percent(metrics.spanF1)} |
+| Verdict accuracy | ${percent(metrics.verdictAccuracy)} |
+| Latency (mean / p50 / p95) | ${metrics.latency.meanMs} / ${metrics.latency.p50Ms} / ${metrics.latency.p95Ms} ms |
+| Provider time (mean / p50 / p95) | ${metrics.providerLatency.meanMs} / ${metrics.providerLatency.p50Ms} / ${metrics.providerLatency.p95Ms} ms |
+`;
+}
+
+// Markdown report comparing two runs over the same dataset: metric deltas,
+// then every example whose verdict, flagged spans or failure changed
+export function diffRuns(base: EvalRun, candidate: EvalRun): string {
+  const rows: [string, (metrics: EvalMetrics) => number, 'percent' | 'ms'][] = [
+    ['Span precision', metrics => metrics.spanPrecision, 'percent'],
+    ['Span recall', metrics => metrics.spanRecall, 'percent'],
+    ['Span F1', metrics => metrics.spanF1, 'percent'],
+    ['Verdict accuracy', metrics => metrics.verdictAccuracy, 'percent'],
+    ['Failed examples', metrics => metrics.errors, 'ms'],
+    ['Mean latency (ms)', metrics => metrics.latency.meanMs, 'ms'],
+    ['p95 latency (ms)', metrics => metrics.latency.p95Ms, 'ms'],
+    ['Mean provider time (ms)', metrics => metrics.providerLatency.meanMs, 'ms'],
+  ];
+  const table = rows.map(([label, read, kind]) => {
+    const before = read(base.metrics);
+    const after = read(candidate.metrics);
+    const delta = after - before;
+    const format = (value: number) => (kind === 'percent' ? percent(value) : String(value));
+    const sign = delta > 0 ? '+' : '';
+    return `| ${label} | ${format(before)} | ${format(after)} | ${kind === 'percent' ? `${sign}${(delta * 100).toFixed(1)} pts` : `${sign}${delta}`} |`;
+  });
+
+  const key = (span: SpanRef) => `${span.part}|${span.text}`;
+  const changes: string[] = [];
+  candidate.items.forEach(after => {
+    const before = base.items.find(item => item.id === after.id);
+    if (!before) {
+      changes.push(`- \`${after.id}\`: only in ${candidate.config}`);
+      return;
+    }
+
+    const notes: string[] = [];
+    const wasRight = !before.error && before.predictedIssues === before.expectedIssues;
+    const isRight = !after.error && after.predictedIssues === after.expectedIssues;
+    if (wasRight !== isRight) {
+      notes.push(`verdict ${isRight ? 'fixed' : 'broken'} (expected ${after.expectedIssues ? 'issues' : 'no issues'})`);
+    }
+    if (!before.error && after.error) notes.push(`now fails: ${after.error}`);
+    if (before.error && !after.error) notes.push('no longer fails');
+
+    const compare = (field: 'truePositives' | 'falsePositives', label: string) => {
+      const was = new Set(before[field].map(key));
+      const is = new Set(after[field].map(key));
+      const added = after[field].filter(span => !was.has(key(span)));
+      const removed = before[field].filter(span => !is.has(key(span)));
+      if (added.length > 0) notes.push(`new ${label}: ${spanList(added)}`);
+      if (removed.length > 0) notes.push(`lost ${label}: ${spanList(removed)}`);
+    };
+    compare('truePositives', 'correct flags');
+    compare('falsePositives', 'false flags');
+
+    if (notes.length > 0) {
+      changes.push(`- \`${after.id}\`: ${notes.join('; ')}`);
+    }
+  });
+  base.items.forEach(before => {
+    if (!candidate.items.some(item => item.id === before.id)) {
+      changes.push(`- \`${before.id}\`: only in ${base.config}`);
+    }
+  });
+
+  return `# Eval diff: ${base.config} → ${candidate.config}
+
+| Metric | ${base.config} | ${candidate.config} | Change |
+| --- | --- | --- | --- |
+${table.join('\n')}
+
+## Changed examples
+
+${changes.length > 0 ? changes.join('\n') : 'No example changed.'}
+`;
+}
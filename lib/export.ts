@@ -0,0 +1,148 @@
+// lib/export.ts
+import type { StoredCheck } from '@/lib/checks';
+import type { FactCheckResult } from '@/lib/factcheck';
+import { isReviewRequired, ReviewState, servedCheckResult } from '@/lib/review';
+
+const DEFAULT_PUBLISHER_NAME = 'Twitter Fact Checker';
+
+// Several flagged phrases or corrections in one CSV cell
+const CSV_LIST_SEPARATOR = ' | ';
+
+export type ExportFormat = 'csv' | 'jsonl' | 'claimreview';
+
+export const EXPORT_FORMATS: ExportFormat[] = ['csv', 'jsonl', 'claimreview'];
+
+// Base URL of the deployment for permalinks: PUBLIC_URL, else the origin the
+// request came to. Undefined outside a request without PUBLIC_URL.
+export function publicUrl(requestOrigin?: string): string | undefined {
+  const url = (process.env.PUBLIC_URL || requestOrigin || '').replace(/\/+$/, '');
+  return url || undefined;
+}
+
+export function permalink(recordId: string, baseUrl: string | undefined): string | undefined {
+  return baseUrl ? `${baseUrl}/checks/${recordId}` : undefined;
+}
+
+// The verdict exported for a check: the reviewer's when there is one, else
+// the model's. Unlike what is served, flagged results awaiting review are
+// exported as they are; their review status says so.
+function exportedResult(check: StoredCheck): FactCheckResult {
+  return check.review ? servedCheckResult(check) : check.result;
+}
+
+function reviewStatus(check: StoredCheck): ReviewState['status'] | undefined {
+  if (check.review) return check.review.status;
+  return isReviewRequired() && check.hasIssues && check.checkId ? 'pending' : undefined;
+}
+
+// One check as a JSON Lines record
+export function exportRecord(check: StoredCheck, baseUrl?: string) {
+  const link = permalink(check.id, baseUrl);
+  const status = reviewStatus(check);
+  return {
+    id: check.id,
+    createdAt: check.createdAt,
+    ...(link && { permalink: link }),
+    text: check.text,
+    ...(check.context && { context: check.context }),
+    source: check.source,
+    language: check.language,
+    ...(check.tweet && { tweet: check.tweet }),
+    ...(check.checkId && { checkId: check.checkId }),
+    disputed: check.disputed,
+    model: check.model,
+    ...(status && {
+      review: {
+        status,
+        ...(check.review?.reviewer && { reviewer: check.review.reviewer }),
+        ...(check.review?.note && { note: check.review.note }),
+        ...(check.review && { reviewedAt: check.review.reviewedAt }),
+      },
+    }),
+    result: exportedResult(check),
+  };
+}
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'permalink', 'source', 'author', 'tweetUrl', 'checkId', 'hasIssues', 'disputed',
+  'reviewStatus', 'reviewer', 'issues', 'incorrect', 'corrections', 'summary', 'model', 'pipeline', 'language', 'text',
+];
+
+// RFC 4180 quoting. Cells that a spreadsheet would run as a formula get a
+// leading apostrophe, since tweets are untrusted input.
+function csvField(value: string | number | boolean | undefined): string {
+  let field = value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+export function csvHeader(): string {
+  return CSV_COLUMNS.join(',') + '\r\n';
+}
+
+// One check as a CSV line, in the order of csvHeader()
+export function csvRow(check: StoredCheck, baseUrl?: string): string {
+  const result = exportedResult(check);
+  const row: Record<string, string | number | boolean | undefined> = {
+    id: check.id,
+    createdAt: check.createdAt,
+    permalink: permalink(check.id, baseUrl),
+    source: check.source,
+    author: check.tweet?.author,
+    tweetUrl: check.tweet?.url,
+    checkId: check.checkId,
+    hasIssues: result.hasIssues,
+    disputed: check.disputed,
+    reviewStatus: reviewStatus(check),
+    reviewer: check.review?.reviewer,
+    issues: result.claims.length,
+    incorrect: result.incorrect.join(CSV_LIST_SEPARATOR),
+    corrections: result.corrections.join(CSV_LIST_SEPARATOR),
+    summary: result.summary,
+    model: check.model,
+    pipeline: result.pipeline,
+    language: check.language,
+    text: check.text,
+  };
+  return CSV_COLUMNS.map(column => csvField(row[column])).join(',') + '\r\n';
+}
+
+// schema.org ClaimReview markup for each flagged phrase of a check, for
+// search engines and other fact-check tools. Built from the result as it is
+// served, so nothing awaiting review is published, and results disputed by
+// readers only once a reviewer has looked at them.
+export function claimReviews(check: StoredCheck, baseUrl: string): Record<string, unknown>[] {
+  const result = servedCheckResult(check);
+  if (!result.hasIssues || (result.disputed && !check.review)) return [];
+
+  const author = {
+    '@type': 'Organization',
+    name: process.env.PUBLISHER_NAME || DEFAULT_PUBLISHER_NAME,
+    url: baseUrl,
+  };
+  const itemReviewed = {
+    '@type': 'Claim',
+    ...(check.tweet?.author && {
+      author: { '@type': 'Person', name: `@${check.tweet.author}`, url: `https://x.com/${check.tweet.author}` },
+    }),
+    ...(check.tweet?.url && { appearance: { '@type': 'SocialMediaPosting', url: check.tweet.url } }),
+  };
+
+  return result.claims.map(claim => {
+    // The claims pipeline's statement of the claim reads better than the phrase
+    const verdict = result.verdicts.find(candidate =>
+      candidate.verdict === 'refuted' && candidate.quote === claim.incorrect && candidate.part === claim.part
+    );
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'ClaimReview',
+      url: permalink(check.id, baseUrl),
+      datePublished: check.review?.reviewedAt || check.createdAt,
+      author,
+      claimReviewed: verdict?.claim || claim.incorrect,
+      reviewBody: verdict?.explanation || `Correction: ${claim.correction}`,
+      itemReviewed,
+      reviewRating: { '@type': 'Rating', ratingValue: 1, bestRating: 5, worstRating: 1, alternateName: 'False' },
+    };
+  });
+}
@@ -0,0 +1,915 @@
+// lib/factcheck.ts
+import { cacheKey, getCachedResult, setCachedResult } from '@/lib/cache';
+import { recordCheck, TweetRef } from '@/lib/checks';
+import { mapWithConcurrency } from '@/lib/concurrency';
+import { DEFAULT_OUTPUT_LANGUAGE, detectLanguage, languageName, summaryText } from '@/lib/language';
+import { errorFields, Logger, logContent } from '@/lib/logger';
+import { ImageText, isAllowedImageUrl, isOcrEnabled, MAX_IMAGES, readImages } from '@/lib/ocr';
+import { ChatProvider, Providers, resolveProviders, SearchAnswer, SearchProvider, Source } from '@/lib/providers';
+import { reviewBeforeServing, ReviewState } from '@/lib/review';
+import { notifyFlagged } from '@/lib/webhooks';
+import {
+  buildRepairPrompt,
+  ClaimCheck,
+  ClaimStatus,
+  Confidence,
+  ExtractedClaim,
+  groundClaims,
+  locateInText,
+  parseClaimCheck,
+  parseExtraction,
+  ParseResult,
+  parseVerdict,
+  StatementKind,
+  TextSpan,
+  VerdictClaim,
+  VerdictValidationError,
+} from '@/lib/verdict';
+
+export type { ImageText, Source };
+
+// Most claims verified per check; extra claims are ignored
+const MAX_CLAIMS = 8;
+// Shortest input worth checking, per source; a quoted tweet's text counts
+// towards it. Override with FACTCHECK_MIN_TEXT_LENGTH and
+// FACTCHECK_SELECTION_MIN_LENGTH.
+const DEFAULT_MIN_TEXT_LENGTH: Record<TextSource, number> = { tweet: 50, selection: 20 };
+const MAX_PART_LENGTH = 5000;
+const MAX_THREAD_POSTS = 10;
+const DEFAULT_CLAIM_CONCURRENCY = 3;
+
+// Why a statement was reported without verification: factual claims past
+// MAX_CLAIMS as `unverifiable`, everything else as `opinion`
+const NOT_CHECKED_REASONS: Record<StatementKind, string> = {
+  factual: 'too many claims in one post',
+  opinion: 'this is an opinion',
+  joke: 'this is a joke',
+  prediction: 'this is a prediction',
+};
+
+// Tweets submitted alongside the text. Claims are checked in the text, the
+// tweet it quotes and the text read from its images; earlier posts of the
+// author's thread are only used to understand the text.
+export interface TweetContext {
+  quoted?: string;
+  // Oldest first, ending with the post right before the text
+  thread?: string[];
+  // URLs of attached images, read with OCR
+  images?: string[];
+}
+
+// Where the text comes from: a tweet (which may have context), or text
+// selected on any web page through the extension's context menu
+export type TextSource = 'tweet' | 'selection';
+const TEXT_SOURCES: TextSource[] = ['tweet', 'selection'];
+
+// Which text a flagged phrase is in: the tweet, the quoted tweet, or the
+// OCR text of an attached image
+export type TextPart = 'main' | 'quoted' | 'image';
+
+// A flagged phrase to highlight. `start`/`end` are offsets into the text of
+// `part` (UTF-16 code units, end exclusive): the exact submitted text for
+// "main", context.quoted for "quoted", and result.images[image].text for
+// "image". So partText.slice(start, end) === incorrect.
+export interface Claim {
+  incorrect: string;
+  correction: string;
+  confidence: Confidence;
+  sources: Source[];
+  part: TextPart;
+  // For image parts: index into context.images
+  image?: number;
+  start: number;
+  end: number;
+}
+
+// Per-claim outcome of the claims pipeline. Opinions, jokes and predictions
+// are reported as `opinion` without being verified.
+export interface ClaimVerdict {
+  claim: string;
+  // Span of the checked text making the claim, or null if the model's quote
+  // could not be found in it
+  quote: string | null;
+  // Which text the quote is in
+  part: TextPart | null;
+  image?: number;
+  kind: StatementKind;
+  verdict: ClaimStatus | 'opinion';
+  correction?: string;
+  confidence: Confidence;
+  explanation: string;
+  sources: Source[];
+}
+
+// "claims": extract atomic claims, then search and verify each one.
+// "single": one search query and one model call for the whole text.
+export type Pipeline = 'claims' | 'single';
+
+export interface FactCheckResult {
+  hasIssues: boolean;
+  incorrect: string[];
+  corrections: string[];
+  claims: Claim[];
+  verdicts: ClaimVerdict[];
+  sources: Source[];
+  summary: string;
+  exaAnalysis: string;
+  pipeline: Pipeline;
+  providers: { search: string; chat: string; model: string };
+  // OCR output for each submitted image, in order
+  images?: ImageText[];
+  // Detected language of the tweet, and the language corrections and the
+  // summary are written in. Missing on results cached before detection.
+  language?: LanguageSettings;
+  // Missing on tweet results cached before selections could be checked
+  source?: TextSource;
+  // Set by the routes when the result is served from the shared cache
+  cached?: boolean;
+  cachedAt?: string;
+  // Identifies this check (text, context and language) for POST /api/feedback
+  checkId?: string;
+  // This run in the check store, for GET /api/checks/:id and /checks/:id;
+  // missing when checks are not stored
+  recordId?: string;
+  // Set once enough readers dispute the cached result
+  disputed?: boolean;
+  // Set when a reviewer has approved, edited or rejected the result, or when
+  // it is withheld until they do (REVIEW_REQUIRED)
+  review?: ReviewState;
+}
+
+const VERDICT_SYSTEM_PROMPT = `You are a fact-checking assistant. Based on the fact-check analysis provided, identify:
+1. Exact phrases or words that are incorrect (these will be marked in RED)
+2. The correct information to replace them with (these will be shown in GREEN)
+3. How confident you are in each correction
+4. Which of the numbered sources back up each correction
+
+Return a JSON object with this structure:
+{
+  "hasIssues": boolean,
+  "claims": [
+    {
+      "incorrect": "exact phrase from the tweet",
+      "correction": "the correct information",
+      "confidence": "high" | "medium" | "low",
+      "sources": [1, 2]
+    }
+  ],
+  "summary": "Brief explanation of what's wrong"
+}
+
+If no issues are found, return: {"hasIssues": false, "claims": [], "summary": "No factual issues detected"}
+
+Be precise - only mark text that is definitively incorrect based on the analysis.
+Copy each "incorrect" phrase character for character from the tweet, the tweet it quotes or the text read from its images; every claim needs both an incorrect phrase and its correction.
+Earlier posts in the thread are context only; never flag phrases from them.
+Only cite source numbers from the list you are given.`;
+
+const EXTRACTION_SYSTEM_PROMPT = `You split social media posts into atomic claims for fact-checking.
+
+List every separate statement the post makes. For each one give:
+- "claim": the statement rewritten to stand on its own (resolve pronouns, keep numbers and names), in the post's language
+- "quote": the exact span of the post that makes the statement, copied character for character
+- "kind": "factual" if it can be checked against sources, "opinion" for views and value judgements, "joke" for satire or humour, "prediction" for claims about the future
+- "english": the claim translated into English, only when the post is not in English
+
+Split compound sentences so each factual claim asserts one thing.
+
+The post may quote another post, include text read from its attached images (screenshots, charts), and come after earlier posts in the author's thread. Extract statements from the post, the quoted post and the image text, copying each quote from whichever one makes it. Use the earlier thread posts only to understand the post; do not extract statements from them.
+
+Return a JSON object: {"claims": [{"claim": "...", "quote": "...", "kind": "factual"}]}
+Return {"claims": []} if the post makes no statements.`;
+
+const CLAIM_CHECK_SYSTEM_PROMPT = `You are a fact-checking assistant. You are given one claim from a social media post, an analysis from a web search and a numbered list of sources. Decide whether the claim is:
+- "supported": the sources confirm it
+- "refuted": the sources show it is wrong
+- "unverifiable": the sources do not settle it
+
+Return a JSON object with this structure:
+{
+  "verdict": "supported" | "refuted" | "unverifiable",
+  "incorrect": "for refuted claims only: the exact wrong words, copied character for character from the post, the quoted post or the image text",
+  "correction": "for refuted claims only: the correct information",
+  "confidence": "high" | "medium" | "low",
+  "sources": [1, 2],
+  "explanation": "One sentence explaining the verdict"
+}
+
+Only refute a claim when the analysis clearly contradicts it. Only cite source numbers from the list you are given.`;
+
+export interface LanguageSettings {
+  // ISO 639-1 code, e.g. "ar"
+  detected: string;
+  output: string;
+}
+
+// Progress events emitted while a check runs. Checks with images start with
+// images_read once OCR is done. The claims pipeline emits
+// claims_extracted → (search_started → sources_found* → claim_verified) per
+// claim → verdict; the single pipeline emits search_started → sources_found*
+// → claims_extracted → verdict.
+
+export type FactCheckEvent =
+  | { type: 'images_read'; images: ImageText[] }
+  | { type: 'search_started'; claim?: string }
+  | { type: 'sources_found'; sources: Source[] }
+  | { type: 'claims_extracted'; count: number }
+  | { type: 'claim_verified'; verdict: ClaimVerdict }
+  | { type: 'verdict'; result: FactCheckResult };
+
+interface FactCheckOptions {
+  // Request logger; also collects the time spent in each stage
+  log: Logger;
+  context?: TweetContext;
+  onEvent?: (event: FactCheckEvent) => void;
+  // Defaults to the providers configured through the environment
+  providers?: Providers;
+  // Defaults to FACTCHECK_PIPELINE, then "claims"
+  pipeline?: Pipeline;
+  // Language to write corrections and the summary in; defaults to English
+  language?: string;
+  // Defaults to "tweet"
+  source?: TextSource;
+  // Stored with the check so it can be looked up by author
+  tweet?: TweetRef;
+  // Stops the check before its next provider call, e.g. once the client is gone
+  signal?: AbortSignal;
+}
+
+// Providers that refuse new calls once `signal` is aborted. Calls already
+// made run to completion.
+function abortable({ search, chat, ...rest }: Providers, signal: AbortSignal): Providers {
+  return {
+    ...rest,
+    search: {
+      name: search.name,
+      answer: (query, onSources) => {
+        signal.throwIfAborted();
+        return search.answer(query, onSources);
+      },
+    },
+    chat: {
+      name: chat.name,
+      model: chat.model,
+      completeJson: request => {
+        signal.throwIfAborted();
+        return chat.completeJson(request);
+      },
+    },
+  };
+}
+
+// One text that claims are located in
+interface CheckedPart {
+  part: TextPart;
+  // For image parts: index into context.images
+  image?: number;
+  text: string;
+}
+
+type CheckInput = { ok: true; text: string; context?: TweetContext; source: TextSource } | { ok: false; error: string };
+
+// The configured minimum for a source, or its default
+export function minTextLength(source: TextSource): number {
+  const configured = Number(source === 'selection' ? process.env.FACTCHECK_SELECTION_MIN_LENGTH : process.env.FACTCHECK_MIN_TEXT_LENGTH);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MIN_TEXT_LENGTH[source];
+}
+
+// Validate a request's `text`, optional `context` and `source`. Empty context
+// fields are dropped, so a check without real context shares the plain text's
+// cache entry. With images (and OCR enabled) the minimum length is waived,
+// since the text may be in the images. Selections take no context.
+export function validateCheckInput(text: unknown, context: unknown, source: unknown = 'tweet'): CheckInput {
+  if (!TEXT_SOURCES.includes(source as TextSource)) {
+    return { ok: false, error: `"source" must be one of: ${TEXT_SOURCES.join(', ')}` };
+  }
+  const from = source as TextSource;
+  const label = from === 'selection' ? 'Selected text' : 'Tweet text';
+  const minLength = minTextLength(from);
+  if (typeof text !== 'string') {
+    return { ok: false, error: `${label} is required and must be at least ${minLength} characters` };
+  }
+  if (from === 'selection' && context !== undefined && context !== null) {
+    return { ok: false, error: '"context" is only supported for tweets' };
+  }
+  if (context !== undefined && context !== null && (typeof context !== 'object' || Array.isArray(context))) {
+    return { ok: false, error: '"context" must be an object with optional "quoted", "thread" and "images"' };
+  }
+
+  const raw = (context || {}) as Record<string, unknown>;
+  if (raw.quoted !== undefined && (typeof raw.quoted !== 'string' || raw.quoted.length > MAX_PART_LENGTH)) {
+    return { ok: false, error: `"context.quoted" must be a string of at most ${MAX_PART_LENGTH} characters` };
+  }
+  if (raw.thread !== undefined && (
+    !Array.isArray(raw.thread) ||
+    raw.thread.length > MAX_THREAD_POSTS ||
+    !raw.thread.every(post => typeof post === 'string' && post.length <= MAX_PART_LENGTH)
+  )) {
+    return { ok: false, error: `"context.thread" must be an array of at most ${MAX_THREAD_POSTS} strings of at most ${MAX_PART_LENGTH} characters` };
+  }
+
+  if (raw.images !== undefined && (
+    !Array.isArray(raw.images) ||
+    raw.images.length > MAX_IMAGES ||
+    !raw.images.every(url => typeof url === 'string' && isAllowedImageUrl(url))
+  )) {
+    return { ok: false, error: `"context.images" must be an array of at most ${MAX_IMAGES} HTTPS image URLs from an allowed host` };
+  }
+
+  const quoted = typeof raw.quoted === 'string' && raw.quoted.trim() ? raw.quoted : undefined;
+  const thread = Array.isArray(raw.thread) ? (raw.thread as string[]).filter(post => post.trim()) : [];
+  const images = Array.isArray(raw.images) && isOcrEnabled() ? raw.images as string[] : [];
+  if (text.length > MAX_PART_LENGTH) {
+    return { ok: false, error: `${label} must be at most ${MAX_PART_LENGTH} characters` };
+  }
+  if (images.length === 0 && text.trim().length + (quoted?.trim().length || 0) < minLength) {
+    return { ok: false, error: `${label} is required and must be at least ${minLength} characters` };
+  }
+
+  if (!quoted && thread.length === 0 && images.length === 0) {
+    return { ok: true, text, source: from };
+  }
+  return {
+    ok: true,
+    text,
+    source: from,
+    context: {
+      ...(quoted && { quoted }),
+      ...(thread.length > 0 && { thread }),
+      ...(images.length > 0 && { images }),
+    },
+  };
+}
+
+// Run the configured pipeline for a single piece of text, reading any
+// attached images first. Throws the signal's reason once it is aborted, even
+// when the pipeline got through, so a partial result is never cached.
+export async function runFactCheck(text: string, checkOptions: FactCheckOptions): Promise<FactCheckResult> {
+  const { signal } = checkOptions;
+  const options = signal
+    ? { ...checkOptions, providers: abortable(checkOptions.providers || resolveProviders(), signal) }
+    : checkOptions;
+  const { log, context, onEvent } = options;
+  const pipeline = options.pipeline || (process.env.FACTCHECK_PIPELINE === 'single' ? 'single' : 'claims');
+
+  let images: ImageText[] | undefined;
+  if (context?.images?.length) {
+    log.info('Reading text from images', { images: context.images.length });
+    images = await log.time('ocr', () => readImages(context.images!, log));
+    signal?.throwIfAborted();
+    onEvent?.({ type: 'images_read', images });
+  }
+
+  const parts: CheckedPart[] = [{ part: 'main', text }];
+  if (context?.quoted) {
+    parts.push({ part: 'quoted', text: context.quoted });
+  }
+  images?.forEach((image, index) => {
+    if (image.text) parts.push({ part: 'image', image: index, text: image.text });
+  });
+
+  const language: LanguageSettings = {
+    detected: detectLanguage(parts.map(part => part.text).join('\n')),
+    output: options.language || DEFAULT_OUTPUT_LANGUAGE,
+  };
+  log.info('Language detected', { detected: language.detected, output: language.output, pipeline });
+
+  const result = pipeline === 'single'
+    ? await runSinglePass(text, parts, language, options)
+    : await runClaimsPipeline(text, parts, language, options);
+  signal?.throwIfAborted();
+  return images ? { ...result, images } : result;
+}
+
+// Extract atomic claims, verify each factual one with its own search, then merge
+async function runClaimsPipeline(text: string, parts: CheckedPart[], language: LanguageSettings, { log, context, onEvent, providers = resolveProviders(), source = 'tweet' }: FactCheckOptions): Promise<FactCheckResult> {
+  const emit = (event: FactCheckEvent) => onEvent?.(event);
+  const { search, chat } = providers;
+
+  // Step 1: Pull out the atomic claims and classify them
+  log.info('Extracting claims', { chat: chat.name, model: chat.model });
+  const extracted = await completeValidated(chat, EXTRACTION_SYSTEM_PROMPT, formatPost(parts, context, language, source), parseExtraction, log);
+  const factual = extracted.filter(claim => claim.kind === 'factual').slice(0, MAX_CLAIMS);
+  log.info('Claims extracted', { statements: extracted.length, factual: factual.length });
+  emit({ type: 'claims_extracted', count: factual.length });
+
+  // Step 2: Verify each factual claim on its own
+  const concurrency = Number(process.env.FACTCHECK_CLAIM_CONCURRENCY) || DEFAULT_CLAIM_CONCURRENCY;
+  const analyses: string[] = [];
+  const checked = await mapWithConcurrency(factual, concurrency, async (claim, index) => {
+    const { verdict, analysis } = await verifyClaim(parts, context, language, source, claim, providers, emit, log.child({ claim: index + 1 }));
+    analyses[index] = `Claim: ${claim.claim}\n${analysis}`;
+    emit({ type: 'claim_verified', verdict });
+    return verdict;
+  });
+
+  // Step 3: Merge per-claim verdicts into the top-level result
+  const verdicts = extracted.map(claim => {
+    const index = factual.indexOf(claim);
+    if (index !== -1) return checked[index];
+    const located = locateInParts(parts, claim.quote);
+    return {
+      claim: claim.claim,
+      quote: located?.phrase ?? null,
+      part: located?.part ?? null,
+      image: located?.image,
+      kind: claim.kind,
+      verdict: claim.kind === 'factual' ? 'unverifiable' as const : 'opinion' as const,
+      confidence: claim.kind === 'factual' ? 'low' as const : 'high' as const,
+      explanation: `Not checked: ${NOT_CHECKED_REASONS[claim.kind]}`,
+      sources: [],
+    };
+  });
+
+  const claims: Claim[] = [];
+  verdicts.forEach(verdict => {
+    if (verdict.verdict !== 'refuted' || !verdict.quote || !verdict.correction) return;
+    const located = locateInParts(parts.filter(part => part.part === verdict.part && part.image === verdict.image), verdict.quote);
+    if (!located || overlapsClaim(claims, located)) return;
+    claims.push({
+      incorrect: located.phrase,
+      correction: verdict.correction,
+      confidence: verdict.confidence,
+      sources: verdict.sources,
+      part: located.part,
+      ...(located.image !== undefined && { image: located.image }),
+      start: located.start,
+      end: located.end,
+    });
+  });
+
+  const sources: Source[] = [];
+  verdicts.forEach(verdict => verdict.sources.forEach(source => {
+    if (!sources.some(existing => existing.url === source.url)) sources.push(source);
+  }));
+
+  log.info('Analysis complete', {
+    statements: verdicts.length,
+    refuted: verdicts.filter(verdict => verdict.verdict === 'refuted').length,
+    highlighted: claims.length,
+  });
+
+  const response: FactCheckResult = {
+    hasIssues: claims.length > 0,
+    incorrect: claims.map(claim => claim.incorrect),
+    corrections: claims.map(claim => claim.correction),
+    claims,
+    verdicts,
+    sources,
+    summary: summarizeVerdicts(verdicts, language.output),
+    exaAnalysis: analyses.join('\n\n'),
+    pipeline: 'claims',
+    providers: { search: search.name, chat: chat.name, model: chat.model },
+    language,
+    source,
+  };
+  emit({ type: 'verdict', result: response });
+
+  return response;
+}
+
+// Search for evidence on one claim and ask the model for its verdict. A failed
+// search or unusable model output makes the claim unverifiable rather than
+// failing the whole check.
+async function verifyClaim(
+  parts: CheckedPart[],
+  context: TweetContext | undefined,
+  language: LanguageSettings,
+  source: TextSource,
+  claim: ExtractedClaim,
+  { search, chat }: Providers,
+  emit: (event: FactCheckEvent) => void,
+  log: Logger
+): Promise<{ verdict: ClaimVerdict; analysis: string }> {
+  const quote = locateInParts(parts, claim.quote);
+
+  let analysis = '';
+  let sources: Source[] = [];
+  try {
+    log.info('Searching', { search: search.name, claim: logContent(claim.claim) });
+    emit({ type: 'search_started', claim: claim.claim });
+    const queries = [`Is this claim accurate? "${claim.claim}"`];
+    if (language.detected !== 'en' && claim.english) {
+      queries.push(`Is this claim accurate? "${claim.english}"`);
+    }
+    ({ answer: analysis, sources } = await log.time('search', () => searchAll(search, queries, added => {
+      emit({ type: 'sources_found', sources: added });
+    })));
+    log.info('Sources found', { sources: sources.length });
+  } catch (searchError) {
+    log.error('Search provider error', errorFields(searchError));
+    analysis = 'Unable to verify with external sources.';
+  }
+
+  let check: ClaimCheck;
+  try {
+    check = await completeValidated(chat, CLAIM_CHECK_SYSTEM_PROMPT, `${formatPost(parts, context, language, source)}
+
+Claim: ${claim.claim}
+Quoted from the post: "${claim.quote}"
+
+Analysis from web sources:
+${analysis}
+
+Sources:
+${formatSources(sources)}`, parseClaimCheck, log);
+  } catch (error: any) {
+    log.error('Claim verification failed', errorFields(error));
+    check = { verdict: 'unverifiable', confidence: 'low', sources: [], explanation: 'Verification failed' };
+  }
+
+  // Highlight the model's exact wrong words when they are in the text,
+  // otherwise the whole quoted span
+  const incorrect = check.incorrect ? locateInParts(parts, check.incorrect) : null;
+  const flagged = check.verdict === 'refuted' ? incorrect || quote : quote;
+
+  return {
+    analysis,
+    verdict: {
+      claim: claim.claim,
+      quote: flagged?.phrase ?? null,
+      part: flagged?.part ?? null,
+      image: flagged?.image,
+      kind: claim.kind,
+      verdict: check.verdict,
+      correction: check.correction,
+      confidence: check.confidence,
+      explanation: check.explanation,
+      sources: resolveSourceNumbers(check.sources, sources),
+    },
+  };
+}
+
+// One-line summary of the merged verdicts, in the output language
+function summarizeVerdicts(verdicts: ClaimVerdict[], language: string): string {
+  const refuted = verdicts.filter(verdict => verdict.verdict === 'refuted');
+  const checkable = verdicts.filter(verdict => verdict.verdict !== 'opinion');
+  const unverifiable = checkable.filter(verdict => verdict.verdict === 'unverifiable');
+
+  if (refuted.length > 0) {
+    return refuted.map(verdict => verdict.explanation || `Incorrect: ${verdict.claim}`).join(' ');
+  }
+  if (checkable.length === 0) {
+    return summaryText(language, 'noClaims');
+  }
+  if (unverifiable.length > 0) {
+    return summaryText(language, 'someUnverifiable', { count: unverifiable.length, total: checkable.length });
+  }
+  return summaryText(language, 'noIssues');
+}
+
+// Ask the chat model for JSON and validate it with `parse`, retrying once
+// with the validation errors. Throws VerdictValidationError if the retry
+// is also invalid.
+async function completeValidated<T>(
+  chat: ChatProvider,
+  system: string,
+  user: string,
+  parse: (content: string) => ParseResult<T>,
+  log: Logger
+): Promise<T> {
+  let content = await log.time('llm', () => chat.completeJson({ system, user, temperature: 0.3 }));
+  let parsed = log.timeSync('parse', () => parse(content));
+
+  // One retry, showing the model its invalid output and what was wrong with it
+  if (!parsed.ok) {
+    const { errors } = parsed;
+    log.warn('Invalid model output, asking model to repair', { errors });
+    const repairPrompt = buildRepairPrompt(user, content, errors);
+    content = await log.time('llm', () => chat.completeJson({ system, user: repairPrompt, temperature: 0 }));
+    parsed = log.timeSync('parse', () => parse(content));
+    if (!parsed.ok) {
+      log.error('Model output still invalid after repair', { errors: parsed.errors });
+      throw new VerdictValidationError(parsed.errors);
+    }
+  }
+
+  return parsed.value;
+}
+
+// One search query and one model call for the whole text
+async function runSinglePass(text: string, parts: CheckedPart[], language: LanguageSettings, { log, context, onEvent, providers = resolveProviders(), source = 'tweet' }: FactCheckOptions): Promise<FactCheckResult> {
+  const emit = (event: FactCheckEvent) => onEvent?.(event);
+  const { search, chat } = providers;
+
+  // Step 1: Ask the search provider (Exa's fast /answer endpoint by default) to find inaccuracies
+  const quotedParts = parts.map(part => `"${part.text}"`).join(' ');
+  const searchQueries = [`Find phrases or words that are factually incorrect, misleading, or hallucinated in this text: ${quotedParts}`];
+  if (language.detected !== 'en') {
+    searchQueries.push(`Find phrases or words that are factually incorrect, misleading, or hallucinated in this ${languageName(language.detected)} text, and answer in English: ${quotedParts}`);
+  }
+  
+  let searchAnswer = '';
+  let sources: Source[] = [];
+  try {
+    log.info('Searching', { search: search.name });
+    emit({ type: 'search_started' });
+    ({ answer: searchAnswer, sources } = await log.time('search', () => searchAll(search, searchQueries, added => {
+      emit({ type: 'sources_found', sources: added });
+    })));
+    
+    log.info('Sources found', { sources: sources.length, analysis: logContent(searchAnswer) });
+  } catch (searchError) {
+    log.error('Search provider error', errorFields(searchError));
+    // If search fails, try to continue with the chat model only
+    searchAnswer = 'Unable to verify with external sources.';
+  }
+
+  // Step 2: Use the chat model to analyze and mark up the text
+  log.info('Calling chat provider', { chat: chat.name, model: chat.model });
+  const verdictPrompt = `${formatPost(parts, context, language, source)}
+
+Fact-check analysis from web sources:
+${searchAnswer}
+
+Sources:
+${formatSources(sources)}
+
+Based on this analysis, identify incorrect phrases and provide corrections.`;
+
+  const verdict = await completeValidated(chat, VERDICT_SYSTEM_PROMPT, verdictPrompt, parseVerdict, log);
+  const { kept, dropped } = groundClaims(verdict.claims, parts.map(part => part.text));
+  if (dropped.length > 0) {
+    log.warn('Dropped claims not found in the tweet', { dropped: dropped.map(claim => logContent(claim.incorrect)) });
+  }
+  const claims = resolveClaims(kept, sources, parts);
+  log.info('Analysis complete', {
+    hasIssues: verdict.hasIssues,
+    highlighted: claims.length,
+    summary: logContent(verdict.summary),
+  });
+  emit({ type: 'claims_extracted', count: claims.length });
+
+  const response: FactCheckResult = {
+    hasIssues: verdict.hasIssues && claims.length > 0,
+    incorrect: claims.map(claim => claim.incorrect),
+    corrections: claims.map(claim => claim.correction),
+    claims,
+    // Only the flagged claims are known in single-pass mode
+    verdicts: claims.map(claim => ({
+      claim: claim.incorrect,
+      quote: claim.incorrect,
+      part: claim.part,
+      image: claim.image,
+      kind: 'factual' as const,
+      verdict: 'refuted' as const,
+      correction: claim.correction,
+      confidence: claim.confidence,
+      explanation: verdict.summary,
+      sources: claim.sources,
+    })),
+    sources,
+    summary: verdict.summary,
+    exaAnalysis: searchAnswer,
+    pipeline: 'single',
+    providers: { search: search.name, chat: chat.name, model: chat.model },
+    language,
+    source,
+  };
+  emit({ type: 'verdict', result: response });
+
+  return response;
+}
+
+// One text a check was asked for, with the tweet it comes from
+export interface CheckCopy {
+  text: string;
+  context?: TweetContext;
+  tweet?: TweetRef;
+}
+
+// Serve from the shared cache when possible, otherwise run and cache the check.
+// On a hit only the `verdict` event is emitted. Checks with per-request
+// provider overrides bypass the cache in both directions and get no checkId,
+// so feedback is only collected on shared results.
+export async function checkWithCache(text: string, options: FactCheckOptions): Promise<FactCheckResult> {
+  const [served] = await checkCopiesWithCache([{ text, context: options.context, tweet: options.tweet }], options);
+  return served;
+}
+
+// Check texts that share a cache key, such as one tweet posted several times,
+// with a single run of the first. Every copy is stored with its own tweet and
+// served with the claims located in its own text; copies after the first are
+// served as cached. `options.context` and `options.tweet` are not used.
+export async function checkCopiesWithCache(copies: CheckCopy[], { log, onEvent, providers = resolveProviders(), language, source, signal }: FactCheckOptions): Promise<FactCheckResult[]> {
+  // Every check is stored as the model wrote it, cache hits included, then
+  // served as reviewed. The verdict event waits for both, so streamed results
+  // carry the recordId and the review too. Fresh flagged results also go to
+  // the webhooks.
+  const forward = (event: FactCheckEvent) => {
+    if (event.type !== 'verdict') onEvent?.(event);
+  };
+  const finish = async ({ text, context, tweet }: CheckCopy, result: FactCheckResult) => {
+    const checked = {
+      text,
+      ...(context && { context }),
+      source: source || 'tweet',
+      language: result.language?.output || language || DEFAULT_OUTPUT_LANGUAGE,
+      ...(tweet && { tweet }),
+    };
+    const recordId = await log.time('store', () => recordCheck({
+      ...checked,
+      ...(result.checkId && { checkId: result.checkId }),
+      result,
+    }));
+    // A reviewed result is the reviewed run's; fit it to this text too
+    const reviewed = await log.time('store', () => reviewBeforeServing({ ...result, ...(recordId && { recordId }) }));
+    const served = reviewed.review && reviewed.review.status !== 'pending' ? relocateClaims(reviewed, text, context) : reviewed;
+    notifyFlagged({ ...checked, served, result });
+    onEvent?.({ type: 'verdict', result: served });
+    return served;
+  };
+  const finishAll = async (result: FactCheckResult) => {
+    const served: FactCheckResult[] = [];
+    for (let index = 0; index < copies.length; index++) {
+      const copy = copies[index];
+      served.push(await finish(copy, index === 0
+        ? result
+        : relocateClaims({ ...result, cached: true, cachedAt: result.cachedAt || new Date().toISOString() }, copy.text, copy.context)));
+    }
+    return served;
+  };
+
+  const [{ text, context }] = copies;
+  if (providers.overridden) {
+    return finishAll({ ...(await runFactCheck(text, { log, context, onEvent: forward, providers, language, source, signal })), cached: false });
+  }
+
+  const checkId = cacheKey(text, context, language, source);
+  const cached = await log.time('cache', () => getCachedResult(text, context, language, source));
+  if (cached) {
+    const cachedAt = new Date(cached.cachedAt).toISOString();
+    log.info('Cache hit', { cachedAt, disputed: !!cached.result.disputed });
+    return finishAll(relocateClaims({ ...cached.result, cached: true, cachedAt, checkId }, text, context));
+  }
+
+  const result = {
+    ...(await runFactCheck(text, { log, context, providers, language, source, onEvent: forward, signal })),
+    checkId,
+  };
+  await log.time('cache', () => setCachedResult(text, result, context, language, source));
+  return finishAll({ ...result, cached: false });
+}
+
+// The post as shown to the model: earlier thread posts, the post, the post
+// it quotes and the text read from its images, then which languages to use
+// when either is not English. A selection is presented as the post, with a
+// note that it is an excerpt of a web page.
+function formatPost(parts: CheckedPart[], context: TweetContext | undefined, language: LanguageSettings, source: TextSource): string {
+  const sections: string[] = [];
+  if (source === 'selection') {
+    sections.push('The "post" below is text a reader selected on a web page, not a social media post. It may be an excerpt of a longer article; check it the same way, and do not flag it for missing context.');
+  }
+  if (context?.thread?.length) {
+    sections.push(`Earlier posts in the author's thread (context only):
+${context.thread.map((post, i) => `[${i + 1}] "${post}"`).join('\n')}`);
+  }
+  parts.forEach(part => {
+    if (part.part === 'main') {
+      sections.push(`Post: "${part.text}"`);
+    } else if (part.part === 'quoted') {
+      sections.push(`Quoted post: "${part.text}"`);
+    } else {
+      sections.push(`Text read from attached image ${(part.image ?? 0) + 1}: "${part.text}"`);
+    }
+  });
+  if (language.detected !== 'en' || language.output !== 'en') {
+    sections.push(`The post appears to be in ${languageName(language.detected)}. Copy quotes and incorrect phrases exactly as written, in the post's own language and script. Write corrections, explanations and the summary in ${languageName(language.output)}.`);
+  }
+  return sections.join('\n\n');
+}
+
+// Run the search queries (the tweet's own language, then English) in
+// parallel and merge their answers. Sources found by more than one query are
+// kept once. Fails only if every query fails.
+async function searchAll(search: SearchProvider, queries: string[], onSources: (sources: Source[]) => void): Promise<SearchAnswer> {
+  const seen = new Set<string>();
+  const fresh = (sources: Source[]) => sources.filter(source => {
+    if (seen.has(source.url)) return false;
+    seen.add(source.url);
+    return true;
+  });
+
+  const settled = await Promise.allSettled(queries.map(query => search.answer(query, added => {
+    const unseen = fresh(added);
+    if (unseen.length > 0) onSources(unseen);
+  })));
+  const answers = settled.filter((outcome): outcome is PromiseFulfilledResult<SearchAnswer> => outcome.status === 'fulfilled');
+  if (answers.length === 0) {
+    throw (settled[0] as PromiseRejectedResult).reason;
+  }
+
+  const sources: Source[] = [];
+  const urls = new Set<string>();
+  answers.forEach(({ value }) => value.sources.forEach(source => {
+    if (urls.has(source.url)) return;
+    urls.add(source.url);
+    sources.push(source);
+  }));
+  return { answer: answers.map(({ value }) => value.answer).join('\n\n'), sources };
+}
+
+type LocatedPhrase = TextSpan & { part: TextPart; image?: number; phrase: string };
+
+// Find a phrase in the first part that contains it, in order: main text,
+// quoted tweet, images. Returns the phrase as it appears there.
+function locateInParts(parts: CheckedPart[], phrase: string): LocatedPhrase | null {
+  for (const part of parts) {
+    const span = locateInText(part.text, phrase);
+    if (span) return { ...span, part: part.part, image: part.image, phrase: part.text.slice(span.start, span.end) };
+  }
+  return null;
+}
+
+function overlapsClaim(claims: Claim[], located: LocatedPhrase): boolean {
+  return claims.some(claim =>
+    claim.part === located.part &&
+    claim.image === located.image &&
+    claim.start < located.end &&
+    located.start < claim.end
+  );
+}
+
+// The texts a result's claims are located in: the text, the quoted post and
+// the text the result read from the images
+function resultParts(text: string, context: TweetContext | undefined, result: FactCheckResult): CheckedPart[] {
+  const parts: CheckedPart[] = [{ part: 'main', text }];
+  if (context?.quoted) {
+    parts.push({ part: 'quoted', text: context.quoted });
+  }
+  result.images?.forEach((image, index) => {
+    if (image.text) parts.push({ part: 'image', image: index, text: image.text });
+  });
+  return parts;
+}
+
+// Point a result's claims and quotes at `text` and its context. Cached and
+// reviewed results were made for the first text with their cache key, which
+// may differ in case, whitespace and links, so their offsets need not fit
+// this one. Claims whose phrase is no longer there are dropped.
+export function relocateClaims(result: FactCheckResult, text: string, context?: TweetContext): FactCheckResult {
+  const parts = resultParts(text, context, result);
+  const partText = (part: TextPart | null, image?: number) =>
+    parts.find(candidate => candidate.part === part && candidate.image === image)?.text;
+
+  const claims: Claim[] = [];
+  result.claims.forEach(claim => {
+    const within = partText(claim.part, claim.image);
+    const span = within === undefined ? null : locateInText(within, claim.incorrect);
+    if (within === undefined || !span) return;
+    const located = { ...span, part: claim.part, image: claim.image, phrase: within.slice(span.start, span.end) };
+    if (overlapsClaim(claims, located)) return;
+    claims.push({ ...claim, incorrect: located.phrase, start: span.start, end: span.end });
+  });
+
+  return {
+    ...result,
+    hasIssues: result.hasIssues && claims.length > 0,
+    incorrect: claims.map(claim => claim.incorrect),
+    corrections: claims.map(claim => claim.correction),
+    claims,
+    verdicts: result.verdicts.map(verdict => {
+      const within = verdict.quote ? partText(verdict.part, verdict.image) : undefined;
+      if (!verdict.quote || within === undefined) return verdict;
+      const span = locateInText(within, verdict.quote);
+      return { ...verdict, quote: span ? within.slice(span.start, span.end) : null };
+    }),
+  };
+}
+
+// Number sources so the model can cite them by index
+function formatSources(sources: Source[]): string {
+  if (sources.length === 0) return 'No sources available.';
+  return sources
+    .map((source, i) => `[${i + 1}] ${source.title} (${source.url})\n${source.snippet}`)
+    .join('\n\n');
+}
+
+// Turn grounded claims into response claims, resolving cited source numbers
+// and locating each phrase in the text. Claims overlapping an earlier one
+// are dropped so highlights never nest.
+function resolveClaims(claims: VerdictClaim[], sources: Source[], parts: CheckedPart[]): Claim[] {
+  const resolved: Claim[] = [];
+  for (const claim of claims) {
+    const located = locateInParts(parts, claim.incorrect);
+    if (!located || overlapsClaim(resolved, located)) continue;
+    resolved.push({
+      incorrect: located.phrase,
+      correction: claim.correction,
+      confidence: claim.confidence,
+      sources: resolveSourceNumbers(claim.sources, sources),
+      part: located.part,
+      ...(located.image !== undefined && { image: located.image }),
+      start: located.start,
+      end: located.end,
+    });
+  }
+  return resolved;
+}
+
+// Map 1-based source numbers to sources, ignoring repeats and numbers outside the list
+function resolveSourceNumbers(numbers: number[], sources: Source[]): Source[] {
+  return numbers
+    .filter((n, i) => n >= 1 && n <= sources.length && numbers.indexOf(n) === i)
+    .map(n => sources[n - 1]);
+}
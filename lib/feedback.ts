@@ -0,0 +1,304 @@
+// lib/feedback.ts
+import { createHash, randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { CacheEntry, getCacheStore, StoreStatus } from '@/lib/cache';
+import { updateStoredDispute } from '@/lib/checks';
+import type { TextPart } from '@/lib/factcheck';
+import { createLogger, errorFields } from '@/lib/logger';
+import { locateInText } from '@/lib/verdict';
+
+const DEFAULT_FEEDBACK_FILE = '.cache/feedback.jsonl';
+const DEFAULT_DISPUTE_THRESHOLD = 3;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_PHRASE_LENGTH = 5000;
+
+const log = createLogger({ component: 'feedback' });
+
+// A vote that can't be recorded; `status` is the HTTP status to answer with
+export class FeedbackError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'FeedbackError';
+  }
+}
+
+// "up": the phrase is wrong and the correction is right. "down": the phrase
+// is not wrong. "wrong_correction": the phrase is wrong but so is the correction.
+export type FeedbackVote = 'up' | 'down' | 'wrong_correction';
+
+export const FEEDBACK_VOTES: FeedbackVote[] = ['up', 'down', 'wrong_correction'];
+
+// The flagged phrase a vote is about, as the client saw it
+export interface FeedbackClaim {
+  incorrect: string;
+  correction: string;
+  part: TextPart;
+  image?: number;
+}
+
+export interface FeedbackRecord {
+  id: string;
+  checkId: string;
+  vote: FeedbackVote;
+  claim: FeedbackClaim;
+  comment?: string;
+  tweetUrl?: string;
+  // Hash of the voter's client id (or IP address) and API key. A voter's
+  // latest vote on a claim replaces their earlier ones when votes are counted.
+  voter: string;
+  createdAt: string;
+  // When the result voted on was cached. Votes count towards that result
+  // only, not a fresh check of the same text once it has expired. Missing
+  // in records from before votes were scoped to a result.
+  cachedAt?: string;
+  // The check and its verdict as served when the vote was cast; null in
+  // records from before votes required the result to be cached
+  check: Pick<CacheEntry, 'input' | 'result'> | null;
+}
+
+export interface FeedbackCounts {
+  up: number;
+  down: number;
+  wrongCorrection: number;
+  disputed: boolean;
+}
+
+// Storage backend for feedback. Records are only ever appended.
+export interface FeedbackStore {
+  add(record: FeedbackRecord): Promise<void>;
+  list(): Promise<FeedbackRecord[]>;
+  status(): Promise<StoreStatus>;
+}
+
+// Process-local store; lost on restart
+export class MemoryFeedbackStore implements FeedbackStore {
+  private records: FeedbackRecord[] = [];
+
+  async add(record: FeedbackRecord) {
+    this.records.push(record);
+  }
+
+  async list() {
+    return [...this.records];
+  }
+
+  async status() {
+    return { store: 'memory', entries: this.records.length };
+  }
+}
+
+// JSON Lines file, one record per line; survives restarts of a
+// single-instance deployment and can be exported as is
+export class FileFeedbackStore implements FeedbackStore {
+  private records: FeedbackRecord[] | null = null;
+  private writing: Promise<void> = Promise.resolve();
+  private lastError?: string;
+
+  constructor(private filePath: string) {}
+
+  private async load() {
+    if (this.records) return this.records;
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      this.records = raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        log.error('Could not read feedback file, starting empty', { file: this.filePath, ...errorFields(error) });
+        this.lastError = `Could not read ${this.filePath}: ${error.message}`;
+      }
+      this.records = [];
+    }
+    return this.records;
+  }
+
+  async add(record: FeedbackRecord) {
+    (await this.load()).push(record);
+    // Serialize appends so concurrent votes don't interleave lines
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+      this.lastError = undefined;
+    }).catch(error => {
+      log.error('Could not write feedback file', { file: this.filePath, ...errorFields(error) });
+      this.lastError = `Could not write ${this.filePath}: ${error.message}`;
+    });
+    await this.writing;
+  }
+
+  async list() {
+    return [...(await this.load())];
+  }
+
+  async status() {
+    const records = await this.load();
+    return { store: 'file', entries: records.length, ...(this.lastError && { error: this.lastError }) };
+  }
+}
+
+function createStore(): FeedbackStore {
+  const kind = process.env.FEEDBACK_STORE || 'memory';
+  switch (kind) {
+    case 'memory':
+      return new MemoryFeedbackStore();
+    case 'file':
+      return new FileFeedbackStore(path.resolve(process.env.FEEDBACK_FILE || DEFAULT_FEEDBACK_FILE));
+    default:
+      throw new Error(`Unknown FEEDBACK_STORE "${kind}" (expected "memory" or "file")`);
+  }
+}
+
+let store: FeedbackStore | null = null;
+
+export function getFeedbackStore(): FeedbackStore {
+  if (!store) store = createStore();
+  return store;
+}
+
+function disputeThreshold(): number {
+  const value = Number(process.env.FEEDBACK_DISPUTE_THRESHOLD);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_DISPUTE_THRESHOLD;
+}
+
+// Who cast a vote: the random id the client sent (the extension makes one
+// per install, so users sharing an API key or an address are told apart),
+// else the client's IP address, within the API key. Hashed one way so
+// exported feedback never contains IP addresses. Null when neither is known.
+export function voterId(client: { voter?: string; ip?: string; keyName?: string }): string | null {
+  const who = client.voter ? `voter:${client.voter}` : client.ip ? `ip:${client.ip}` : null;
+  return who && createHash('sha256').update(`${who}|${client.keyName || ''}`).digest('hex').substring(0, 16);
+}
+
+type FeedbackInput =
+  | { ok: true; checkId: string; vote: FeedbackVote; claim: FeedbackClaim; comment?: string; tweetUrl?: string; voter?: string }
+  | { ok: false; error: string };
+
+// Validate a POST /api/feedback body
+export function validateFeedback(body: any): FeedbackInput {
+  if (typeof body?.checkId !== 'string' || !/^[0-9a-f]{64}$/.test(body.checkId)) {
+    return { ok: false, error: '"checkId" must be the checkId of a result' };
+  }
+  if (!FEEDBACK_VOTES.includes(body.vote)) {
+    return { ok: false, error: `"vote" must be one of ${FEEDBACK_VOTES.join(', ')}` };
+  }
+
+  const claim = body.claim;
+  if (
+    typeof claim?.incorrect !== 'string' || !claim.incorrect.trim() || claim.incorrect.length > MAX_PHRASE_LENGTH ||
+    typeof claim.correction !== 'string' || claim.correction.length > MAX_PHRASE_LENGTH
+  ) {
+    return { ok: false, error: '"claim" must be the flagged claim, with "incorrect" and "correction"' };
+  }
+  const part: TextPart = ['main', 'quoted', 'image'].includes(claim.part) ? claim.part : 'main';
+
+  if (body.comment !== undefined && (typeof body.comment !== 'string' || body.comment.length > MAX_COMMENT_LENGTH)) {
+    return { ok: false, error: `"comment" must be a string of at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+  if (body.tweetUrl !== undefined && (typeof body.tweetUrl !== 'string' || !/^https:\/\//.test(body.tweetUrl))) {
+    return { ok: false, error: '"tweetUrl" must be an https URL' };
+  }
+  if (body.voter !== undefined && (typeof body.voter !== 'string' || !/^[A-Za-z0-9_-]{16,64}$/.test(body.voter))) {
+    return { ok: false, error: '"voter" must be a random id of 16 to 64 letters, digits, "-" or "_"' };
+  }
+
+  return {
+    ok: true,
+    checkId: body.checkId,
+    vote: body.vote,
+    claim: {
+      incorrect: claim.incorrect,
+      correction: claim.correction,
+      part,
+      ...(part === 'image' && Number.isInteger(claim.image) && { image: claim.image }),
+    },
+    ...(body.comment?.trim() && { comment: body.comment.trim() }),
+    ...(body.tweetUrl && { tweetUrl: body.tweetUrl }),
+    ...(body.voter && { voter: body.voter }),
+  };
+}
+
+// Count the votes on a check's result cached at `cachedAt`, keeping each
+// voter's latest vote per claim.
+// Each voter counts once as agreeing and once as disputing at most, however
+// many claims they voted on, the dispute by the kind of their latest one. A
+// check is disputed once the threshold of "down" and "wrong_correction" votes
+// is reached and they outnumber the "up" votes.
+export function countFeedback(records: FeedbackRecord[], checkId: string, cachedAt: string): FeedbackCounts {
+  const latest = new Map<string, FeedbackRecord>();
+  records
+    .filter(record => record.checkId === checkId && record.cachedAt === cachedAt)
+    .forEach(record => latest.set(`${record.voter}|${record.claim.part}|${record.claim.image ?? ''}|${record.claim.incorrect}`, record));
+
+  const agreeing = new Set<string>();
+  const disputing = new Map<string, FeedbackRecord>();
+  latest.forEach(record => {
+    if (record.vote === 'up') {
+      agreeing.add(record.voter);
+    } else {
+      const previous = disputing.get(record.voter);
+      if (!previous || previous.createdAt <= record.createdAt) disputing.set(record.voter, record);
+    }
+  });
+
+  const counts = { up: agreeing.size, down: 0, wrongCorrection: 0 };
+  disputing.forEach(record => {
+    if (record.vote === 'down') counts.down++;
+    else counts.wrongCorrection++;
+  });
+
+  const disputes = counts.down + counts.wrongCorrection;
+  return { ...counts, disputed: disputes >= disputeThreshold() && disputes > counts.up };
+}
+
+function isSamePhrase(flagged: string, voted: string): boolean {
+  const span = locateInText(flagged, voted);
+  return !!span && span.start === 0 && span.end === flagged.length;
+}
+
+// Store a vote together with the cached check it is about, and mark the
+// cached result and the stored runs of the check disputed once the votes say
+// so. Votes are only taken on claims of a result that is still cached, so
+// they can't be cast on phrases the check never flagged.
+export async function recordFeedback(
+  input: Extract<FeedbackInput, { ok: true }>,
+  voter: string
+): Promise<{ record: FeedbackRecord; counts: FeedbackCounts }> {
+  // The client's voter id is only kept hashed, in `voter`
+  const { ok, voter: clientVoter, ...fields } = input;
+  const cacheStore = getCacheStore();
+  const entry = await cacheStore.get(input.checkId);
+  const live = entry && entry.expiresAt > Date.now() ? entry : null;
+  if (!live) {
+    throw new FeedbackError('The result is no longer cached; check the tweet again to vote on it', 404);
+  }
+  // Folded, as a cache hit on a variant of the text serves its own spelling
+  const flagged = live.result.claims.some(claim =>
+    isSamePhrase(claim.incorrect, input.claim.incorrect) &&
+    claim.part === input.claim.part &&
+    (claim.part !== 'image' || claim.image === input.claim.image)
+  );
+  if (!flagged) {
+    throw new FeedbackError('"claim" is not one of the phrases flagged in this result', 400);
+  }
+
+  const record: FeedbackRecord = {
+    id: randomUUID(),
+    ...fields,
+    voter,
+    createdAt: new Date().toISOString(),
+    cachedAt: new Date(live.cachedAt).toISOString(),
+    check: { input: live.input, result: live.result },
+  };
+
+  const feedbackStore = getFeedbackStore();
+  await feedbackStore.add(record);
+  const counts = countFeedback(await feedbackStore.list(), input.checkId, record.cachedAt as string);
+
+  if (counts.disputed !== !!live.result.disputed) {
+    await cacheStore.set(input.checkId, { ...live, result: { ...live.result, disputed: counts.disputed } });
+    log.info(counts.disputed ? 'Check is now disputed' : 'Check is no longer disputed', { checkId: input.checkId });
+  }
+  await updateStoredDispute(input.checkId, counts.disputed);
+
+  return { record, counts };
+}
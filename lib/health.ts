@@ -0,0 +1,170 @@
+// lib/health.ts
+import { getCacheStore, StoreStatus } from '@/lib/cache';
+import { getCheckStore } from '@/lib/checks';
+import { getFeedbackStore } from '@/lib/feedback';
+import { createLogger, errorFields } from '@/lib/logger';
+import { isOcrEnabled } from '@/lib/ocr';
+import { ChatProvider, createChatProvider, createSearchProvider, SearchProvider } from '@/lib/providers';
+import packageJson from '@/package.json';
+
+// Longest a deep probe may take per provider
+const PROBE_TIMEOUT_MS = 10000;
+// Deep probe results are reused for this long, so polling the endpoint
+// doesn't turn into a stream of paid provider calls
+const PROBE_CACHE_MS = 60000;
+
+const log = createLogger({ component: 'health' });
+
+export type ComponentStatus = 'ok' | 'unavailable' | 'disabled';
+
+// ok: everything works. degraded: checks run, but something is failing (a
+// store, or a provider that answered the deep probe with an error). down:
+// checks cannot run, because a provider is not configured or the chat model
+// is unreachable.
+export type OverallStatus = 'ok' | 'degraded' | 'down';
+
+export interface ProviderHealth {
+  status: ComponentStatus;
+  provider: string;
+  model?: string;
+  error?: string;
+  // Set when the deep probe ran
+  probe?: { ok: boolean; latencyMs: number; checkedAt: string; error?: string };
+}
+
+export interface StoreHealth {
+  status: ComponentStatus;
+  store?: string;
+  entries?: number;
+  error?: string;
+}
+
+export interface HealthReport {
+  status: OverallStatus;
+  service: string;
+  version: string;
+  commit?: string;
+  uptimeSeconds: number;
+  timestamp: string;
+  authRequired: boolean;
+  deep: boolean;
+  checks: {
+    search: ProviderHealth;
+    chat: ProviderHealth;
+    cache: StoreHealth;
+    feedback: StoreHealth;
+    checks: StoreHealth;
+    ocr: { status: ComponentStatus };
+  };
+}
+
+const probeCache = new Map<string, NonNullable<ProviderHealth['probe']>>();
+
+async function probeProvider(key: string, provider: SearchProvider | ChatProvider): Promise<NonNullable<ProviderHealth['probe']>> {
+  const cached = probeCache.get(key);
+  if (cached && Date.now() - Date.parse(cached.checkedAt) < PROBE_CACHE_MS) {
+    return cached;
+  }
+
+  const started = Date.now();
+  let result: NonNullable<ProviderHealth['probe']>;
+  try {
+    if (!provider.probe) throw new Error(`${provider.name} cannot be probed`);
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    await Promise.race([
+      provider.probe(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${PROBE_TIMEOUT_MS / 1000}s`)), PROBE_TIMEOUT_MS);
+      }),
+    ]).finally(() => clearTimeout(timer));
+    result = { ok: true, latencyMs: Date.now() - started, checkedAt: new Date().toISOString() };
+  } catch (error: any) {
+    log.warn('Provider probe failed', { provider: key, ...errorFields(error) });
+    result = { ok: false, latencyMs: Date.now() - started, checkedAt: new Date().toISOString(), error: error.message };
+  }
+
+  probeCache.set(key, result);
+  return result;
+}
+
+// Whether the configured provider can be built (its keys and settings are
+// present), and with `deep` whether it answers a cheap call
+async function providerHealth(kind: 'search' | 'chat', deep: boolean): Promise<ProviderHealth> {
+  const name = kind === 'search' ? process.env.SEARCH_PROVIDER || 'exa' : process.env.CHAT_PROVIDER || 'openrouter';
+
+  let provider: SearchProvider | ChatProvider;
+  try {
+    provider = kind === 'search' ? createSearchProvider(name) : createChatProvider(name);
+  } catch (error: any) {
+    return { status: 'unavailable', provider: name, error: error.message };
+  }
+
+  const model = 'model' in provider ? provider.model : undefined;
+  const health: ProviderHealth = { status: 'ok', provider: name, ...(model && { model }) };
+  if (!deep) return health;
+
+  const probe = await probeProvider(`${kind}:${name}:${model || ''}`, provider);
+  return { ...health, status: probe.ok ? 'ok' : 'unavailable', probe, ...(probe.error && { error: probe.error }) };
+}
+
+async function storeHealth(getStatus: () => Promise<StoreStatus>): Promise<StoreHealth> {
+  try {
+    const { store, entries, error } = await getStatus();
+    return { status: error ? 'unavailable' : 'ok', store, entries, ...(error && { error }) };
+  } catch (error: any) {
+    return { status: 'unavailable', error: error.message };
+  }
+}
+
+// "disabled" with CHECK_STORE=none
+async function checkStoreHealth(): Promise<StoreHealth> {
+  try {
+    const store = getCheckStore();
+    return store ? await storeHealth(() => store.status()) : { status: 'disabled' };
+  } catch (error: any) {
+    return { status: 'unavailable', error: error.message };
+  }
+}
+
+// Health of everything a check depends on. `deep` also makes one cheap call
+// to each provider.
+export async function getHealth({ deep = false, authRequired }: { deep?: boolean; authRequired: boolean }): Promise<HealthReport> {
+  const [search, chat, cache, feedback, checks] = await Promise.all([
+    providerHealth('search', deep),
+    providerHealth('chat', deep),
+    storeHealth(() => getCacheStore().status()),
+    storeHealth(() => getFeedbackStore().status()),
+    checkStoreHealth(),
+  ]);
+
+  // A missing provider config or an unreachable chat model fails every check;
+  // a failed search probe or store only degrades them
+  let status: OverallStatus = 'ok';
+  if ([search, chat, cache, feedback, checks].some(check => check.status === 'unavailable')) {
+    status = 'degraded';
+  }
+  if (chat.status !== 'ok' || (search.status !== 'ok' && !search.probe) || (cache.status !== 'ok' && !cache.store)) {
+    status = 'down';
+  }
+
+  return {
+    status,
+    service: 'twitter-fact-checker',
+    version: process.env.APP_VERSION || packageJson.version,
+    ...((process.env.GIT_COMMIT || process.env.VERCEL_GIT_COMMIT_SHA) && {
+      commit: process.env.GIT_COMMIT || process.env.VERCEL_GIT_COMMIT_SHA,
+    }),
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+    authRequired,
+    deep,
+    checks: {
+      search,
+      chat,
+      cache,
+      feedback,
+      checks,
+      ocr: { status: isOcrEnabled() ? 'ok' : 'disabled' },
+    },
+  };
+}
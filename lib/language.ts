@@ -0,0 +1,175 @@
+// lib/language.ts
+
+// Languages results can be written in. The extension offers the same list.
+export const OUTPUT_LANGUAGES: Record<string, string> = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  ar: 'Arabic',
+  ja: 'Japanese',
+  hi: 'Hindi',
+};
+
+export const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+// Every language detectLanguage can return, by ISO 639-1 code
+const LANGUAGE_NAMES: Record<string, string> = {
+  ...OUTPUT_LANGUAGES,
+  it: 'Italian',
+  nl: 'Dutch',
+  tr: 'Turkish',
+  id: 'Indonesian',
+  fa: 'Persian',
+  ur: 'Urdu',
+  he: 'Hebrew',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  el: 'Greek',
+  bn: 'Bengali',
+  th: 'Thai',
+  ko: 'Korean',
+  zh: 'Chinese',
+};
+
+export function languageName(code: string): string {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+type LanguageInput = { ok: true; language: string } | { ok: false; error: string };
+
+// Validate a request's optional `language` (the language results are written in)
+export function validateLanguage(language: unknown): LanguageInput {
+  if (language === undefined || language === null || language === '') {
+    return { ok: true, language: DEFAULT_OUTPUT_LANGUAGE };
+  }
+  if (typeof language !== 'string' || !OUTPUT_LANGUAGES[language]) {
+    return { ok: false, error: `"language" must be one of ${Object.keys(OUTPUT_LANGUAGES).join(', ')}` };
+  }
+  return { ok: true, language };
+}
+
+// Scripts that (mostly) identify one language. Checked in order; the script
+// with the most letters in the text wins.
+const SCRIPTS: { pattern: RegExp; language: string }[] = [
+  { pattern: /[\u3040-\u30FF]/g, language: 'ja' }, // Hiragana and Katakana
+  { pattern: /[\u4E00-\u9FFF]/g, language: 'zh' },
+  { pattern: /[\uAC00-\uD7AF\u1100-\u11FF]/g, language: 'ko' },
+  { pattern: /[\u0600-\u06FF\u0750-\u077F]/g, language: 'ar' },
+  { pattern: /[\u0590-\u05FF]/g, language: 'he' },
+  { pattern: /[\u0400-\u04FF]/g, language: 'ru' },
+  { pattern: /[\u0370-\u03FF]/g, language: 'el' },
+  { pattern: /[\u0900-\u097F]/g, language: 'hi' },
+  { pattern: /[\u0980-\u09FF]/g, language: 'bn' },
+  { pattern: /[\u0E00-\u0E7F]/g, language: 'th' },
+  { pattern: /[a-zA-Z\u00C0-\u024F]/g, language: 'latin' },
+];
+
+// Common short words, used to tell Latin-script languages apart
+const LATIN_WORDS: Record<string, string[]> = {
+  en: ['the', 'and', 'is', 'are', 'was', 'of', 'to', 'in', 'that', 'it', 'with', 'for', 'this', 'not', 'have'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'es', 'por', 'con', 'una', 'del', 'para', 'no'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'que', 'une', 'du', 'dans', 'pour', 'pas', 'sur', 'qui'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'mit', 'den', 'von', 'zu', 'auf', 'sich', 'auch'],
+  pt: ['o', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'do', 'da', 'para', 'com', 'não', 'foi'],
+  it: ['il', 'lo', 'gli', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'non', 'con', 'del', 'della', 'sono'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'ook', 'maar'],
+  tr: ['bir', 've', 'bu', 'da', 'de', 'için', 'ile', 'çok', 'ne', 'değil', 'olarak', 'gibi', 'daha', 'ama', 'olan'],
+  id: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'dari', 'ada', 'akan', 'juga', 'ke', 'saya', 'sudah'],
+};
+
+function countMatches(text: string, pattern: RegExp): number {
+  return text.match(pattern)?.length || 0;
+}
+
+// Best guess at the language of a tweet, as an ISO 639-1 code. Non-Latin
+// scripts are recognised by their letters, Latin-script languages by their
+// most common words; English is assumed when nothing stands out.
+export function detectLanguage(text: string): string {
+  // Links, mentions and hashtags are not written in the tweet's language
+  const cleaned = text.replace(/https?:\/\/\S+|[@#]\w+/g, ' ');
+
+  let best = { language: 'latin', count: 0 };
+  SCRIPTS.forEach(({ pattern, language }) => {
+    const count = countMatches(cleaned, pattern);
+    if (count > best.count) best = { language, count };
+  });
+
+  // Han characters are also used in Japanese; any kana means Japanese
+  if (best.language === 'zh' && countMatches(cleaned, /[\u3040-\u30FF]/g) > 0) {
+    return 'ja';
+  }
+  // Letters only used by Urdu or Persian, not Arabic
+  if (best.language === 'ar') {
+    if (/[ٹڈڑںھے]/.test(cleaned)) return 'ur';
+    if (/[پچژکگی]/.test(cleaned)) return 'fa';
+  }
+  if (best.language === 'ru' && /[єіїґ]/.test(cleaned)) {
+    return 'uk';
+  }
+  if (best.language !== 'latin') {
+    return best.language;
+  }
+
+  const words = cleaned.toLowerCase().split(/[^a-z\u00C0-\u024F]+/).filter(Boolean);
+  let guess = { language: 'en', score: 0 };
+  Object.keys(LATIN_WORDS).forEach(language => {
+    const score = words.filter(word => LATIN_WORDS[language].includes(word)).length;
+    if (score > guess.score) guess = { language, score };
+  });
+  return guess.language;
+}
+
+// Fixed summaries of the claims pipeline, in each output language
+const SUMMARIES: Record<string, { noClaims: string; noIssues: string; someUnverifiable: string }> = {
+  en: {
+    noClaims: 'No checkable factual claims found',
+    noIssues: 'No factual issues detected',
+    someUnverifiable: 'No factual issues detected; {count} of {total} claim(s) could not be verified',
+  },
+  es: {
+    noClaims: 'No se encontraron afirmaciones verificables',
+    noIssues: 'No se detectaron errores factuales',
+    someUnverifiable: 'No se detectaron errores factuales; {count} de {total} afirmación(es) no se pudieron verificar',
+  },
+  fr: {
+    noClaims: 'Aucune affirmation vérifiable trouvée',
+    noIssues: 'Aucune erreur factuelle détectée',
+    someUnverifiable: 'Aucune erreur factuelle détectée ; {count} affirmation(s) sur {total} n\'ont pas pu être vérifiées',
+  },
+  de: {
+    noClaims: 'Keine überprüfbaren Tatsachenbehauptungen gefunden',
+    noIssues: 'Keine sachlichen Fehler gefunden',
+    someUnverifiable: 'Keine sachlichen Fehler gefunden; {count} von {total} Behauptung(en) konnten nicht überprüft werden',
+  },
+  pt: {
+    noClaims: 'Nenhuma afirmação verificável encontrada',
+    noIssues: 'Nenhum erro factual detectado',
+    someUnverifiable: 'Nenhum erro factual detectado; {count} de {total} afirmação(ões) não puderam ser verificadas',
+  },
+  ar: {
+    noClaims: 'لم يتم العثور على ادعاءات قابلة للتحقق',
+    noIssues: 'لم يتم رصد أخطاء في الحقائق',
+    someUnverifiable: 'لم يتم رصد أخطاء في الحقائق؛ تعذّر التحقق من {count} من أصل {total} ادعاءات',
+  },
+  ja: {
+    noClaims: '検証可能な事実の主張は見つかりませんでした',
+    noIssues: '事実誤りは検出されませんでした',
+    someUnverifiable: '事実誤りは検出されませんでした（{total}件中{count}件の主張は検証できませんでした）',
+  },
+  hi: {
+    noClaims: 'जाँचने योग्य कोई तथ्यात्मक दावा नहीं मिला',
+    noIssues: 'कोई तथ्यात्मक त्रुटि नहीं मिली',
+    someUnverifiable: 'कोई तथ्यात्मक त्रुटि नहीं मिली; {total} में से {count} दावों की पुष्टि नहीं हो सकी',
+  },
+};
+
+export function summaryText(
+  language: string,
+  key: 'noClaims' | 'noIssues' | 'someUnverifiable',
+  values: { count?: number; total?: number } = {}
+): string {
+  const template = (SUMMARIES[language] || SUMMARIES[DEFAULT_OUTPUT_LANGUAGE])[key];
+  return template.replace('{count}', String(values.count ?? '')).replace('{total}', String(values.total ?? ''));
+}
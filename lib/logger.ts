@@ -0,0 +1,169 @@
+// lib/logger.ts
+import { randomUUID } from 'crypto';
+import type { NextRequest } from 'next/server';
+import { activeTraceId, withSpan } from '@/lib/telemetry';
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+const LEVELS: Record<LogLevel | 'silent', number> = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Parts of a check that are timed: reading images, the shared cache, search
+// provider calls, chat model calls, parsing the model's output and saving
+// the check to the check store
+export type Stage = 'ocr' | 'cache' | 'search' | 'llm' | 'parse' | 'store';
+
+// Milliseconds spent in each stage. Calls made in parallel (claims, batch
+// items) add up, so the sum can exceed the request's wall-clock time.
+export type StageDurations = Partial<Record<Stage, number>>;
+
+// Longest tweet excerpt logged with LOG_CONTENT=truncate
+const TRUNCATED_CONTENT_LENGTH = 100;
+
+// Request ids accepted from the X-Request-Id header; anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+function minimumLevel(): number {
+  const level = process.env.LOG_LEVEL as LogLevel | 'silent' | undefined;
+  return LEVELS[level && level in LEVELS ? level : 'info'];
+}
+
+export function isLevelEnabled(level: LogLevel): boolean {
+  return LEVELS[level] >= minimumLevel();
+}
+
+// Tweet text, claims, queries and model output as they may appear in logs.
+// LOG_CONTENT is "redact" (default: only the length), "truncate" (the first
+// 100 characters) or "full".
+export function logContent(text: string): string {
+  switch (process.env.LOG_CONTENT) {
+    case 'full':
+      return text;
+    case 'truncate':
+      return text.length > TRUNCATED_CONTENT_LENGTH ? `${text.substring(0, TRUNCATED_CONTENT_LENGTH)}…` : text;
+    default:
+      return `[${text.length} chars]`;
+  }
+}
+
+// An error as a log field. Stack traces are only logged at LOG_LEVEL=debug.
+export function errorFields(error: unknown): { error: Record<string, unknown> } {
+  if (!(error instanceof Error)) {
+    return { error: { message: String(error) } };
+  }
+  return {
+    error: {
+      name: error.name,
+      message: error.message,
+      ...(isLevelEnabled('debug') && error.stack && { stack: error.stack }),
+    },
+  };
+}
+
+function write(level: LogLevel, message: string, fields: Record<string, unknown>) {
+  const entry: Record<string, unknown> = { time: new Date().toISOString(), level, msg: message, ...fields };
+  const traceId = activeTraceId();
+  if (traceId) entry.traceId = traceId;
+
+  let line: string;
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const { time, level: _, msg, requestId, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    line = `[${time}] ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}${extra}`;
+  } else {
+    line = JSON.stringify(entry);
+  }
+
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// Structured logger writing one JSON object per line (LOG_FORMAT=pretty for
+// a readable line instead). Children add fields to every entry and share the
+// parent's stage durations, so a request's total is collected in one place.
+export class Logger {
+  constructor(
+    private fields: Record<string, unknown> = {},
+    private durations: StageDurations = {}
+  ) {}
+
+  child(fields: Record<string, unknown>): Logger {
+    return new Logger({ ...this.fields, ...fields }, this.durations);
+  }
+
+  debug(message: string, fields: Record<string, unknown> = {}) {
+    this.log('debug', message, fields);
+  }
+
+  info(message: string, fields: Record<string, unknown> = {}) {
+    this.log('info', message, fields);
+  }
+
+  warn(message: string, fields: Record<string, unknown> = {}) {
+    this.log('warn', message, fields);
+  }
+
+  error(message: string, fields: Record<string, unknown> = {}) {
+    this.log('error', message, fields);
+  }
+
+  private log(level: LogLevel, message: string, fields: Record<string, unknown>) {
+    if (isLevelEnabled(level)) {
+      write(level, message, { ...this.fields, ...fields });
+    }
+  }
+
+  // Run an async step, adding its duration to `stage` and recording it as a
+  // span when OpenTelemetry is enabled
+  async time<T>(stage: Stage, fn: () => Promise<T>): Promise<T> {
+    const started = performance.now();
+    try {
+      return await withSpan(`factcheck.${stage}`, this.fields, fn);
+    } finally {
+      this.record(stage, performance.now() - started);
+    }
+  }
+
+  // Same for a synchronous step
+  timeSync<T>(stage: Stage, fn: () => T): T {
+    const started = performance.now();
+    try {
+      return fn();
+    } finally {
+      this.record(stage, performance.now() - started);
+    }
+  }
+
+  private record(stage: Stage, ms: number) {
+    this.durations[stage] = Math.round(((this.durations[stage] || 0) + ms) * 10) / 10;
+  }
+
+  get stageDurations(): StageDurations {
+    return { ...this.durations };
+  }
+}
+
+export function createLogger(fields: Record<string, unknown> = {}): Logger {
+  return new Logger(fields);
+}
+
+// The request's id: the caller's X-Request-Id when it is usable, so the
+// extension's logs and ours can be matched, otherwise a new one
+export function getRequestId(req: NextRequest): string {
+  const header = req.headers.get('x-request-id');
+  return header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+}
+
+// Logger for one API request, with its id and route on every entry
+export function requestLogger(req: NextRequest, route: string): { requestId: string; log: Logger } {
+  const requestId = getRequestId(req);
+  return { requestId, log: createLogger({ requestId, route }) };
+}
+
+// Server-Timing header value for the stage durations, shown in browser dev tools
+export function serverTiming(durations: StageDurations, totalMs: number): string {
+  const stages = (Object.keys(durations) as Stage[]).map(stage => `${stage};dur=${durations[stage]}`);
+  return [...stages, `total;dur=${Math.round(totalMs)}`].join(', ');
+}
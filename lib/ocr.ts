@@ -0,0 +1,149 @@
+// lib/ocr.ts
+import path from 'path';
+import { createWorker, OEM, Worker } from 'tesseract.js';
+import { errorFields, Logger } from '@/lib/logger';
+
+// Text read from one attached image
+export interface ImageText {
+  url: string;
+  // Whitespace-collapsed OCR output; empty when nothing legible was found
+  text: string;
+  // Tesseract's mean word confidence, 0-100
+  confidence: number;
+  error?: string;
+}
+
+// Most images read per check (a tweet has at most 4)
+export const MAX_IMAGES = 4;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10_000;
+// Time for downloading and reading all of a check's images, so OCR leaves
+// most of the route's 60 seconds to the check itself
+const DEFAULT_TIME_BUDGET_MS = 20_000;
+// Below this, OCR output is usually noise from a photo without text
+const MIN_CONFIDENCE = 40;
+const DEFAULT_ALLOWED_HOSTS = 'pbs.twimg.com';
+// English traineddata shipped with @tesseract.js-data/eng, so OCR works offline
+const DEFAULT_LANG_PATH = 'node_modules/@tesseract.js-data/eng/4.0.0_best_int';
+
+export function isOcrEnabled(): boolean {
+  return process.env.OCR_ENABLED !== 'false';
+}
+
+// Only fetch images from known media hosts over HTTPS, so clients cannot make
+// the server request arbitrary URLs
+export function isAllowedImageUrl(url: string): boolean {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const hosts = (process.env.OCR_ALLOWED_HOSTS || DEFAULT_ALLOWED_HOSTS)
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return parsed.protocol === 'https:' && hosts.includes(parsed.hostname.toLowerCase());
+}
+
+let worker: Promise<Worker> | null = null;
+
+// One shared worker per process; Tesseract queues recognize() calls itself
+function getWorker(): Promise<Worker> {
+  if (!worker) {
+    const langs = process.env.OCR_LANGS || 'eng';
+    worker = createWorker(langs.split('+'), OEM.LSTM_ONLY, {
+      langPath: path.resolve(process.env.OCR_LANG_PATH || DEFAULT_LANG_PATH),
+      gzip: true,
+      // Don't write traineddata copies into the working directory
+      cacheMethod: 'none',
+    });
+    // Let the next call retry if the worker failed to start
+    worker.catch(() => {
+      worker = null;
+    });
+  }
+  return worker;
+}
+
+function timeBudgetMs(): number {
+  const value = Number(process.env.OCR_TIME_BUDGET_MS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIME_BUDGET_MS;
+}
+
+// The body is read chunk by chunk and dropped past MAX_IMAGE_BYTES, as
+// content-length may be missing or wrong
+async function downloadImage(url: string, budget: AbortSignal): Promise<Buffer> {
+  const response = await fetch(url, {
+    signal: AbortSignal.any([budget, AbortSignal.timeout(FETCH_TIMEOUT_MS)]),
+    // A redirect could lead off the allowed hosts
+    redirect: 'error',
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  if (!response.headers.get('content-type')?.startsWith('image/')) {
+    throw new Error(`Not an image (${response.headers.get('content-type') || 'no content type'})`);
+  }
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+    throw new Error('Image too large');
+  }
+  if (!response.body) {
+    throw new Error('Empty response');
+  }
+
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    size += chunk.value.length;
+    if (size > MAX_IMAGE_BYTES) {
+      await reader.cancel();
+      throw new Error('Image too large');
+    }
+    chunks.push(chunk.value);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Tesseract can't stop a recognize() call, so one that runs out of time
+// finishes in the background and its text is dropped
+async function recognizeWithin(image: Buffer, budget: AbortSignal) {
+  let onAbort = () => {};
+  return Promise.race([
+    getWorker().then(worker => worker.recognize(image)),
+    new Promise<never>((_, reject) => {
+      onAbort = () => reject(new Error('Not read within the OCR time budget'));
+      if (budget.aborted) onAbort();
+      budget.addEventListener('abort', onAbort);
+    }),
+  ]).finally(() => budget.removeEventListener('abort', onAbort));
+}
+
+// Download and OCR each image in turn, within OCR_TIME_BUDGET_MS for them
+// all. An image that fails to download or read, or that the budget doesn't
+// reach, comes back with empty text and an `error`, without failing the check.
+export async function readImages(urls: string[], log: Logger): Promise<ImageText[]> {
+  const results: ImageText[] = [];
+  // One timer for all images: once it cuts an image short, the rest are skipped
+  const budget = AbortSignal.timeout(timeBudgetMs());
+
+  for (let index = 0; index < urls.length; index++) {
+    const url = urls[index];
+    try {
+      if (budget.aborted) {
+        throw new Error('Skipped, the OCR time budget was spent');
+      }
+      const image = await downloadImage(url, budget);
+      const { data } = await recognizeWithin(image, budget);
+      const text = data.confidence >= MIN_CONFIDENCE ? data.text.replace(/\s+/g, ' ').trim() : '';
+      log.info('Image read', { image: index + 1, characters: text.length, confidence: Math.round(data.confidence) });
+      results.push({ url, text, confidence: data.confidence });
+    } catch (error: any) {
+      log.error('OCR failed', { image: index + 1, ...errorFields(error) });
+      results.push({ url, text: '', confidence: 0, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,19 @@
+// lib/otel.ts
+import { NodeSDK } from '@opentelemetry/sdk-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { createLogger } from '@/lib/logger';
+
+// Export traces over OTLP/HTTP. The exporter reads the endpoint and headers
+// from the standard OTEL_EXPORTER_OTLP_* variables.
+export function startTelemetry() {
+  const sdk = new NodeSDK({
+    serviceName: process.env.OTEL_SERVICE_NAME || 'twitter-fact-checker',
+    traceExporter: new OTLPTraceExporter(),
+  });
+  sdk.start();
+  createLogger({ component: 'telemetry' }).info('OpenTelemetry tracing enabled');
+
+  process.once('SIGTERM', () => {
+    sdk.shutdown().finally(() => process.exit(0));
+  });
+}
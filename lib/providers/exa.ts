@@ -0,0 +1,50 @@
+// lib/providers/exa.ts
+import Exa from 'exa-js';
+import type { SearchProvider, Source } from './types';
+
+// Max characters of source text passed to the model and returned as a snippet
+const SNIPPET_LENGTH = 300;
+
+// Exa's /answer endpoint, streamed so sources can be reported as they arrive
+export class ExaSearchProvider implements SearchProvider {
+  name = 'exa';
+  private exa: Exa;
+
+  constructor(apiKey: string) {
+    this.exa = new Exa(apiKey);
+  }
+
+  async answer(query: string, onSources?: (sources: Source[]) => void) {
+    let answer = '';
+    const sources: Source[] = [];
+    const stream = this.exa.streamAnswer(query, { text: true });
+
+    // Collect the streamed answer text and the citations backing it
+    for await (const chunk of stream) {
+      if (chunk.content) {
+        answer += chunk.content;
+      }
+      const added: Source[] = [];
+      for (const citation of chunk.citations || []) {
+        if (sources.some(source => source.url === citation.url)) continue;
+        const source = {
+          url: citation.url,
+          title: citation.title || citation.url,
+          snippet: (citation.text || '').replace(/\s+/g, ' ').trim().substring(0, SNIPPET_LENGTH),
+        };
+        sources.push(source);
+        added.push(source);
+      }
+      if (added.length > 0) {
+        onSources?.(added);
+      }
+    }
+
+    return { answer, sources };
+  }
+
+  // A one-result search, much cheaper than an answer
+  async probe() {
+    await this.exa.search('fact check', { numResults: 1 });
+  }
+}
@@ -0,0 +1,137 @@
+// lib/providers/index.ts
+import { ExaSearchProvider } from './exa';
+import { MockChatProvider, MockSearchProvider } from './mock';
+import { OpenAICompatibleChatProvider } from './openai-compatible';
+import type { ChatProvider, SearchProvider } from './types';
+
+export * from './types';
+export { ExaSearchProvider } from './exa';
+export { MockChatProvider, MockSearchProvider } from './mock';
+export { OpenAICompatibleChatProvider } from './openai-compatible';
+export * from './replay';
+
+export const SEARCH_PROVIDERS = ['exa', 'mock'] as const;
+export const CHAT_PROVIDERS = ['openrouter', 'openai', 'ollama', 'openai-compatible', 'mock'] as const;
+
+const DEFAULT_MODELS: Record<string, string> = {
+  openrouter: 'openai/gpt-4.1',
+  openai: 'gpt-4.1',
+  ollama: 'llama3.1',
+};
+
+export interface Providers {
+  search: SearchProvider;
+  chat: ChatProvider;
+  // True when a per-request override changed the configured providers
+  overridden?: boolean;
+}
+
+// Provider selection sent by a client; each field falls back to the server config
+export interface ProviderOverrides {
+  search?: string;
+  chat?: string;
+  model?: string;
+}
+
+type OverridesInput =
+  | { ok: true; overrides?: ProviderOverrides }
+  | { ok: false; error: string };
+
+// Validate a request's `providers`. Checked even when overrides are not
+// allowed (and then ignored), so a client learns its request is malformed.
+export function validateProviderOverrides(raw: unknown): OverridesInput {
+  if (raw === undefined || raw === null) return { ok: true };
+  const error = `"providers" must be an object with optional "search" (${SEARCH_PROVIDERS.join(', ')}), "chat" (${CHAT_PROVIDERS.join(', ')}) and "model" (a model name)`;
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error };
+
+  const { search, chat, model } = raw as Record<string, unknown>;
+  if (search !== undefined && !SEARCH_PROVIDERS.includes(search as typeof SEARCH_PROVIDERS[number])) return { ok: false, error };
+  if (chat !== undefined && !CHAT_PROVIDERS.includes(chat as typeof CHAT_PROVIDERS[number])) return { ok: false, error };
+  if (model !== undefined && (typeof model !== 'string' || !model.trim() || model.length > 200)) return { ok: false, error };
+
+  return {
+    ok: true,
+    overrides: {
+      ...(search !== undefined && { search: search as string }),
+      ...(chat !== undefined && { chat: chat as string }),
+      ...(model !== undefined && { model: model as string }),
+    },
+  };
+}
+
+// Thrown for unknown provider names or providers missing their configuration.
+// Overrides are validated first, so this is the server's misconfiguration.
+export class ProviderConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ProviderConfigError';
+  }
+}
+
+export function createSearchProvider(name: string): SearchProvider {
+  switch (name) {
+    case 'exa':
+      if (!process.env.EXA_API_KEY) throw new ProviderConfigError('EXA_API_KEY is not set');
+      return new ExaSearchProvider(process.env.EXA_API_KEY);
+    case 'mock':
+      return new MockSearchProvider();
+    default:
+      throw new ProviderConfigError(`Unknown search provider "${name}" (expected one of: ${SEARCH_PROVIDERS.join(', ')})`);
+  }
+}
+
+export function createChatProvider(name: string, model?: string): ChatProvider {
+  const chosenModel = model || process.env.CHAT_MODEL || DEFAULT_MODELS[name];
+
+  switch (name) {
+    case 'openrouter':
+      if (!process.env.OPENROUTER_API_KEY) throw new ProviderConfigError('OPENROUTER_API_KEY is not set');
+      return new OpenAICompatibleChatProvider({
+        name,
+        baseURL: 'https://openrouter.ai/api/v1',
+        apiKey: process.env.OPENROUTER_API_KEY,
+        model: chosenModel,
+      });
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) throw new ProviderConfigError('OPENAI_API_KEY is not set');
+      return new OpenAICompatibleChatProvider({
+        name,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: chosenModel,
+      });
+    case 'ollama':
+      return new OpenAICompatibleChatProvider({
+        name,
+        baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: 'ollama',
+        model: chosenModel,
+      });
+    case 'openai-compatible':
+      if (!process.env.CHAT_BASE_URL) throw new ProviderConfigError('CHAT_BASE_URL is not set');
+      if (!chosenModel) throw new ProviderConfigError('CHAT_MODEL is not set');
+      return new OpenAICompatibleChatProvider({
+        name,
+        baseURL: process.env.CHAT_BASE_URL,
+        apiKey: process.env.CHAT_API_KEY || 'none',
+        model: chosenModel,
+        jsonMode: process.env.CHAT_JSON_MODE !== 'false',
+      });
+    case 'mock':
+      return new MockChatProvider();
+    default:
+      throw new ProviderConfigError(`Unknown chat provider "${name}" (expected one of: ${CHAT_PROVIDERS.join(', ')})`);
+  }
+}
+
+// Resolve the providers for one check from server config plus optional
+// per-request overrides (ignored unless ALLOW_PROVIDER_OVERRIDE=true)
+export function resolveProviders(overrides?: ProviderOverrides): Providers {
+  const allowOverride = process.env.ALLOW_PROVIDER_OVERRIDE === 'true';
+  const requested = allowOverride ? overrides || {} : {};
+
+  return {
+    search: createSearchProvider(requested.search || process.env.SEARCH_PROVIDER || 'exa'),
+    chat: createChatProvider(requested.chat || process.env.CHAT_PROVIDER || 'openrouter', requested.model),
+    overridden: Boolean(requested.search || requested.chat || requested.model),
+  };
+}
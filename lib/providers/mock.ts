@@ -0,0 +1,48 @@
+// lib/providers/mock.ts
+import type { ChatProvider, ChatRequest, SearchAnswer, SearchProvider, Source } from './types';
+
+// Deterministic search provider for offline runs and tests. Returns the
+// answer it was built with, or a fixed "no sources" answer.
+export class MockSearchProvider implements SearchProvider {
+  name = 'mock';
+  queries: string[] = [];
+
+  constructor(private response: SearchAnswer | ((query: string) => SearchAnswer) = {
+    answer: 'No external sources consulted (mock search provider).',
+    sources: [],
+  }) {}
+
+  async answer(query: string, onSources?: (sources: Source[]) => void) {
+    this.queries.push(query);
+    const response = typeof this.response === 'function' ? this.response(query) : this.response;
+    if (response.sources.length > 0) {
+      onSources?.(response.sources);
+    }
+    return response;
+  }
+
+  async probe() {}
+}
+
+// Deterministic chat provider for offline runs and tests. Replies with the
+// given JSON (or the result of calling it with the request), and records
+// every request it receives.
+export class MockChatProvider implements ChatProvider {
+  name = 'mock';
+  model = 'mock';
+  requests: ChatRequest[] = [];
+
+  constructor(private reply: object | string | ((request: ChatRequest) => object | string) = {
+    hasIssues: false,
+    claims: [],
+    summary: 'No factual issues detected',
+  }) {}
+
+  async completeJson(request: ChatRequest) {
+    this.requests.push(request);
+    const reply = typeof this.reply === 'function' ? this.reply(request) : this.reply;
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  }
+
+  async probe() {}
+}
@@ -0,0 +1,51 @@
+// lib/providers/openai-compatible.ts
+import OpenAI from 'openai';
+import type { ChatProvider, ChatRequest } from './types';
+
+interface OpenAICompatibleOptions {
+  name: string;
+  baseURL?: string;
+  apiKey: string;
+  model: string;
+  // Local servers such as Ollama may not support `response_format`
+  jsonMode?: boolean;
+}
+
+// Any server speaking the OpenAI chat completions API: OpenRouter, OpenAI,
+// Ollama, llama.cpp, vLLM, LM Studio...
+export class OpenAICompatibleChatProvider implements ChatProvider {
+  name: string;
+  model: string;
+  private client: OpenAI;
+  private jsonMode: boolean;
+
+  constructor({ name, baseURL, apiKey, model, jsonMode = true }: OpenAICompatibleOptions) {
+    this.name = name;
+    this.model = model;
+    this.jsonMode = jsonMode;
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  async completeJson({ system, user, temperature = 0.3 }: ChatRequest) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ],
+      temperature,
+      ...(this.jsonMode ? { response_format: { type: 'json_object' as const } } : {}),
+    });
+
+    return completion.choices[0].message.content || '{}';
+  }
+
+  // A one-token completion, so the key and the model are both checked
+  async probe() {
+    await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: 'user', content: 'ping' }],
+      max_tokens: 1,
+    });
+  }
+}
@@ -0,0 +1,109 @@
+// lib/providers/replay.ts
+import { createHash } from 'crypto';
+import type { ChatProvider, ChatRequest, SearchAnswer, SearchProvider, Source } from './types';
+
+// Provider responses saved by the recording providers, keyed by a hash of
+// the request. `ms` is how long the real provider took.
+export interface Cassette {
+  // The real providers the responses came from
+  providers?: { search: string; chat: string; model: string };
+  search: Record<string, { query: string; response: SearchAnswer; ms: number }>;
+  chat: Record<string, { request: ChatRequest; response: string; ms: number }>;
+}
+
+export function emptyCassette(): Cassette {
+  return { search: {}, chat: {} };
+}
+
+// Thrown when a replayed request was never recorded, usually because a
+// prompt or the dataset changed since the cassette was made
+export class ReplayMissError extends Error {
+  constructor(kind: 'search' | 'chat', detail: string) {
+    super(`No recorded ${kind} response for ${detail.substring(0, 120)}; record the cassette again`);
+    this.name = 'ReplayMissError';
+  }
+}
+
+function searchKey(query: string): string {
+  return createHash('sha256').update(query).digest('hex');
+}
+
+function chatKey({ system, user, temperature }: ChatRequest): string {
+  return createHash('sha256').update(`${temperature ?? ''}\n${system}\n${user}`).digest('hex');
+}
+
+// Time the recorded providers would have spent on the calls made so far
+export interface ProviderTimer {
+  providerMs: number;
+}
+
+// Passes queries to a real search provider and records its answers
+export class RecordingSearchProvider implements SearchProvider, ProviderTimer {
+  name: string;
+  providerMs = 0;
+
+  constructor(private inner: SearchProvider, private cassette: Cassette) {
+    this.name = inner.name;
+  }
+
+  async answer(query: string, onSources?: (sources: Source[]) => void) {
+    const started = Date.now();
+    const response = await this.inner.answer(query, onSources);
+    const ms = Date.now() - started;
+    this.providerMs += ms;
+    this.cassette.search[searchKey(query)] = { query, response, ms };
+    return response;
+  }
+}
+
+// Passes requests to a real chat provider and records its replies
+export class RecordingChatProvider implements ChatProvider, ProviderTimer {
+  name: string;
+  model: string;
+  providerMs = 0;
+
+  constructor(private inner: ChatProvider, private cassette: Cassette) {
+    this.name = inner.name;
+    this.model = inner.model;
+  }
+
+  async completeJson(request: ChatRequest) {
+    const started = Date.now();
+    const response = await this.inner.completeJson(request);
+    const ms = Date.now() - started;
+    this.providerMs += ms;
+    this.cassette.chat[chatKey(request)] = { request, response, ms };
+    return response;
+  }
+}
+
+// Answers from a cassette without touching the network
+export class ReplaySearchProvider implements SearchProvider, ProviderTimer {
+  providerMs = 0;
+
+  constructor(public name: string, private cassette: Cassette) {}
+
+  async answer(query: string, onSources?: (sources: Source[]) => void) {
+    const recorded = this.cassette.search[searchKey(query)];
+    if (!recorded) throw new ReplayMissError('search', `query "${query}"`);
+    this.providerMs += recorded.ms;
+    if (recorded.response.sources.length > 0) {
+      onSources?.(recorded.response.sources);
+    }
+    return recorded.response;
+  }
+}
+
+// Replies from a cassette without touching the network
+export class ReplayChatProvider implements ChatProvider, ProviderTimer {
+  providerMs = 0;
+
+  constructor(public name: string, public model: string, private cassette: Cassette) {}
+
+  async completeJson(request: ChatRequest) {
+    const recorded = this.cassette.chat[chatKey(request)];
+    if (!recorded) throw new ReplayMissError('chat', `prompt "${request.user}"`);
+    this.providerMs += recorded.ms;
+    return recorded.response;
+  }
+}
@@ -0,0 +1,37 @@
+// lib/providers/types.ts
+
+export interface Source {
+  url: string;
+  title: string;
+  snippet: string;
+}
+
+export interface SearchAnswer {
+  answer: string;
+  sources: Source[];
+}
+
+// Answers a fact-check query from external sources. `onSources` is called
+// with newly found sources as they arrive, for providers that stream.
+export interface SearchProvider {
+  name: string;
+  answer(query: string, onSources?: (sources: Source[]) => void): Promise<SearchAnswer>;
+  // Cheapest call that proves the provider is reachable and the key works;
+  // used by the health endpoint's deep probe
+  probe?(): Promise<void>;
+}
+
+export interface ChatRequest {
+  system: string;
+  user: string;
+  temperature?: number;
+}
+
+// Produces a JSON object (as a string) from a system + user prompt
+export interface ChatProvider {
+  name: string;
+  model: string;
+  completeJson(request: ChatRequest): Promise<string>;
+  // Cheapest call that proves the model is reachable and the key works
+  probe?(): Promise<void>;
+}
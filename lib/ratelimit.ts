@@ -0,0 +1,221 @@
+// lib/ratelimit.ts
+import { NextRequest, NextResponse } from 'next/server';
+import type { ApiKey } from '@/lib/auth';
+import { createLogger } from '@/lib/logger';
+
+// Buckets kept at most; past this the least recently used are dropped
+const MAX_TRACKED_BUCKETS = 10000;
+// How often refilled buckets and past days' counters are swept
+const PRUNE_INTERVAL_MS = 60000;
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+interface BucketConfig {
+  // Tokens added per minute
+  perMinute: number;
+  // Bucket size: the most requests allowed in a burst
+  burst: number;
+}
+
+export interface QuotaUsage {
+  client: string;
+  used: number;
+  limit: number | null;
+}
+
+export type RateLimitResult =
+  | { ok: true; headers: Record<string, string> }
+  | { ok: false; response: NextResponse };
+
+const buckets = new Map<string, Bucket>();
+// Daily check counts per client, keyed by "<YYYY-MM-DD>|<client>"
+const dailyUsage = new Map<string, number>();
+let lastPruned = 0;
+let warnedNoClientIp = false;
+
+const log = createLogger({ component: 'ratelimit' });
+
+function readNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function keyBucketConfig(): BucketConfig {
+  return {
+    perMinute: readNumber('RATE_LIMIT_KEY_PER_MINUTE', 60),
+    burst: readNumber('RATE_LIMIT_KEY_BURST', 40),
+  };
+}
+
+function ipBucketConfig(): BucketConfig {
+  return {
+    perMinute: readNumber('RATE_LIMIT_IP_PER_MINUTE', 20),
+    // Room for one full batch (20 tweets)
+    burst: readNumber('RATE_LIMIT_IP_BURST', 20),
+  };
+}
+
+// 0 or unset means no daily quota
+function dailyQuota(): number | null {
+  const quota = readNumber('DAILY_QUOTA', 0);
+  return quota > 0 ? quota : null;
+}
+
+function today(): string {
+  return new Date().toISOString().substring(0, 10);
+}
+
+// Seconds until the next UTC midnight, when daily quotas reset
+function secondsUntilReset(): number {
+  const now = new Date();
+  const reset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((reset - now.getTime()) / 1000);
+}
+
+// Proxies in front of the server whose X-Forwarded-For entries are trusted:
+// TRUST_PROXY=true for one, or the number of hops. Unset, none are.
+function trustedProxyHops(): number {
+  const value = (process.env.TRUST_PROXY || '').trim().toLowerCase();
+  if (value === 'true') return 1;
+  const hops = Number(value);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+// The client's address. Forwarding headers are only read behind a trusted
+// proxy, since any client can send them; each proxy appends the address it
+// saw, so the client is the entry added by the outermost trusted proxy.
+// Otherwise it is the address the platform reports, if any: a bare
+// `next start` reports none.
+export function findClientIp(req: NextRequest): string | undefined {
+  const hops = trustedProxyHops();
+  if (hops > 0) {
+    const forwarded = (req.headers.get('x-forwarded-for') || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const client = forwarded.length > 0 ? forwarded[Math.max(0, forwarded.length - hops)] : req.headers.get('x-real-ip')?.trim();
+    if (client) return client;
+  }
+  return req.ip || undefined;
+}
+
+// The client's address for logs
+export function getClientIp(req: NextRequest): string {
+  return findClientIp(req) || 'unknown';
+}
+
+// Refill a bucket for the time elapsed since it was last used
+function refill(id: string, config: BucketConfig, now: number): Bucket {
+  const bucket = buckets.get(id) || { tokens: config.burst, updatedAt: now };
+  const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+  bucket.tokens = Math.min(config.burst, bucket.tokens + elapsedMinutes * config.perMinute);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+// Seconds until `bucket` holds `cost` tokens
+function secondsUntilAvailable(bucket: Bucket, config: BucketConfig, cost: number): number {
+  if (config.perMinute === 0 || cost > config.burst) return Infinity;
+  return Math.max(1, Math.ceil(((cost - bucket.tokens) / config.perMinute) * 60));
+}
+
+// Every PRUNE_INTERVAL_MS, drop buckets that have refilled (a full bucket is
+// the same as none) and counters from previous days. Past MAX_TRACKED_BUCKETS,
+// the least recently used buckets go too.
+function prune(now: number) {
+  if (now - lastPruned >= PRUNE_INTERVAL_MS) {
+    lastPruned = now;
+    buckets.forEach((bucket, id) => {
+      const config = id.startsWith('ip:') ? ipBucketConfig() : keyBucketConfig();
+      if (refill(id, config, now).tokens >= config.burst) buckets.delete(id);
+    });
+    const prefix = `${today()}|`;
+    dailyUsage.forEach((used, usageKey) => {
+      if (!usageKey.startsWith(prefix)) dailyUsage.delete(usageKey);
+    });
+  }
+
+  // Buckets are re-inserted on use, so the first ones are the least recently used
+  const oldest = buckets.keys();
+  while (buckets.size > MAX_TRACKED_BUCKETS) buckets.delete(oldest.next().value as string);
+}
+
+function tooManyRequests(error: string, retryAfter: number, headers: Record<string, string>): RateLimitResult {
+  return {
+    ok: false,
+    response: NextResponse.json({ error, retryAfter }, {
+      status: 429,
+      headers: { ...headers, 'Retry-After': String(retryAfter) },
+    }),
+  };
+}
+
+// Take `cost` checks from the caller's bucket: the API key's, or the IP
+// address's for keyless requests. Also enforces DAILY_QUOTA for the same
+// client. Keyless requests from an unknown address are not limited, rather
+// than all sharing one bucket.
+export function checkRateLimit(req: NextRequest, key: ApiKey | null, cost: number, headers: Record<string, string>): RateLimitResult {
+  const now = Date.now();
+  prune(now);
+
+  const ip = findClientIp(req);
+  if (!key && !ip) {
+    if (!warnedNoClientIp) {
+      log.warn('Client IP unknown - keyless requests are not rate limited; set TRUST_PROXY behind a proxy, or API_KEYS');
+      warnedNoClientIp = true;
+    }
+    return { ok: true, headers: {} };
+  }
+
+  const client = key ? `key:${key.name}` : `ip:${ip}`;
+  const config = key ? keyBucketConfig() : ipBucketConfig();
+  const label = key ? 'API key' : 'IP address';
+  const quota = dailyQuota();
+  const usageKey = `${today()}|${client}`;
+  const used = dailyUsage.get(usageKey) || 0;
+
+  if (quota !== null && used + cost > quota) {
+    return tooManyRequests(`Daily quota of ${quota} checks exceeded`, secondsUntilReset(), {
+      ...headers,
+      'X-Quota-Limit': String(quota),
+      'X-Quota-Remaining': String(Math.max(0, quota - used)),
+    });
+  }
+
+  const bucket = refill(client, config, now);
+  buckets.delete(client);
+  buckets.set(client, bucket);
+  if (bucket.tokens < cost) {
+    const retryAfter = secondsUntilAvailable(bucket, config, cost);
+    if (retryAfter === Infinity) {
+      return tooManyRequests(`Request needs ${cost} checks but the ${label} limit allows ${config.burst} at once`, 60, headers);
+    }
+    return tooManyRequests(`Rate limit exceeded for this ${label}`, retryAfter, headers);
+  }
+
+  bucket.tokens -= cost;
+  dailyUsage.set(usageKey, used + cost);
+
+  const limitHeaders: Record<string, string> = {
+    'X-RateLimit-Limit': String(config.burst),
+    'X-RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+  };
+  if (quota !== null) {
+    limitHeaders['X-Quota-Limit'] = String(quota);
+    limitHeaders['X-Quota-Remaining'] = String(quota - used - cost);
+  }
+
+  return { ok: true, headers: limitHeaders };
+}
+
+// Today's usage per client, busiest first
+export function getDailyUsage(): QuotaUsage[] {
+  const prefix = `${today()}|`;
+  const usage: QuotaUsage[] = [];
+  dailyUsage.forEach((used, usageKey) => {
+    if (usageKey.startsWith(prefix)) {
+      usage.push({ client: usageKey.substring(prefix.length), used, limit: dailyQuota() });
+    }
+  });
+  return usage.sort((a, b) => b.used - a.used);
+}
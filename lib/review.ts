@@ -0,0 +1,228 @@
+// lib/review.ts
+import { getCheckStore, StoredCheck } from '@/lib/checks';
+import { Claim, FactCheckResult, relocateClaims } from '@/lib/factcheck';
+import { createLogger, errorFields } from '@/lib/logger';
+
+const MAX_NOTE_LENGTH = 1000;
+const MAX_SUMMARY_LENGTH = 2000;
+const MAX_CORRECTION_LENGTH = 500;
+const MAX_REVIEWER_LENGTH = 100;
+const REJECTED_SUMMARY = 'A reviewer found no errors in this post.';
+
+const log = createLogger({ component: 'review' });
+
+// "confirmed": served as the model wrote it. "edited": served with the
+// reviewer's claims and summary. "rejected": served as having no issues.
+export type ReviewStatus = 'confirmed' | 'edited' | 'rejected';
+
+export const REVIEW_STATUSES: ReviewStatus[] = ['confirmed', 'edited', 'rejected'];
+
+// A reviewer's decision on a check. Covers every run of it (its checkId),
+// including re-checks after the cached result expires.
+export interface Review {
+  checkId: string;
+  status: ReviewStatus;
+  // The verdict as approved; served instead of the model's
+  result: FactCheckResult;
+  // The stored run the reviewer saw
+  recordId: string;
+  reviewer?: string;
+  note?: string;
+  reviewedAt: string;
+}
+
+// What served results say about their review. "pending": flagged, not yet
+// reviewed, and withheld because REVIEW_REQUIRED is set.
+export interface ReviewState {
+  status: ReviewStatus | 'pending';
+  reviewer?: string;
+  reviewedAt?: string;
+}
+
+// With REVIEW_REQUIRED=true, flagged results are only served once reviewed
+export function isReviewRequired(): boolean {
+  return process.env.REVIEW_REQUIRED === 'true';
+}
+
+type ReviewInput =
+  | {
+      ok: true;
+      recordId: string;
+      status: ReviewStatus;
+      // Edited: which of the run's claims to keep (indexes into its claims) and their corrections
+      claims?: { index: number; correction: string }[];
+      summary?: string;
+      note?: string;
+      reviewer?: string;
+    }
+  | { ok: false; error: string };
+
+// Validate a POST /api/admin/reviews body
+export function validateReview(body: any): ReviewInput {
+  if (typeof body?.recordId !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(body.recordId)) {
+    return { ok: false, error: '"recordId" must be the id of a stored check' };
+  }
+  if (!REVIEW_STATUSES.includes(body.status)) {
+    return { ok: false, error: `"status" must be one of ${REVIEW_STATUSES.join(', ')}` };
+  }
+
+  let claims: { index: number; correction: string }[] | undefined;
+  if (body.status === 'edited') {
+    const error = '"claims" must list the claims to keep, as { index, correction }';
+    if (!Array.isArray(body.claims)) return { ok: false, error };
+    const valid = body.claims.every((claim: any) =>
+      Number.isInteger(claim?.index) && claim.index >= 0 &&
+      typeof claim.correction === 'string' && claim.correction.trim() && claim.correction.length <= MAX_CORRECTION_LENGTH
+    );
+    if (!valid) return { ok: false, error };
+    claims = body.claims.map((claim: any) => ({ index: claim.index, correction: claim.correction.trim() }));
+  }
+
+  if (body.summary !== undefined && (typeof body.summary !== 'string' || body.summary.length > MAX_SUMMARY_LENGTH)) {
+    return { ok: false, error: `"summary" must be a string of at most ${MAX_SUMMARY_LENGTH} characters` };
+  }
+  if (body.note !== undefined && (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH)) {
+    return { ok: false, error: `"note" must be a string of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  if (body.reviewer !== undefined && (typeof body.reviewer !== 'string' || body.reviewer.length > MAX_REVIEWER_LENGTH)) {
+    return { ok: false, error: `"reviewer" must be a string of at most ${MAX_REVIEWER_LENGTH} characters` };
+  }
+
+  return {
+    ok: true,
+    recordId: body.recordId,
+    status: body.status,
+    ...(claims && { claims }),
+    ...(body.summary?.trim() && { summary: body.summary.trim() }),
+    ...(body.note?.trim() && { note: body.note.trim() }),
+    ...(body.reviewer?.trim() && { reviewer: body.reviewer.trim() }),
+  };
+}
+
+// The verdict a review approves, built from the run the reviewer saw. Refuted
+// verdicts follow the claims they produced: dropped with them, or given the
+// reviewer's correction.
+export function reviewedResult(original: FactCheckResult, input: Extract<ReviewInput, { ok: true }>): FactCheckResult {
+  const { cached, cachedAt, recordId, review, disputed, ...result } = original;
+  if (input.status === 'confirmed') return result;
+
+  let claims: Claim[] = [];
+  if (input.status === 'edited') {
+    const seen = new Set<number>();
+    claims = (input.claims || []).flatMap(({ index, correction }) => {
+      if (index >= original.claims.length || seen.has(index)) {
+        throw new RangeError(`Claim ${index} is not one of the check's ${original.claims.length} claims`);
+      }
+      seen.add(index);
+      return [{ ...original.claims[index], correction }];
+    });
+  }
+
+  return {
+    ...result,
+    hasIssues: claims.length > 0,
+    claims,
+    incorrect: claims.map(claim => claim.incorrect),
+    corrections: claims.map(claim => claim.correction),
+    verdicts: original.verdicts.flatMap(verdict => {
+      if (verdict.verdict !== 'refuted' || !verdict.quote) return [verdict];
+      const kept = claims.find(claim => claim.incorrect === verdict.quote && claim.part === verdict.part);
+      return kept ? [{ ...verdict, correction: kept.correction }] : [];
+    }),
+    summary: input.summary || (input.status === 'rejected' ? REJECTED_SUMMARY : original.summary),
+  };
+}
+
+// A result as it may be served: replaced by its review's verdict, or, with
+// REVIEW_REQUIRED, withheld while a flagged result awaits review
+export function servedResult(result: FactCheckResult, review: Review | null | undefined): FactCheckResult {
+  if (review) {
+    return {
+      ...review.result,
+      ...(result.cached !== undefined && { cached: result.cached }),
+      ...(result.cachedAt && { cachedAt: result.cachedAt }),
+      ...(result.checkId && { checkId: result.checkId }),
+      ...(result.recordId && { recordId: result.recordId }),
+      ...(result.disputed && { disputed: true }),
+      review: {
+        status: review.status,
+        reviewedAt: review.reviewedAt,
+        ...(review.reviewer && { reviewer: review.reviewer }),
+      },
+    };
+  }
+  if (isReviewRequired() && result.hasIssues && result.checkId) {
+    return {
+      ...result,
+      hasIssues: false,
+      incorrect: [],
+      corrections: [],
+      claims: [],
+      verdicts: [],
+      sources: [],
+      summary: 'This post was flagged and is waiting for a reviewer.',
+      exaAnalysis: '',
+      review: { status: 'pending' },
+    };
+  }
+  return result;
+}
+
+// A stored run's result as served. A review's result comes from the run the
+// reviewer saw, so its claims are located again in this run's text.
+export function servedCheckResult(check: StoredCheck): FactCheckResult {
+  const result = servedResult(check.result, check.review);
+  return check.review ? relocateClaims(result, check.text, check.context) : result;
+}
+
+// Look up the review of a result that is about to be served. If the lookup
+// fails while reviews are required, the result is withheld.
+export async function reviewBeforeServing(result: FactCheckResult): Promise<FactCheckResult> {
+  if (!result.checkId) return result;
+  try {
+    const review = await getCheckStore()?.getReview(result.checkId);
+    return servedResult(result, review);
+  } catch (error) {
+    log.error('Could not read review', { checkId: result.checkId, ...errorFields(error) });
+    return servedResult(result, null);
+  }
+}
+
+// A review that cannot be saved; `status` is the HTTP status to answer with
+export class ReviewError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'ReviewError';
+  }
+}
+
+// Save a reviewer's decision on a stored run, replacing any earlier review of the check
+export async function recordReview(input: Extract<ReviewInput, { ok: true }>): Promise<Review> {
+  const store = getCheckStore();
+  if (!store) throw new ReviewError('Reviews need a check store (CHECK_STORE is "none")', 404);
+
+  const check = await store.get(input.recordId);
+  if (!check) throw new ReviewError('Check not found', 404);
+  if (!check.checkId) throw new ReviewError('Checks run with provider overrides are not served to others, so they cannot be reviewed', 409);
+
+  let result: FactCheckResult;
+  try {
+    result = reviewedResult(check.result, input);
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+    throw new ReviewError(error.message, 400);
+  }
+
+  const review: Review = {
+    checkId: check.checkId,
+    status: input.status,
+    result,
+    recordId: check.id,
+    ...(input.reviewer && { reviewer: input.reviewer }),
+    ...(input.note && { note: input.note }),
+    reviewedAt: new Date().toISOString(),
+  };
+  await store.setReview(review);
+  log.info('Check reviewed', { checkId: review.checkId, recordId: review.recordId, status: review.status, claims: result.claims.length });
+  return review;
+}
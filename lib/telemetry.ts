@@ -0,0 +1,40 @@
+// lib/telemetry.ts
+import { Attributes, SpanStatusCode, trace } from '@opentelemetry/api';
+
+// Spans go through the OpenTelemetry API, which does nothing until
+// instrumentation.ts starts the SDK (OTEL_EXPORTER_OTLP_ENDPOINT is set)
+const tracer = trace.getTracer('twitter-fact-checker');
+
+export function isTelemetryEnabled(): boolean {
+  return !!process.env.OTEL_EXPORTER_OTLP_ENDPOINT || !!process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+}
+
+// Run `fn` in a child span of the active one. Only primitive fields become
+// span attributes.
+export async function withSpan<T>(name: string, fields: Record<string, unknown>, fn: () => Promise<T>): Promise<T> {
+  const attributes: Attributes = {};
+  Object.keys(fields).forEach(key => {
+    const value = fields[key];
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+      attributes[key] = value;
+    }
+  });
+
+  return tracer.startActiveSpan(name, { attributes }, async span => {
+    try {
+      return await fn();
+    } catch (error: any) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error?.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Trace id of the active span, so log lines can be matched with traces
+export function activeTraceId(): string | undefined {
+  const context = trace.getActiveSpan()?.spanContext();
+  return context && trace.isSpanContextValid(context) ? context.traceId : undefined;
+}
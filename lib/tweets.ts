@@ -0,0 +1,92 @@
+// lib/tweets.ts
+import type { TweetRef } from '@/lib/checks';
+
+// Public embed endpoint; needs no API key and returns the tweet as HTML
+const OEMBED_URL = 'https://publish.twitter.com/oembed';
+const FETCH_TIMEOUT_MS = 10000;
+
+const STATUS_URL = /^https:\/\/(?:www\.|mobile\.)?(?:x|twitter)\.com\/([A-Za-z0-9_]{1,15})\/status\/(\d{1,25})(?:[/?#]|$)/;
+
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', hellip: '…' };
+
+// A tweet that could not be looked up; `status` is the HTTP status to answer with
+export class TweetLookupError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'TweetLookupError';
+  }
+}
+
+// Author and id of an x.com or twitter.com status URL, or null
+export function parseTweetUrl(url: string): { author: string; id: string } | null {
+  const match = STATUS_URL.exec(url.trim());
+  return match ? { author: match[1].toLowerCase(), id: match[2] } : null;
+}
+
+function decodeEntities(html: string): string {
+  return html.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// The tweet's text from its embed HTML: the first paragraph of the
+// blockquote, without the links to attached media
+export function textFromEmbed(html: string): string {
+  const paragraph = /<p[^>]*>([\s\S]*?)<\/p>/i.exec(html)?.[1] ?? '';
+  return decodeEntities(
+    paragraph
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<a[^>]*>\s*pic\.(?:twitter|x)\.com\/[^<]*<\/a>/gi, '')
+      .replace(/<[^>]+>/g, '')
+  ).trim();
+}
+
+// Text of a public tweet, for checking a tweet by its URL. Quoted tweets and
+// images are not included in the embed, so they are not checked.
+export async function fetchTweet(url: string): Promise<{ text: string; tweet: TweetRef }> {
+  const status = parseTweetUrl(url);
+  if (!status) {
+    throw new TweetLookupError('"url" must be a tweet URL, e.g. https://x.com/user/status/123', 400);
+  }
+  const canonical = `https://x.com/${status.author}/status/${status.id}`;
+
+  let response: Response;
+  try {
+    response = await fetch(`${OEMBED_URL}?${new URLSearchParams({ url: canonical, omit_script: '1', dnt: '1' })}`, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+  } catch (error: any) {
+    throw new TweetLookupError(`Could not reach X to read the tweet: ${error.message}`, 502);
+  }
+  if (response.status === 404 || response.status === 403) {
+    throw new TweetLookupError('Tweet not found, or not public', 404);
+  }
+  if (!response.ok) {
+    throw new TweetLookupError(`X answered HTTP ${response.status} when reading the tweet`, 502);
+  }
+
+  // A body that is not JSON, or HTML with an entity outside Unicode, is a bad
+  // answer from X rather than a bad request
+  let embed: any;
+  let text: string;
+  try {
+    embed = await response.json();
+    text = textFromEmbed(typeof embed?.html === 'string' ? embed.html : '');
+  } catch (error: any) {
+    throw new TweetLookupError(`X answered with an embed that could not be read: ${error.message}`, 502);
+  }
+  if (!text) {
+    throw new TweetLookupError('The tweet has no text to check', 422);
+  }
+  const author = typeof embed.author_url === 'string' ? parseAuthorUrl(embed.author_url) : undefined;
+  return { text, tweet: { id: status.id, url: canonical, author: author || status.author } };
+}
+
+// Handle from the embed's author_url, e.g. https://twitter.com/nasa
+function parseAuthorUrl(url: string): string | undefined {
+  return /^https:\/\/(?:x|twitter)\.com\/([A-Za-z0-9_]{1,15})\/?$/.exec(url)?.[1]?.toLowerCase();
+}
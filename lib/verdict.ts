@@ -0,0 +1,346 @@
+// lib/verdict.ts
+
+export type Confidence = 'high' | 'medium' | 'low';
+
+const CONFIDENCE_LEVELS: Confidence[] = ['high', 'medium', 'low'];
+
+// A claim as returned by the model: `sources` are 1-based indexes into the
+// numbered source list it was given
+export interface VerdictClaim {
+  incorrect: string;
+  correction: string;
+  confidence: Confidence;
+  sources: number[];
+}
+
+// The JSON object the chat model must return
+export interface Verdict {
+  hasIssues: boolean;
+  claims: VerdictClaim[];
+  summary: string;
+}
+
+export type ParseResult<T> =
+  | { ok: true; value: T }
+  | { ok: false; errors: string[] };
+
+// Thrown when the model's output is still invalid after the repair retry
+export class VerdictValidationError extends Error {
+  constructor(public errors: string[]) {
+    super(`Model returned an invalid verdict: ${errors.join('; ')}`);
+    this.name = 'VerdictValidationError';
+  }
+}
+
+// Parse and validate raw model output against the verdict schema. Also
+// accepts the older parallel `incorrect`/`corrections` arrays, but only when
+// they pair up one-to-one.
+export function parseVerdict(content: string): ParseResult<Verdict> {
+  const object = parseObject(content);
+  if (!object.ok) return object;
+  const raw = object.value;
+
+  const errors: string[] = [];
+
+  if (typeof raw.hasIssues !== 'boolean') {
+    errors.push('"hasIssues" must be a boolean');
+  }
+  if (raw.summary !== undefined && typeof raw.summary !== 'string') {
+    errors.push('"summary" must be a string');
+  }
+
+  let rawClaims: any[] = [];
+  if (raw.claims !== undefined) {
+    if (Array.isArray(raw.claims)) {
+      rawClaims = raw.claims;
+    } else {
+      errors.push('"claims" must be an array');
+    }
+  } else if (raw.incorrect !== undefined || raw.corrections !== undefined) {
+    const incorrect = raw.incorrect || [];
+    const corrections = raw.corrections || [];
+    if (!Array.isArray(incorrect) || !Array.isArray(corrections)) {
+      errors.push('"incorrect" and "corrections" must be arrays');
+    } else if (incorrect.length !== corrections.length) {
+      errors.push(`"incorrect" has ${incorrect.length} items but "corrections" has ${corrections.length}; each incorrect phrase needs exactly one correction`);
+    } else {
+      rawClaims = incorrect.map((phrase: unknown, i: number) => ({ incorrect: phrase, correction: corrections[i] }));
+    }
+  }
+
+  const claims: VerdictClaim[] = [];
+  rawClaims.forEach((claim, i) => {
+    if (typeof claim?.incorrect !== 'string' || !claim.incorrect.trim()) {
+      errors.push(`claims[${i}].incorrect must be a non-empty string`);
+      return;
+    }
+    if (typeof claim.correction !== 'string' || !claim.correction.trim()) {
+      errors.push(`claims[${i}].correction must be a non-empty string`);
+      return;
+    }
+    if (claim.confidence !== undefined && !CONFIDENCE_LEVELS.includes(claim.confidence)) {
+      errors.push(`claims[${i}].confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+      return;
+    }
+    if (claim.sources !== undefined && (!Array.isArray(claim.sources) || !claim.sources.every(Number.isInteger))) {
+      errors.push(`claims[${i}].sources must be an array of source numbers`);
+      return;
+    }
+    claims.push({
+      incorrect: claim.incorrect,
+      correction: claim.correction,
+      confidence: claim.confidence || 'medium',
+      sources: claim.sources || [],
+    });
+  });
+
+  if (raw.hasIssues === true && rawClaims.length === 0 && errors.length === 0) {
+    errors.push('"hasIssues" is true but no claims were given');
+  }
+  if (raw.hasIssues === false && rawClaims.length > 0) {
+    errors.push('"hasIssues" is false but claims were given; set it to true or leave the claims out');
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+
+  return {
+    ok: true,
+    value: {
+      hasIssues: raw.hasIssues,
+      claims,
+      summary: raw.summary || (claims.length > 0 ? 'Potential inaccuracies detected' : 'No factual issues detected'),
+    },
+  };
+}
+
+// Kinds of statement the extraction stage distinguishes; only `factual`
+// statements are verified
+export type StatementKind = 'factual' | 'opinion' | 'joke' | 'prediction';
+
+const STATEMENT_KINDS: StatementKind[] = ['factual', 'opinion', 'joke', 'prediction'];
+
+// One atomic statement pulled out of the tweet
+export interface ExtractedClaim {
+  // The claim restated so it can be checked on its own
+  claim: string;
+  // The span of the tweet that makes the claim
+  quote: string;
+  kind: StatementKind;
+  // The claim in English, for tweets in other languages
+  english?: string;
+}
+
+export type ClaimStatus = 'supported' | 'refuted' | 'unverifiable';
+
+const CLAIM_STATUSES: ClaimStatus[] = ['supported', 'refuted', 'unverifiable'];
+
+// The verification stage's answer for a single claim
+export interface ClaimCheck {
+  verdict: ClaimStatus;
+  // For refuted claims: the exact wrong phrase and what it should say
+  incorrect?: string;
+  correction?: string;
+  confidence: Confidence;
+  sources: number[];
+  explanation: string;
+}
+
+// Parse the extraction stage's `{ "claims": [...] }` output
+export function parseExtraction(content: string): ParseResult<ExtractedClaim[]> {
+  const object = parseObject(content);
+  if (!object.ok) return object;
+  const raw = object.value;
+
+  if (!Array.isArray(raw.claims)) {
+    return { ok: false, errors: ['"claims" must be an array'] };
+  }
+
+  const errors: string[] = [];
+  const claims: ExtractedClaim[] = [];
+  raw.claims.forEach((claim: any, i: number) => {
+    if (typeof claim?.claim !== 'string' || !claim.claim.trim()) {
+      errors.push(`claims[${i}].claim must be a non-empty string`);
+    } else if (typeof claim.quote !== 'string' || !claim.quote.trim()) {
+      errors.push(`claims[${i}].quote must be a non-empty string`);
+    } else if (!STATEMENT_KINDS.includes(claim.kind)) {
+      errors.push(`claims[${i}].kind must be one of ${STATEMENT_KINDS.join(', ')}`);
+    } else {
+      claims.push({
+        claim: claim.claim,
+        quote: claim.quote,
+        kind: claim.kind,
+        ...(typeof claim.english === 'string' && claim.english.trim() && { english: claim.english }),
+      });
+    }
+  });
+
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, value: claims };
+}
+
+// Parse the verification stage's output for one claim. A refuted claim must
+// name a correction.
+export function parseClaimCheck(content: string): ParseResult<ClaimCheck> {
+  const object = parseObject(content);
+  if (!object.ok) return object;
+  const raw = object.value;
+
+  const errors: string[] = [];
+  if (!CLAIM_STATUSES.includes(raw.verdict)) {
+    errors.push(`"verdict" must be one of ${CLAIM_STATUSES.join(', ')}`);
+  }
+  if (raw.verdict === 'refuted' && (typeof raw.correction !== 'string' || !raw.correction.trim())) {
+    errors.push('a refuted claim needs a non-empty "correction"');
+  }
+  if (raw.incorrect !== undefined && raw.incorrect !== null && typeof raw.incorrect !== 'string') {
+    errors.push('"incorrect" must be a string');
+  }
+  if (raw.confidence !== undefined && !CONFIDENCE_LEVELS.includes(raw.confidence)) {
+    errors.push(`"confidence" must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+  if (raw.sources !== undefined && (!Array.isArray(raw.sources) || !raw.sources.every(Number.isInteger))) {
+    errors.push('"sources" must be an array of source numbers');
+  }
+  if (raw.explanation !== undefined && typeof raw.explanation !== 'string') {
+    errors.push('"explanation" must be a string');
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+
+  return {
+    ok: true,
+    value: {
+      verdict: raw.verdict,
+      incorrect: raw.verdict === 'refuted' && raw.incorrect ? raw.incorrect : undefined,
+      correction: raw.verdict === 'refuted' ? raw.correction : undefined,
+      confidence: raw.confidence || 'medium',
+      sources: raw.sources || [],
+      explanation: raw.explanation || '',
+    },
+  };
+}
+
+function parseObject(content: string): ParseResult<any> {
+  let raw: any;
+  try {
+    raw = JSON.parse(content);
+  } catch (error: any) {
+    return { ok: false, errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return { ok: false, errors: ['Output must be a JSON object'] };
+  }
+  return { ok: true, value: raw };
+}
+
+// A range of UTF-16 code units in a string, as used by String#slice
+export interface TextSpan {
+  start: number;
+  end: number;
+}
+
+// Locate the first occurrence of `phrase` in `text`, exactly or ignoring
+// case. Returns null when it does not appear.
+export function locateInText(text: string, phrase: string): TextSpan | null {
+  const trimmed = phrase.trim();
+  if (!trimmed) return null;
+
+  const index = text.indexOf(trimmed);
+  if (index !== -1) {
+    return { start: index, end: index + trimmed.length };
+  }
+
+  // Compare folded forms, mapping the match back to the original text
+  const folded = foldText(text);
+  const foldedPhrase = foldText(trimmed).folded.trim();
+  const foldedIndex = foldedPhrase ? folded.folded.indexOf(foldedPhrase) : -1;
+  if (foldedIndex === -1) return null;
+  return {
+    start: folded.starts[foldedIndex],
+    end: folded.ends[foldedIndex + foldedPhrase.length - 1],
+  };
+}
+
+// Marks that models often add or drop when copying text: Arabic diacritics
+// and tatweel, and zero-width characters
+const IGNORED_MARKS = /[\u0640\u064B-\u065F\u0670\u200B-\u200F\u2060\uFEFF]/g;
+// A base character with its combining marks, or stray marks
+const CHARACTER_CLUSTER = new RegExp('\\P{M}\\p{M}*|\\p{M}+', 'gu');
+
+// Fold text for matching: ignore case, Unicode normalization form (so
+// precomposed and combining accents, and full- and half-width forms, compare
+// equal), the marks above and runs of whitespace. `starts[i]`/`ends[i]` give
+// the span of the original text that folded character i came from.
+function foldText(text: string): { folded: string; starts: number[]; ends: number[] } {
+  let folded = '';
+  const starts: number[] = [];
+  const ends: number[] = [];
+  let offset = 0;
+
+  (text.match(CHARACTER_CLUSTER) || []).forEach(cluster => {
+    const start = offset;
+    offset += cluster.length;
+
+    let chunk = cluster.replace(IGNORED_MARKS, '').normalize('NFKC').toLowerCase();
+    if (/^\s+$/.test(chunk)) {
+      if (folded.endsWith(' ')) {
+        ends[ends.length - 1] = offset;
+        return;
+      }
+      chunk = ' ';
+    }
+    for (let i = 0; i < chunk.length; i++) {
+      starts.push(start);
+      ends.push(offset);
+    }
+    folded += chunk;
+  });
+
+  return { folded, starts, ends };
+}
+
+// Find `phrase` in `text`, exactly or ignoring case. Returns the phrase as it
+// appears in the text, or null when it does not appear.
+export function findInText(text: string, phrase: string): string | null {
+  const span = locateInText(text, phrase);
+  return span ? text.slice(span.start, span.end) : null;
+}
+
+// Keep only claims whose incorrect phrase really occurs in one of the checked
+// texts, rewritten to that text's own spelling, and drop repeated phrases
+export function groundClaims(claims: VerdictClaim[], texts: string[]): { kept: VerdictClaim[]; dropped: VerdictClaim[] } {
+  const kept: VerdictClaim[] = [];
+  const dropped: VerdictClaim[] = [];
+
+  for (const claim of claims) {
+    let phrase: string | null = null;
+    for (const text of texts) {
+      phrase = findInText(text, claim.incorrect);
+      if (phrase !== null) break;
+    }
+    if (phrase === null || kept.some(other => other.incorrect === phrase)) {
+      dropped.push(claim);
+      continue;
+    }
+    kept.push({ ...claim, incorrect: phrase });
+  }
+
+  return { kept, dropped };
+}
+
+// Follow-up prompt asking the model to fix an invalid reply
+export function buildRepairPrompt(originalPrompt: string, invalidOutput: string, errors: string[]): string {
+  return `${originalPrompt}
+
+Your previous reply was not valid:
+${invalidOutput}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object, following the required structure exactly.`;
+}
@@ -0,0 +1,259 @@
+// lib/webhooks.ts
+import { createHmac, randomUUID } from 'crypto';
+import { getCheckStore, TweetRef } from '@/lib/checks';
+import { permalink, publicUrl } from '@/lib/export';
+import type { FactCheckResult, TextSource, TweetContext } from '@/lib/factcheck';
+import { createLogger, errorFields } from '@/lib/logger';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+// Wait before the first retry; each later wait is four times longer, so the
+// default five attempts span about 14 minutes
+const FIRST_RETRY_DELAY_MS = 10000;
+const RETRY_BACKOFF_FACTOR = 4;
+// Longest Retry-After honoured
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const log = createLogger({ component: 'webhooks' });
+
+export type WebhookEvent = 'check.flagged';
+
+// "pending": not delivered yet, with a retry scheduled at nextAttemptAt.
+// "failed": gave up, after the last attempt or an answer that won't change.
+export type DeliveryStatus = 'pending' | 'delivered' | 'failed';
+
+export const DELIVERY_STATUSES: DeliveryStatus[] = ['pending', 'delivered', 'failed'];
+
+export interface Webhook {
+  // Label used in logs and the delivery log; never the URL, which may hold a token
+  name: string;
+  url: string;
+}
+
+// One event sent to one webhook, with the outcome of its latest attempt
+export interface Delivery {
+  id: string;
+  createdAt: string;
+  updatedAt: string;
+  event: WebhookEvent;
+  webhook: string;
+  // The stored run the event is about; missing when checks are not stored
+  recordId?: string;
+  checkId: string;
+  status: DeliveryStatus;
+  attempts: number;
+  // HTTP status of the latest answer
+  responseStatus?: number;
+  error?: string;
+  nextAttemptAt?: string;
+}
+
+// A finished check, as checkWithCache has it
+export interface FlaggedCheck {
+  text: string;
+  context?: TweetContext;
+  source: TextSource;
+  language: string;
+  tweet?: TweetRef;
+  // The result as served to the client
+  served: FactCheckResult;
+  // As the model wrote it
+  result: FactCheckResult;
+}
+
+export interface WebhookPayload {
+  event: WebhookEvent;
+  deliveryId: string;
+  createdAt: string;
+  check: {
+    id?: string;
+    permalink?: string;
+    checkId: string;
+    text: string;
+    context?: TweetContext;
+    source: TextSource;
+    language: string;
+    tweet?: TweetRef;
+    result: FactCheckResult;
+  };
+}
+
+const warnedInvalid = new Set<string>();
+let warnedUnsigned = false;
+
+// WEBHOOK_URLS is a comma-separated list of URLs, each optionally prefixed
+// with `name:` (a bare URL is named after its position). Invalid entries are
+// logged once and skipped.
+export function getWebhooks(): Webhook[] {
+  return (process.env.WEBHOOK_URLS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry, i) => {
+      const named = /^([A-Za-z0-9_-]+):(https?:\/\/.+)$/.exec(entry);
+      const webhook = named ? { name: named[1], url: named[2] } : { name: `webhook${i + 1}`, url: entry };
+      try {
+        const { protocol } = new URL(webhook.url);
+        if (protocol === 'https:' || protocol === 'http:') return [webhook];
+      } catch {
+        // Reported below
+      }
+      if (!warnedInvalid.has(entry)) {
+        log.error('Ignoring invalid webhook URL in WEBHOOK_URLS', { webhook: webhook.name });
+        warnedInvalid.add(entry);
+      }
+      return [];
+    });
+}
+
+// Hex HMAC-SHA256 of `<timestamp>.<body>` with WEBHOOK_SECRET. Receivers
+// recompute it to check that the event came from us and was not replayed.
+export function signPayload(secret: string, timestamp: string, body: string): string {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Only fresh results shared with every reader are sent: cache hits and runs
+// with provider overrides are not, and a flagged result a reviewer has
+// already rejected is not either
+function isNotifiable(check: FlaggedCheck): boolean {
+  const { served } = check;
+  return !served.cached && !!served.checkId && (served.hasIssues || served.review?.status === 'pending');
+}
+
+async function logDelivery(delivery: Delivery): Promise<void> {
+  try {
+    await getCheckStore()?.saveDelivery(delivery);
+  } catch (error) {
+    log.error('Could not save webhook delivery', { deliveryId: delivery.id, ...errorFields(error) });
+  }
+}
+
+// Seconds or an HTTP date, as in Retry-After
+function retryAfterMs(header: string | null): number {
+  if (!header) return 0;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_DELAY_MS) : 0;
+}
+
+function maxAttempts(): number {
+  const value = Number(process.env.WEBHOOK_MAX_ATTEMPTS);
+  return Number.isInteger(value) && value >= 1 ? value : DEFAULT_MAX_ATTEMPTS;
+}
+
+// POST the payload once, then log the outcome and schedule the next attempt
+// if the failure may be temporary: no answer, a timeout, 408, 429 or 5xx
+async function attempt(webhook: Webhook, delivery: Delivery, body: string): Promise<void> {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const secret = process.env.WEBHOOK_SECRET;
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus: number | undefined;
+  let error: string | undefined;
+  let retryable = true;
+  let delay = FIRST_RETRY_DELAY_MS * RETRY_BACKOFF_FACTOR ** (attempts - 1);
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'twitter-fact-checker',
+        'X-FactCheck-Event': delivery.event,
+        'X-FactCheck-Delivery': delivery.id,
+        'X-FactCheck-Timestamp': timestamp,
+        ...(secret && { 'X-FactCheck-Signature': `sha256=${signPayload(secret, timestamp, body)}` }),
+      },
+      body,
+      // A redirect would resend the payload somewhere nobody configured
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+      retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      delay = Math.max(delay, retryAfterMs(response.headers.get('retry-after')));
+    }
+  } catch (fetchError: any) {
+    error = fetchError.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s` : fetchError.message;
+  }
+
+  const retry = error !== undefined && retryable && attempts < maxAttempts();
+  const updated: Delivery = {
+    id: delivery.id,
+    createdAt: delivery.createdAt,
+    updatedAt: new Date().toISOString(),
+    event: delivery.event,
+    webhook: delivery.webhook,
+    ...(delivery.recordId && { recordId: delivery.recordId }),
+    checkId: delivery.checkId,
+    status: error === undefined ? 'delivered' : retry ? 'pending' : 'failed',
+    attempts,
+    ...(responseStatus !== undefined && { responseStatus }),
+    ...(error && { error }),
+    ...(retry && { nextAttemptAt: new Date(Date.now() + delay).toISOString() }),
+  };
+  await logDelivery(updated);
+
+  const fields = { deliveryId: delivery.id, webhook: webhook.name, attempts, responseStatus };
+  if (updated.status === 'delivered') {
+    log.info('Webhook delivered', fields);
+  } else if (retry) {
+    log.warn('Webhook delivery failed, will retry', { ...fields, reason: error, retryInMs: delay });
+    // Retries live in this process; a restart drops them, leaving them pending in the log
+    setTimeout(() => void attempt(webhook, updated, body), delay).unref();
+  } else {
+    log.error('Webhook delivery failed', { ...fields, reason: error });
+  }
+}
+
+// Send a flagged check to every configured webhook. Returns at once;
+// deliveries and their retries run in the background and never fail the check.
+export function notifyFlagged(check: FlaggedCheck): void {
+  if (!isNotifiable(check)) return;
+  const webhooks = getWebhooks();
+  if (webhooks.length === 0) return;
+  if (!process.env.WEBHOOK_SECRET && !warnedUnsigned) {
+    log.warn('WEBHOOK_SECRET is not set - webhook payloads are not signed');
+    warnedUnsigned = true;
+  }
+
+  const { served } = check;
+  const recordId = served.recordId;
+  const link = recordId ? permalink(recordId, publicUrl()) : undefined;
+  // Receivers see the flagged verdict even while readers wait for a review
+  const result = served.review?.status === 'pending' ? { ...check.result, ...(recordId && { recordId }), review: served.review } : served;
+
+  webhooks.forEach(webhook => {
+    const createdAt = new Date().toISOString();
+    const delivery: Delivery = {
+      id: randomUUID(),
+      createdAt,
+      updatedAt: createdAt,
+      event: 'check.flagged',
+      webhook: webhook.name,
+      ...(recordId && { recordId }),
+      checkId: served.checkId as string,
+      status: 'pending',
+      attempts: 0,
+    };
+    const payload: WebhookPayload = {
+      event: delivery.event,
+      deliveryId: delivery.id,
+      createdAt,
+      check: {
+        ...(recordId && { id: recordId }),
+        ...(link && { permalink: link }),
+        checkId: delivery.checkId,
+        text: check.text,
+        ...(check.context && { context: check.context }),
+        source: check.source,
+        language: check.language,
+        ...(check.tweet && { tweet: check.tweet }),
+        result,
+      },
+    };
+    void logDelivery(delivery).then(() => attempt(webhook, delivery, JSON.stringify(payload)));
+  });
+}
@@ -1,17 +1,16 @@
 /** @type {import('next').NextConfig} */
+// CORS headers are set per request by the API routes (lib/cors.ts), which
+// only echo back allowed origins.
 const nextConfig = {
-  async headers() {
-    return [
-      {
-        source: '/api/:path*',
-        headers: [
-          { key: 'Access-Control-Allow-Origin', value: '*' },
-          { key: 'Access-Control-Allow-Methods', value: 'GET,POST,OPTIONS' },
-          { key: 'Access-Control-Allow-Headers', value: 'Content-Type' },
-        ],
-      },
-    ];
+  experimental: {
+    // tesseract.js starts its OCR worker from a file path and better-sqlite3
+    // loads a native addon, so both must be loaded from node_modules rather
+    // than bundled
+    serverComponentsExternalPackages: ['tesseract.js', 'better-sqlite3', '@opentelemetry/sdk-node'],
+    // Runs instrumentation.ts at startup, which enables OpenTelemetry tracing
+    // when OTEL_EXPORTER_OTLP_ENDPOINT is set
+    instrumentationHook: true,
   },
 };
 
-export default nextConfig;
\ No newline at end of file
+export default nextConfig;
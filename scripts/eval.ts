@@ -0,0 +1,117 @@
+// scripts/eval.ts
+//
+// Usage:
+//   pnpm eval run [--config eval/configs/mock.json] [--dataset eval/dataset.jsonl] [--record] [--out file.json] [--verbose]
+//   pnpm eval diff eval/results/baseline.json eval/results/candidate.json [--out report.md]
+import { promises as fs } from 'fs';
+import path from 'path';
+import { diffRuns, EvalConfig, EvalRun, formatMetrics, parseDataset, runEval } from '@/lib/eval';
+import { Cassette, emptyCassette } from '@/lib/providers';
+
+const DEFAULT_DATASET = 'eval/dataset.jsonl';
+// Mock providers, with their cassette committed, so a bare run works offline
+const DEFAULT_CONFIG = 'eval/configs/mock.json';
+const RESULTS_DIR = 'eval/results';
+
+function parseArgs(argv: string[]): { positional: string[]; flags: Record<string, string | boolean> } {
+  const positional: string[] = [];
+  const flags: Record<string, string | boolean> = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (['--record', '--verbose'].includes(arg)) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2)] = argv[++i] ?? '';
+    }
+  }
+  return { positional, flags };
+}
+
+async function readJson<T>(file: string): Promise<T> {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+async function writeFile(file: string, content: string) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+}
+
+async function run(flags: Record<string, string | boolean>) {
+  const configFile = typeof flags.config === 'string' ? flags.config : DEFAULT_CONFIG;
+  const config = await readJson<EvalConfig>(configFile);
+  if (!config.name || !config.cassette) {
+    throw new Error(`${configFile}: "name" and "cassette" are required`);
+  }
+  // Cassette paths are relative to the config file
+  const cassetteFile = path.resolve(path.dirname(configFile), config.cassette);
+  const datasetFile = typeof flags.dataset === 'string' ? flags.dataset : DEFAULT_DATASET;
+  const outFile = typeof flags.out === 'string' ? flags.out : path.join(RESULTS_DIR, `${config.name}.json`);
+  const record = flags.record === true;
+
+  const examples = parseDataset(await fs.readFile(datasetFile, 'utf8'));
+  let cassette: Cassette;
+  if (record) {
+    cassette = emptyCassette();
+  } else {
+    try {
+      cassette = await readJson<Cassette>(cassetteFile);
+    } catch (error: any) {
+      throw new Error(`Could not read cassette ${cassetteFile} (${error.message}); run with --record first`);
+    }
+  }
+
+  console.error(`📊 ${record ? 'Recording' : 'Replaying'} ${examples.length} example(s) with ${config.name}`);
+
+  // The pipeline logs every step; keep the report readable unless asked
+  if (!flags.verbose) process.env.LOG_LEVEL = 'silent';
+  const result = await runEval(examples, config, cassette, {
+    record,
+    onItem: (item, index) => {
+      const status = item.error
+        ? `❌ ${item.error}`
+        : `${item.predictedIssues === item.expectedIssues ? '✅' : '⚠️'} ${item.truePositives.length} TP / ${item.falsePositives.length} FP / ${item.falseNegatives.length} FN`;
+      console.error(`  [${index + 1}/${examples.length}] ${item.id}: ${status}`);
+    },
+  });
+
+  if (record) {
+    await writeFile(cassetteFile, `${JSON.stringify(cassette, null, 2)}\n`);
+    console.error(`💾 Cassette saved to ${cassetteFile}`);
+  }
+  await writeFile(outFile, `${JSON.stringify(result, null, 2)}\n`);
+  console.error(`💾 Results saved to ${outFile}\n`);
+  console.log(formatMetrics(result));
+}
+
+async function diff(positional: string[], flags: Record<string, string | boolean>) {
+  if (positional.length !== 2) {
+    throw new Error('diff needs two result files');
+  }
+  const [base, candidate] = await Promise.all(positional.map(file => readJson<EvalRun>(file)));
+  const report = diffRuns(base, candidate);
+  if (typeof flags.out === 'string') {
+    await writeFile(flags.out, report);
+    console.error(`💾 Report saved to ${flags.out}`);
+  }
+  console.log(report);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+  switch (command) {
+    case 'run':
+      return run(flags);
+    case 'diff':
+      return diff(positional, flags);
+    default:
+      throw new Error('Usage: eval run [--config <file>] [--dataset <file>] [--record] [--out <file>] [--verbose]\n       eval diff <base.json> <candidate.json> [--out <file>]');
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
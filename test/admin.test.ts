@@ -0,0 +1,31 @@
+// test/admin.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { DELETE } from '@/app/api/admin/cache/route';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.ADMIN_API_KEY = 'admin-secret';
+
+function invalidate(body: unknown) {
+  return DELETE(new NextRequest('http://localhost/api/admin/cache', {
+    method: 'DELETE',
+    headers: { Authorization: 'Bearer admin-secret' },
+    body: JSON.stringify(body),
+  }));
+}
+
+describe('DELETE /api/admin/cache', () => {
+  it('answers 400 for fields of the wrong type', async () => {
+    for (const body of [{ text: 42 }, { text: ['a'] }, { key: {} }, { text: 'a', context: { quoted: 1 } }, { text: 'a', context: 'x' }, null]) {
+      const response = await invalidate(body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it('drops the entry for a text', async () => {
+    const response = await invalidate({ text: 'The Eiffel Tower is in Berlin.' });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).deleted, 0);
+  });
+});
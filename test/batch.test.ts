@@ -0,0 +1,40 @@
+// test/batch.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { POST } from '@/app/api/checktweets/route';
+import { getCheckStore } from '@/lib/checks';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'memory';
+process.env.FACTCHECK_PIPELINE = 'single';
+process.env.SEARCH_PROVIDER = 'mock';
+process.env.CHAT_PROVIDER = 'mock';
+
+const TEXT = 'The Eiffel Tower is in Paris and it opened to the public in 1889.';
+
+describe('POST /api/checktweets', () => {
+  it('checks repeated tweets once and stores each with its own tweet', async () => {
+    const response = await POST(new NextRequest('http://localhost/api/checktweets', {
+      method: 'POST',
+      body: JSON.stringify({
+        tweets: [
+          { id: 'a', text: TEXT, tweet: { id: '1', author: 'alice' } },
+          { id: 'b', text: TEXT.toUpperCase(), tweet: { id: '2', author: 'bob' } },
+        ],
+      }),
+    }));
+    assert.equal(response.status, 200);
+    const { results } = await response.json();
+    assert.deepEqual(results.map((item: any) => [item.id, item.status, item.result.cached]), [['a', 'ok', false], ['b', 'ok', true]]);
+    assert.notEqual(results[0].result.recordId, results[1].result.recordId);
+
+    const store = getCheckStore()!;
+    for (const [author, id] of [['alice', '1'], ['bob', '2']]) {
+      const { checks } = await store.list({ author });
+      assert.deepEqual(checks.map(check => check.tweet?.id), [id]);
+    }
+    const { checks } = await store.list({ author: 'bob' });
+    assert.equal(checks[0].text, TEXT.toUpperCase());
+  });
+});
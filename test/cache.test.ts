@@ -0,0 +1,33 @@
+// test/cache.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkWithCache } from '@/lib/factcheck';
+import { createLogger } from '@/lib/logger';
+import { MockChatProvider, MockSearchProvider } from '@/lib/providers';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'none';
+process.env.FACTCHECK_PIPELINE = 'single';
+
+function check(text: string) {
+  const chat = new MockChatProvider({
+    hasIssues: true,
+    claims: [{ incorrect: 'Berlin', correction: 'Paris' }],
+    summary: 'Wrong city',
+  });
+  return checkWithCache(text, { log: createLogger(), providers: { search: new MockSearchProvider(), chat } });
+}
+
+describe('checkWithCache', () => {
+  it('locates cached claims in the text of the current request', async () => {
+    const first = await check('The Eiffel Tower is in Berlin https://t.co/aaa and it is tall.');
+    assert.equal(first.cached, false);
+
+    // Same cache key: case, links and whitespace are ignored
+    const text = 'https://t.co/a-much-longer-link  THE EIFFEL TOWER IS IN BERLIN and it is tall.';
+    const second = await check(text);
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.claims.map(claim => text.slice(claim.start, claim.end)), ['BERLIN']);
+    assert.deepEqual(second.incorrect, ['BERLIN']);
+  });
+});
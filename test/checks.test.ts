@@ -0,0 +1,42 @@
+// test/checks.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { GET } from '@/app/api/checks/route';
+import { recordCheck } from '@/lib/checks';
+import type { FactCheckResult } from '@/lib/factcheck';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'memory';
+process.env.REVIEW_REQUIRED = 'true';
+
+const TEXT = 'The Eiffel Tower is in Berlin.';
+
+const flagged: FactCheckResult = {
+  hasIssues: true,
+  incorrect: ['Berlin'],
+  corrections: ['Paris'],
+  claims: [{ incorrect: 'Berlin', correction: 'Paris', confidence: 'high', sources: [], part: 'main', start: 23, end: 29 }],
+  verdicts: [],
+  sources: [],
+  summary: 'Wrong city',
+  exaAnalysis: '',
+  pipeline: 'single',
+  providers: { search: 'mock', chat: 'mock', model: 'mock' },
+  checkId: 'check-1',
+};
+
+describe('GET /api/checks', () => {
+  it('withholds flagged results awaiting review', async () => {
+    await recordCheck({ text: TEXT, source: 'tweet', language: 'en', checkId: 'check-1', result: flagged });
+
+    const response = await GET(new NextRequest('http://localhost/api/checks'));
+    assert.equal(response.status, 200);
+    const { checks } = await response.json();
+    assert.equal(checks.length, 1);
+    assert.equal(checks[0].hasIssues, false);
+    assert.deepEqual(checks[0].result.claims, []);
+    assert.deepEqual(checks[0].result.review, { status: 'pending' });
+    assert.equal(checks[0].review, undefined);
+  });
+});
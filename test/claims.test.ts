@@ -0,0 +1,39 @@
+// test/claims.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { runFactCheck } from '@/lib/factcheck';
+import { createLogger } from '@/lib/logger';
+import { MockChatProvider, MockSearchProvider } from '@/lib/providers';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'none';
+
+const YEARS = Array.from({ length: 10 }, (_, i) => 1900 + i);
+const TWEET = `${YEARS.map(year => `It rained in ${year}.`).join(' ')} Rain is lovely.`;
+
+describe('claims pipeline', () => {
+  it('reports factual claims past the limit as unverifiable, not opinion', async () => {
+    const chat = new MockChatProvider(request => {
+      if (request.system.startsWith('You split')) {
+        return {
+          claims: [
+            ...YEARS.map(year => ({ claim: `It rained in ${year}`, quote: `It rained in ${year}.`, kind: 'factual' })),
+            { claim: 'Rain is lovely', quote: 'Rain is lovely.', kind: 'opinion' },
+          ],
+        };
+      }
+      return { verdict: 'supported', confidence: 'high', sources: [], explanation: 'It did' };
+    });
+
+    const result = await runFactCheck(TWEET, {
+      log: createLogger(),
+      providers: { search: new MockSearchProvider(), chat },
+      pipeline: 'claims',
+    });
+
+    assert.deepEqual(result.verdicts.map(verdict => verdict.verdict), [
+      ...Array(8).fill('supported'), 'unverifiable', 'unverifiable', 'opinion',
+    ]);
+    assert.match(result.verdicts[8].explanation, /too many claims/);
+  });
+});
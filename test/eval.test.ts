@@ -0,0 +1,179 @@
+// test/eval.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeMetrics, diffRuns, EvalExample, EvalItemResult, EvalRun, parseDataset, scoreSpans } from '@/lib/eval';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'none';
+
+const EXAMPLE: EvalExample = {
+  id: 'tower',
+  text: 'The Eiffel Tower is in Berlin and opened in 1899.',
+  context: { quoted: 'Madrid is not the capital of Spain.' },
+  spans: [{ incorrect: 'Berlin' }, { incorrect: '1899' }, { incorrect: 'Spain', part: 'quoted' }],
+};
+
+// Character range of `phrase` in `text`, as a claim would carry it
+function at(text: string, phrase: string, part?: 'main' | 'quoted') {
+  const start = text.indexOf(phrase);
+  return { part, start, end: start + phrase.length, incorrect: phrase };
+}
+
+function item(id: string, fields: Partial<EvalItemResult> = {}): EvalItemResult {
+  return {
+    id,
+    expectedIssues: true,
+    predictedIssues: true,
+    truePositives: [],
+    falsePositives: [],
+    falseNegatives: [],
+    latencyMs: 100,
+    providerMs: 80,
+    ...fields,
+  };
+}
+
+function run(config: string, items: EvalItemResult[]): EvalRun {
+  return {
+    config,
+    pipeline: 'claims',
+    providers: { search: 'replay', chat: 'replay', model: 'replay' },
+    startedAt: '2026-01-01T00:00:00.000Z',
+    metrics: computeMetrics(items),
+    items,
+  };
+}
+
+describe('parseDataset', () => {
+  it('parses examples and skips blank lines', () => {
+    const examples = parseDataset([
+      JSON.stringify({ id: 'a', text: 'The Eiffel Tower is in Berlin and opened to the public in 1889.', spans: [{ incorrect: 'Berlin' }] }),
+      '',
+      JSON.stringify({ id: 'b', text: 'Water boils at 100 degrees Celsius at sea level, and freezes at 0.', spans: [] }),
+    ].join('\n'));
+
+    assert.deepEqual(examples.map(example => example.id), ['a', 'b']);
+    assert.deepEqual(examples[0].spans, [{ incorrect: 'Berlin' }]);
+  });
+
+  it('names the line of a duplicate id', () => {
+    const line = JSON.stringify({ id: 'a', text: 'The Eiffel Tower is in Berlin and opened to the public in 1889.', spans: [] });
+    assert.throws(() => parseDataset(`${line}\n${line}`), /Dataset line 2: duplicate id "a"/);
+  });
+
+  it('rejects a span that is not in its part of the text', () => {
+    const line = JSON.stringify({ id: 'a', text: 'The Eiffel Tower is in Berlin and opened to the public in 1889.', spans: [{ incorrect: 'Berlin', part: 'quoted' }] });
+    assert.throws(() => parseDataset(line), /span "Berlin" is not in the quoted text/);
+  });
+});
+
+describe('scoreSpans', () => {
+  it('matches flagged spans that overlap a labelled span', () => {
+    const scored = scoreSpans(EXAMPLE, [
+      at(EXAMPLE.text, 'in Berlin'),
+      at(EXAMPLE.text, 'Eiffel Tower'),
+    ]);
+
+    assert.deepEqual(scored.truePositives, [{ part: 'main', text: 'in Berlin' }]);
+    assert.deepEqual(scored.falsePositives, [{ part: 'main', text: 'Eiffel Tower' }]);
+    assert.deepEqual(scored.falseNegatives, [
+      { part: 'main', text: '1899' },
+      { part: 'quoted', text: 'Spain' },
+    ]);
+  });
+
+  it('only matches a labelled span in the same part', () => {
+    const quoted = EXAMPLE.context!.quoted!;
+    const scored = scoreSpans(EXAMPLE, [
+      { ...at(quoted, 'Spain'), part: 'main' },
+      at(quoted, 'Spain', 'quoted'),
+    ]);
+
+    assert.deepEqual(scored.truePositives, [{ part: 'quoted', text: 'Spain' }]);
+    assert.deepEqual(scored.falsePositives, [{ part: 'main', text: 'Spain' }]);
+  });
+
+  it('matches each labelled span at most once', () => {
+    const scored = scoreSpans(EXAMPLE, [at(EXAMPLE.text, 'Berlin'), at(EXAMPLE.text, 'in Berlin')]);
+
+    assert.equal(scored.truePositives.length, 1);
+    assert.deepEqual(scored.falsePositives, [{ part: 'main', text: 'in Berlin' }]);
+  });
+});
+
+describe('computeMetrics', () => {
+  it('computes span precision, recall and F1 over all examples', () => {
+    const metrics = computeMetrics([
+      item('a', { truePositives: [{ part: 'main', text: 'x' }, { part: 'main', text: 'y' }], falsePositives: [{ part: 'main', text: 'z' }] }),
+      item('b', { truePositives: [{ part: 'main', text: 'w' }], falseNegatives: [{ part: 'main', text: 'v' }] }),
+    ]);
+
+    assert.equal(metrics.spanPrecision, 3 / 4);
+    assert.equal(metrics.spanRecall, 3 / 4);
+    assert.equal(metrics.spanF1, 3 / 4);
+    assert.equal(metrics.verdictAccuracy, 1);
+  });
+
+  it('counts failed examples as wrong verdicts and leaves them out of latency', () => {
+    const metrics = computeMetrics([
+      item('a', { latencyMs: 100 }),
+      item('b', { expectedIssues: false, predictedIssues: true, latencyMs: 300 }),
+      item('c', { expectedIssues: false, predictedIssues: false, error: 'Replay miss', latencyMs: 9000 }),
+    ]);
+
+    assert.equal(metrics.examples, 3);
+    assert.equal(metrics.errors, 1);
+    assert.equal(metrics.verdictAccuracy, 1 / 3);
+    assert.deepEqual(metrics.latency, { meanMs: 200, p50Ms: 100, p95Ms: 300 });
+  });
+
+  it('scores precision and recall as 1 when nothing was flagged or labelled', () => {
+    const metrics = computeMetrics([item('a', { expectedIssues: false, predictedIssues: false })]);
+
+    assert.equal(metrics.spanPrecision, 1);
+    assert.equal(metrics.spanRecall, 1);
+    assert.equal(metrics.spanF1, 1);
+  });
+});
+
+describe('diffRuns', () => {
+  it('reports metric deltas', () => {
+    const base = run('base', [item('a', { falseNegatives: [{ part: 'main', text: 'Berlin' }] })]);
+    const candidate = run('candidate', [item('a', { truePositives: [{ part: 'main', text: 'Berlin' }] })]);
+
+    const report = diffRuns(base, candidate);
+    assert.match(report, /^# Eval diff: base → candidate/);
+    assert.match(report, /\| Span recall \| 0\.0% \| 100\.0% \| \+100\.0 pts \|/);
+    assert.match(report, /\| Failed examples \| 0 \| 0 \| 0 \|/);
+  });
+
+  it('lists each example whose verdict, flags or failure changed', () => {
+    const base = run('base', [
+      item('fixed', { predictedIssues: false }),
+      item('flags', { truePositives: [{ part: 'main', text: 'Berlin' }] }),
+      item('fails'),
+      item('same'),
+      item('dropped'),
+    ]);
+    const candidate = run('candidate', [
+      item('fixed'),
+      item('flags', { falsePositives: [{ part: 'quoted', text: 'Spain' }] }),
+      item('fails', { predictedIssues: false, error: 'Replay miss' }),
+      item('same'),
+      item('added'),
+    ]);
+
+    const report = diffRuns(base, candidate);
+    assert.match(report, /- `fixed`: verdict fixed \(expected issues\)\n/);
+    assert.match(report, /- `flags`: lost correct flags: "Berlin"; new false flags: "Spain" \(quoted\)\n/);
+    assert.match(report, /- `fails`: verdict broken \(expected issues\); now fails: Replay miss\n/);
+    assert.match(report, /- `added`: only in candidate\n/);
+    assert.match(report, /- `dropped`: only in base\n/);
+    assert.doesNotMatch(report, /`same`/);
+  });
+
+  it('says so when no example changed', () => {
+    const items = [item('a')];
+    assert.match(diffRuns(run('base', items), run('candidate', items)), /No example changed\./);
+  });
+});
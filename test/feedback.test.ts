@@ -0,0 +1,123 @@
+// test/feedback.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { POST } from '@/app/api/feedback/route';
+import { checkWithCache } from '@/lib/factcheck';
+import { countFeedback, FeedbackError, FeedbackRecord, FeedbackVote, recordFeedback } from '@/lib/feedback';
+import { createLogger } from '@/lib/logger';
+import { MockChatProvider, MockSearchProvider } from '@/lib/providers';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'none';
+process.env.FACTCHECK_PIPELINE = 'single';
+
+const CHECK_ID = 'a'.repeat(64);
+const CACHED_AT = '2024-06-01T00:00:00.000Z';
+
+function vote(voter: string, incorrect: string, vote: FeedbackVote, second: number, cachedAt = CACHED_AT): FeedbackRecord {
+  return {
+    id: `${voter}-${second}`,
+    checkId: CHECK_ID,
+    vote,
+    claim: { incorrect, correction: 'x', part: 'main' },
+    voter,
+    createdAt: new Date(Date.UTC(2024, 5, 1, 0, 0, second)).toISOString(),
+    cachedAt,
+    check: null,
+  };
+}
+
+async function cachedCheck(text: string) {
+  const chat = new MockChatProvider({
+    hasIssues: true,
+    claims: [{ incorrect: 'Berlin', correction: 'Paris' }, { incorrect: '1920', correction: '1889' }],
+    summary: 'Wrong city and year',
+  });
+  return checkWithCache(text, { log: createLogger(), providers: { search: new MockSearchProvider(), chat } });
+}
+
+describe('countFeedback', () => {
+  it('counts one dispute per voter, however many claims they vote down', () => {
+    const records = ['Berlin', '1920', 'tall'].map((phrase, i) => vote('mallory', phrase, 'down', i));
+    assert.deepEqual(countFeedback(records, CHECK_ID, CACHED_AT), { up: 0, down: 1, wrongCorrection: 0, disputed: false });
+  });
+
+  it('takes the kind of the latest dispute and keeps agreement apart', () => {
+    const records = [
+      vote('ann', 'Berlin', 'down', 1),
+      vote('ann', '1920', 'wrong_correction', 2),
+      vote('ann', 'tall', 'up', 3),
+      vote('bob', 'Berlin', 'down', 4),
+      vote('cat', 'Berlin', 'down', 5),
+    ];
+    assert.deepEqual(countFeedback(records, CHECK_ID, CACHED_AT), { up: 1, down: 2, wrongCorrection: 1, disputed: true });
+  });
+
+  it('only counts votes on the same cached result', () => {
+    const earlier = '2024-05-01T00:00:00.000Z';
+    const records = ['ann', 'bob', 'cat'].map((voter, i) => vote(voter, 'Berlin', 'down', i, earlier));
+    assert.equal(countFeedback(records, CHECK_ID, earlier).disputed, true);
+    assert.deepEqual(countFeedback(records, CHECK_ID, CACHED_AT), { up: 0, down: 0, wrongCorrection: 0, disputed: false });
+  });
+});
+
+describe('recordFeedback', () => {
+  it('rejects phrases the result did not flag', async () => {
+    const result = await cachedCheck('The Eiffel Tower in Berlin was finished in 1920.');
+    const input = { ok: true as const, checkId: result.checkId as string, vote: 'down' as const };
+
+    await assert.rejects(
+      recordFeedback({ ...input, claim: { incorrect: 'Eiffel Tower', correction: '', part: 'main' } }, 'mallory'),
+      (error: unknown) => error instanceof FeedbackError && error.status === 400
+    );
+    // The same phrase as served for another spelling of the text
+    const { counts } = await recordFeedback({ ...input, claim: { incorrect: 'BERLIN', correction: 'Paris', part: 'main' } }, 'ann');
+    assert.equal(counts.down, 1);
+  });
+
+  it('rejects votes on results that are not cached', async () => {
+    await assert.rejects(
+      recordFeedback({ ok: true, checkId: 'b'.repeat(64), vote: 'down', claim: { incorrect: 'Berlin', correction: '', part: 'main' } }, 'ann'),
+      (error: unknown) => error instanceof FeedbackError && error.status === 404
+    );
+  });
+});
+
+describe('POST /api/feedback', () => {
+  const post = (body: object, init: { ip?: string; token?: string } = {}) => POST(new NextRequest('http://localhost/api/feedback', {
+    method: 'POST',
+    ...(init.ip && { ip: init.ip }),
+    ...(init.token && { headers: { Authorization: `Bearer ${init.token}` } }),
+    body: JSON.stringify({ vote: 'down', claim: { incorrect: 'Berlin', correction: 'Paris' }, ...body }),
+  }));
+
+  it('tells apart voters who share an API key and address by their voter id', async () => {
+    process.env.API_KEYS = 'team:team-token';
+    try {
+      const { checkId } = await cachedCheck('Madrid is in Berlin, said nobody.');
+      const votes = [];
+      for (const voter of ['install-one-0000000', 'install-two-0000000', 'install-two-0000000']) {
+        votes.push(await (await post({ checkId, voter }, { token: 'team-token' })).json());
+      }
+      assert.deepEqual(votes.map(counts => counts.down), [1, 2, 2]);
+    } finally {
+      delete process.env.API_KEYS;
+    }
+  });
+
+  it('needs a voter id when the client address is unknown', async () => {
+    const { checkId } = await cachedCheck('Lisbon is in Berlin, said nobody.');
+    assert.equal((await post({ checkId })).status, 400);
+    assert.equal((await post({ checkId, voter: 'x' })).status, 400);
+  });
+
+  it('is rate limited', async () => {
+    process.env.RATE_LIMIT_IP_BURST = '1';
+    process.env.RATE_LIMIT_IP_PER_MINUTE = '1';
+    const { checkId } = await cachedCheck('Rome is in Berlin.');
+
+    assert.equal((await post({ checkId, vote: 'up' }, { ip: '10.0.0.7' })).status, 200);
+    assert.equal((await post({ checkId, vote: 'up' }, { ip: '10.0.0.7' })).status, 429);
+  });
+});
@@ -0,0 +1,99 @@
+// test/language.test.ts
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectLanguage } from '@/lib/language';
+import { findInText, groundClaims, locateInText } from '@/lib/verdict';
+
+// The span of `text` a phrase was found at, as it appears there
+function found(text: string, phrase: string): string | null {
+  const span = locateInText(text, phrase);
+  return span ? text.slice(span.start, span.end) : null;
+}
+
+describe('detectLanguage', () => {
+  it('recognises Arabic', () => {
+    assert.equal(detectLanguage('القاهرة هي عاصمة مصر وأكبر مدنها'), 'ar');
+  });
+
+  it('recognises Japanese by its kana, even with mostly kanji', () => {
+    assert.equal(detectLanguage('東京タワーは1958年に完成した'), 'ja');
+    assert.equal(detectLanguage('富士山は日本一高い山です'), 'ja');
+  });
+
+  it('reads kanji without kana as Chinese', () => {
+    assert.equal(detectLanguage('北京是中国的首都'), 'zh');
+  });
+
+  it('recognises Hindi', () => {
+    assert.equal(detectLanguage('ताजमहल आगरा में स्थित है'), 'hi');
+  });
+
+  it('ignores links, mentions and hashtags', () => {
+    assert.equal(detectLanguage('@nasa #space https://t.co/abc القاهرة هي عاصمة مصر'), 'ar');
+  });
+
+  it('assumes English for Latin text without common words', () => {
+    assert.equal(detectLanguage('NASA JWST 2024'), 'en');
+  });
+});
+
+describe('locateInText', () => {
+  it('finds an exact phrase', () => {
+    assert.deepEqual(locateInText('The capital is Berlin.', 'Berlin'), { start: 15, end: 21 });
+  });
+
+  it('matches Arabic without the diacritics the text has', () => {
+    const text = 'القاهرةُ عاصمةُ مِصرَ';
+    assert.equal(found(text, 'عاصمة مصر'), 'عاصمةُ مِصرَ');
+  });
+
+  it('matches Arabic with diacritics the text lacks', () => {
+    assert.equal(found('القاهرة عاصمة مصر', 'عَاصِمَة'), 'عاصمة');
+  });
+
+  it('ignores tatweel in the text and in the phrase', () => {
+    assert.equal(found('القاهرة عاصـــمة مصر', 'عاصمة'), 'عاصـــمة');
+    assert.equal(found('القاهرة عاصمة مصر', 'عاصـمة'), 'عاصمة');
+  });
+
+  it('matches full-width Japanese digits and letters with their NFKC forms', () => {
+    const text = '東京タワーは１９５８年に完成。高さはＡＢＣ３３３メートル';
+    assert.equal(found(text, '1958年'), '１９５８年');
+    assert.equal(found(text, 'abc333'), 'ＡＢＣ３３３');
+  });
+
+  it('matches half-width katakana with full-width', () => {
+    assert.equal(found('これはﾃｽﾄです', 'テスト'), 'ﾃｽﾄ');
+  });
+
+  it('matches Hindi nukta letters, precomposed or combining', () => {
+    // U+0958 is QA; NFKC turns it into KA + NUKTA
+    const text = 'यह क़िला आगरा में है';
+    assert.equal(found(text, 'क़िला'), 'क़िला');
+  });
+
+  it('keeps Hindi vowel signs, ignoring case elsewhere in the text', () => {
+    const text = 'TAJ MAHAL ताजमहल आगरा में स्थित है';
+    assert.equal(found(text, 'taj mahal ताजमहल आगरा'), 'TAJ MAHAL ताजमहल आगरा');
+  });
+
+  it('folds runs of whitespace', () => {
+    assert.equal(found('東京タワーは  1958年\nに完成', 'タワーは 1958年 に'), 'タワーは  1958年\nに');
+  });
+
+  it('returns null for a missing phrase', () => {
+    assert.equal(locateInText('القاهرة عاصمة مصر', 'الرياض'), null);
+    assert.equal(findInText('ताजमहल आगरा में है', 'दिल्ली'), null);
+  });
+});
+
+describe('groundClaims', () => {
+  it('rewrites phrases to the text\'s own spelling and drops missing ones', () => {
+    const { kept, dropped } = groundClaims([
+      { incorrect: 'عاصمة مصر', correction: 'x', confidence: 'high', sources: [] },
+      { incorrect: 'الرياض', correction: 'y', confidence: 'high', sources: [] },
+    ], ['القاهرةُ عاصمةُ مِصرَ']);
+    assert.deepEqual(kept.map(claim => claim.incorrect), ['عاصمةُ مِصرَ']);
+    assert.deepEqual(dropped.map(claim => claim.incorrect), ['الرياض']);
+  });
+});
@@ -0,0 +1,48 @@
+// test/ocr.test.ts
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createLogger } from '@/lib/logger';
+import { readImages } from '@/lib/ocr';
+
+process.env.LOG_LEVEL = 'silent';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.OCR_TIME_BUDGET_MS;
+});
+
+describe('readImages', () => {
+  it('stops downloading past the size limit when there is no content-length', async () => {
+    let pulled = 0;
+    globalThis.fetch = async () => new Response(new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new Uint8Array(1024 * 1024));
+      },
+    }), { headers: { 'Content-Type': 'image/png' } });
+
+    const [image] = await readImages(['https://pbs.twimg.com/media/a.png'], createLogger());
+    assert.equal(image.error, 'Image too large');
+    assert.ok(pulled <= 7, `pulled ${pulled} MB`);
+  });
+
+  it('skips images once the time budget is spent', async () => {
+    process.env.OCR_TIME_BUDGET_MS = '50';
+    // A host that never answers, until the download is aborted
+    globalThis.fetch = (_url, init) => new Promise((_, reject) => {
+      init?.signal?.addEventListener('abort', () => reject(init.signal!.reason));
+    });
+
+    // AbortSignal.timeout doesn't keep the process alive on its own
+    const keepAlive = setInterval(() => {}, 10);
+    const started = Date.now();
+    const images = await readImages(['https://pbs.twimg.com/media/a.png', 'https://pbs.twimg.com/media/b.png'], createLogger())
+      .finally(() => clearInterval(keepAlive));
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(images.length, 2);
+    assert.ok(images[0].error);
+    assert.equal(images[1].error, 'Skipped, the OCR time budget was spent');
+  });
+});
@@ -0,0 +1,53 @@
+// test/providers.test.ts
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { POST } from '@/app/api/checktweet/route';
+import { validateProviderOverrides } from '@/lib/providers';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'none';
+
+const TEXT = 'The Eiffel Tower is in Paris and it opened to the public in 1889.';
+
+function check(body: object) {
+  return POST(new NextRequest('http://localhost/api/checktweet', {
+    method: 'POST',
+    body: JSON.stringify({ text: TEXT, ...body }),
+  }));
+}
+
+describe('validateProviderOverrides', () => {
+  it('accepts known providers and a model name', () => {
+    assert.deepEqual(validateProviderOverrides({ search: 'mock', chat: 'ollama', model: 'llama3.1' }), {
+      ok: true,
+      overrides: { search: 'mock', chat: 'ollama', model: 'llama3.1' },
+    });
+    assert.deepEqual(validateProviderOverrides(undefined), { ok: true });
+  });
+
+  it('rejects fields that are not provider names or strings', () => {
+    for (const raw of [{ model: 42 }, { model: ' ' }, { chat: 'gpt' }, { search: ['exa'] }, 'mock', []]) {
+      assert.equal(validateProviderOverrides(raw).ok, false, JSON.stringify(raw));
+    }
+  });
+});
+
+describe('POST /api/checktweet provider errors', () => {
+  afterEach(() => {
+    delete process.env.ALLOW_PROVIDER_OVERRIDE;
+    delete process.env.SEARCH_PROVIDER;
+  });
+
+  it('answers 400 for malformed overrides', async () => {
+    process.env.ALLOW_PROVIDER_OVERRIDE = 'true';
+    const response = await check({ providers: { chat: 'mock', model: 42 } });
+    assert.equal(response.status, 400);
+  });
+
+  it('answers 500 for a server misconfiguration, even with ignored overrides', async () => {
+    process.env.SEARCH_PROVIDER = 'nonexistent';
+    const response = await check({ providers: { chat: 'mock' } });
+    assert.equal(response.status, 500);
+  });
+});
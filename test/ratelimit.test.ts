@@ -0,0 +1,67 @@
+// test/ratelimit.test.ts
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { checkRateLimit, getClientIp } from '@/lib/ratelimit';
+
+process.env.LOG_LEVEL = 'silent';
+
+function request(headers: Record<string, string>, ip?: string): NextRequest {
+  return new NextRequest('http://localhost/api/checktweet', { method: 'POST', headers, ...(ip && { ip }) });
+}
+
+const ENV = ['TRUST_PROXY', 'RATE_LIMIT_IP_BURST', 'RATE_LIMIT_IP_PER_MINUTE', 'RATE_LIMIT_KEY_BURST', 'RATE_LIMIT_KEY_PER_MINUTE'];
+
+afterEach(() => {
+  ENV.forEach(name => delete process.env[name]);
+});
+
+describe('getClientIp', () => {
+  it('ignores forwarding headers without a trusted proxy', () => {
+    const req = request({ 'X-Forwarded-For': '1.1.1.1', 'X-Real-IP': '2.2.2.2' }, '10.0.0.1');
+    assert.equal(getClientIp(req), '10.0.0.1');
+    assert.equal(getClientIp(request({ 'X-Forwarded-For': '1.1.1.1' })), 'unknown');
+  });
+
+  it('takes the address the trusted proxy appended', () => {
+    process.env.TRUST_PROXY = 'true';
+    // The client sent 6.6.6.6 itself; the proxy appended 1.1.1.1
+    assert.equal(getClientIp(request({ 'X-Forwarded-For': '6.6.6.6, 1.1.1.1' }, '10.0.0.1')), '1.1.1.1');
+    assert.equal(getClientIp(request({ 'X-Real-IP': '2.2.2.2' }, '10.0.0.1')), '2.2.2.2');
+    assert.equal(getClientIp(request({}, '10.0.0.1')), '10.0.0.1');
+  });
+
+  it('counts back the configured number of proxies', () => {
+    process.env.TRUST_PROXY = '2';
+    assert.equal(getClientIp(request({ 'X-Forwarded-For': '6.6.6.6, 1.1.1.1, 10.0.0.2' })), '1.1.1.1');
+    // Fewer entries than proxies: the outermost one
+    assert.equal(getClientIp(request({ 'X-Forwarded-For': '1.1.1.1' })), '1.1.1.1');
+  });
+});
+
+describe('checkRateLimit', () => {
+  it('does not let a client escape its bucket by forging X-Forwarded-For', () => {
+    process.env.RATE_LIMIT_IP_BURST = '2';
+    process.env.RATE_LIMIT_IP_PER_MINUTE = '1';
+    const results = ['1.1.1.1', '2.2.2.2', '3.3.3.3'].map(forged =>
+      checkRateLimit(request({ 'X-Forwarded-For': forged }, '10.0.0.9'), null, 1, {})
+    );
+    assert.deepEqual(results.map(result => result.ok), [true, true, false]);
+  });
+
+  it('limits keyed requests by key alone', () => {
+    process.env.RATE_LIMIT_IP_BURST = '1';
+    process.env.RATE_LIMIT_KEY_BURST = '2';
+    const team = { name: 'team', token: 'secret' };
+    const other = { name: 'other', token: 'secret2' };
+    // All from one address, which the IP limit alone would stop after one
+    const results = [team, team, team, other].map(key => checkRateLimit(request({}, '10.0.0.5'), key, 1, {}));
+    assert.deepEqual(results.map(result => result.ok), [true, true, false, true]);
+  });
+
+  it('does not pool keyless clients whose address is unknown', () => {
+    process.env.RATE_LIMIT_IP_BURST = '1';
+    const results = [1, 2, 3].map(() => checkRateLimit(request({}), null, 1, {}));
+    assert.deepEqual(results.map(result => result.ok), [true, true, true]);
+  });
+});
@@ -0,0 +1,68 @@
+// test/stream.test.ts
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import { NextRequest } from 'next/server';
+import { POST } from '@/app/api/checktweet/stream/route';
+import { checkWithCache } from '@/lib/factcheck';
+import { createLogger } from '@/lib/logger';
+import { MockChatProvider, MockSearchProvider } from '@/lib/providers';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'none';
+process.env.FACTCHECK_PIPELINE = 'claims';
+process.env.SEARCH_PROVIDER = 'mock';
+process.env.CHAT_PROVIDER = 'mock';
+
+const TWEET = 'The Eiffel Tower is in Berlin and it opened to the public in 1889.';
+
+describe('aborting a check', () => {
+  it('makes no provider calls after the signal and caches nothing', async () => {
+    const abort = new AbortController();
+    const chat = new MockChatProvider({
+      claims: [
+        { claim: 'The Eiffel Tower is in Berlin', quote: 'The Eiffel Tower is in Berlin', kind: 'factual' },
+        { claim: 'It opened in 1889', quote: 'it opened to the public in 1889', kind: 'factual' },
+      ],
+    });
+    // The client goes away while the first search runs
+    const search = new MockSearchProvider(() => {
+      abort.abort();
+      return { answer: 'It is in Paris.', sources: [] };
+    });
+    const options = { log: createLogger(), providers: { search, chat } };
+
+    await assert.rejects(checkWithCache(TWEET, { ...options, signal: abort.signal }), { name: 'AbortError' });
+    assert.equal(chat.requests.length, 1);
+    assert.equal(search.queries.length, 1);
+
+    const rerun = await checkWithCache(TWEET, options);
+    assert.equal(rerun.cached, false);
+  });
+});
+
+describe('POST /api/checktweet/stream', () => {
+  it('stops the check quietly when the client cancels the stream', async () => {
+    const lines: string[] = [];
+    const capture = (line: string) => { lines.push(line); };
+    mock.method(console, 'log', capture);
+    mock.method(console, 'error', capture);
+    process.env.LOG_LEVEL = 'info';
+    try {
+      const response = await POST(new NextRequest('http://localhost/api/checktweet/stream', {
+        method: 'POST',
+        body: JSON.stringify({ text: `${TWEET} Cancelled.` }),
+      }));
+      assert.equal(response.status, 200);
+      await response.body!.cancel();
+      // Let the check settle
+      await new Promise(resolve => setTimeout(resolve, 50));
+    } finally {
+      process.env.LOG_LEVEL = 'silent';
+      mock.restoreAll();
+    }
+
+    const messages = lines.map(line => JSON.parse(line).msg);
+    assert.ok(messages.includes('Client disconnected, check stopped'), messages.join(', '));
+    assert.ok(!messages.includes('Stream failed'));
+  });
+});
@@ -0,0 +1,60 @@
+// test/tweets.test.ts
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { GET } from '@/app/api/tweet/route';
+import { fetchTweet, textFromEmbed, TweetLookupError } from '@/lib/tweets';
+
+process.env.LOG_LEVEL = 'silent';
+
+const URL = 'https://x.com/nasa/status/123';
+const realFetch = globalThis.fetch;
+
+function answerWith(body: string, contentType = 'application/json') {
+  globalThis.fetch = async () => new Response(body, { status: 200, headers: { 'Content-Type': contentType } });
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+describe('textFromEmbed', () => {
+  it('decodes entities and drops media links', () => {
+    const html = '<blockquote><p lang="en">Tom &amp; Jerry &#x1F600;<br>line <a href="#">pic.twitter.com/abc</a></p></blockquote>';
+    assert.equal(textFromEmbed(html), 'Tom & Jerry 😀\nline');
+  });
+});
+
+describe('fetchTweet', () => {
+  it('reads the text and author of the embed', async () => {
+    answerWith(JSON.stringify({ html: '<p>Hello</p>', author_url: 'https://twitter.com/NASA' }));
+    const { text, tweet } = await fetchTweet(URL);
+    assert.equal(text, 'Hello');
+    assert.deepEqual(tweet, { id: '123', url: URL, author: 'nasa' });
+  });
+
+  it('answers 502 for a body that is not JSON', async () => {
+    answerWith('<html>Rate limited</html>', 'text/html');
+    await assert.rejects(fetchTweet(URL), (error: unknown) =>
+      error instanceof TweetLookupError && error.status === 502
+    );
+  });
+
+  it('answers 502 for an entity outside Unicode', async () => {
+    answerWith(JSON.stringify({ html: '<p>Bad &#99999999;</p>' }));
+    await assert.rejects(fetchTweet(URL), (error: unknown) =>
+      error instanceof TweetLookupError && error.status === 502
+    );
+  });
+});
+
+describe('GET /api/tweet', () => {
+  it('answers a bad embed with 502 and CORS headers', async () => {
+    answerWith('not json', 'text/plain');
+    const response = await GET(new NextRequest(`http://localhost/api/tweet?url=${encodeURIComponent(URL)}`, {
+      headers: { Origin: 'https://x.com' },
+    }));
+    assert.equal(response.status, 502);
+    assert.ok(response.headers.get('Access-Control-Allow-Origin'));
+  });
+});
@@ -0,0 +1,149 @@
+// test/verdict.test.ts
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { after, before, describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { POST } from '@/app/api/checktweet/route';
+import { runFactCheck } from '@/lib/factcheck';
+import { createLogger } from '@/lib/logger';
+import { MockChatProvider, MockSearchProvider } from '@/lib/providers';
+import { parseVerdict, VerdictValidationError } from '@/lib/verdict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CHECK_STORE = 'none';
+
+const TWEET = 'The Eiffel Tower is in Berlin and it opened to the public in 1889.';
+
+function singlePass(chat: MockChatProvider) {
+  return runFactCheck(TWEET, {
+    log: createLogger(),
+    providers: { search: new MockSearchProvider(), chat },
+    pipeline: 'single',
+  });
+}
+
+describe('parseVerdict', () => {
+  it('accepts a verdict with claims', () => {
+    const parsed = parseVerdict(JSON.stringify({
+      hasIssues: true,
+      claims: [{ incorrect: 'Berlin', correction: 'Paris', confidence: 'high', sources: [1] }],
+      summary: 'Wrong city',
+    }));
+    assert.ok(parsed.ok);
+    assert.deepEqual(parsed.value.claims, [{ incorrect: 'Berlin', correction: 'Paris', confidence: 'high', sources: [1] }]);
+  });
+
+  it('rejects malformed JSON', () => {
+    const parsed = parseVerdict('{"hasIssues": true, "claims": [');
+    assert.equal(parsed.ok, false);
+  });
+
+  it('rejects incorrect and corrections of different lengths', () => {
+    const parsed = parseVerdict(JSON.stringify({ hasIssues: true, incorrect: ['Berlin', '1889'], corrections: ['Paris'] }));
+    assert.equal(parsed.ok, false);
+    assert.match(parsed.ok ? '' : parsed.errors.join(), /"incorrect" has 2 items but "corrections" has 1/);
+  });
+
+  it('pairs up incorrect and corrections of the same length', () => {
+    const parsed = parseVerdict(JSON.stringify({ hasIssues: true, incorrect: ['Berlin'], corrections: ['Paris'] }));
+    assert.ok(parsed.ok);
+    assert.equal(parsed.value.claims[0].correction, 'Paris');
+  });
+
+  it('rejects hasIssues true without claims', () => {
+    assert.equal(parseVerdict(JSON.stringify({ hasIssues: true, claims: [] })).ok, false);
+  });
+
+  it('rejects hasIssues false with claims', () => {
+    const parsed = parseVerdict(JSON.stringify({ hasIssues: false, claims: [{ incorrect: 'Berlin', correction: 'Paris' }] }));
+    assert.equal(parsed.ok, false);
+  });
+});
+
+describe('verdict validation in the pipeline', () => {
+  it('asks the model to repair malformed JSON once, then gives up', async () => {
+    const chat = new MockChatProvider('not json at all');
+    await assert.rejects(singlePass(chat), VerdictValidationError);
+    assert.equal(chat.requests.length, 2);
+    assert.match(chat.requests[1].user, /not json at all/);
+  });
+
+  it('uses the repaired verdict', async () => {
+    let calls = 0;
+    const chat = new MockChatProvider(() => ++calls === 1
+      ? '{"hasIssues": "yes"}'
+      : { hasIssues: true, claims: [{ incorrect: 'Berlin', correction: 'Paris' }], summary: 'Wrong city' });
+    const result = await singlePass(chat);
+    assert.equal(chat.requests.length, 2);
+    assert.deepEqual(result.corrections, ['Paris']);
+  });
+
+  it('drops phrases that are not in the tweet', async () => {
+    const chat = new MockChatProvider({
+      hasIssues: true,
+      claims: [
+        { incorrect: 'Berlin', correction: 'Paris' },
+        { incorrect: 'built by aliens', correction: 'built by Gustave Eiffel\'s company' },
+      ],
+      summary: 'Wrong city',
+    });
+    const result = await singlePass(chat);
+    assert.deepEqual(result.incorrect, ['Berlin']);
+    assert.deepEqual(result.claims.map(claim => TWEET.slice(claim.start, claim.end)), ['Berlin']);
+    assert.equal(result.hasIssues, true);
+  });
+
+  it('reports no issues when every phrase is dropped', async () => {
+    const chat = new MockChatProvider({ hasIssues: true, claims: [{ incorrect: 'on the Moon', correction: 'in Paris' }], summary: '' });
+    const result = await singlePass(chat);
+    assert.equal(result.hasIssues, false);
+    assert.deepEqual(result.claims, []);
+  });
+});
+
+describe('POST /api/checktweet', () => {
+  let server: http.Server;
+  let completions = 0;
+
+  // An OpenAI-compatible server whose model never answers with valid JSON
+  before(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        completions++;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          id: `chatcmpl-${completions}`,
+          object: 'chat.completion',
+          created: 0,
+          model: 'test',
+          choices: [{ index: 0, message: { role: 'assistant', content: '{"hasIssues": true, "claims": [' }, finish_reason: 'stop' }],
+        }));
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+      SEARCH_PROVIDER: 'mock',
+      CHAT_PROVIDER: 'openai-compatible',
+      CHAT_BASE_URL: `http://127.0.0.1:${(server.address() as AddressInfo).port}/v1`,
+      CHAT_MODEL: 'test',
+      FACTCHECK_PIPELINE: 'single',
+    });
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('answers 502 when the verdict is still malformed after the repair retry', async () => {
+    const response = await POST(new NextRequest('http://localhost/api/checktweet', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: TWEET }),
+    }));
+    assert.equal(response.status, 502);
+    assert.match((await response.json()).error, /invalid verdict/);
+    assert.equal(completions, 2);
+  });
+});